@@ -0,0 +1,423 @@
+/**
+ * Consistency Checker
+ * Rule engine that looks for impossible or unlikely dates and relationships in parsed GEDCOM data
+ *
+ * Key Features:
+ * - Children born before a parent, after the mother's death or long after the father's death
+ * - Parents too young or mothers too old at a birth, marriages too young, lifespans too long
+ * - Events dated after death (burials and other posthumous events excepted)
+ * - People who are their own ancestor
+ * - Each rule can be switched off and its age or month limit changed
+ * - Only flags what the dates prove: approximate and partial dates are compared as ranges
+ */
+
+class ConsistencyChecker {
+    /**
+     * @param {Object} config - ruleId -> { enabled, limit } overriding ConsistencyChecker.RULES defaults
+     */
+    constructor(config = {}) {
+        this.rules = {};
+        Object.entries(ConsistencyChecker.RULES).forEach(([id, rule]) => {
+            this.rules[id] = {
+                enabled: config[id]?.enabled ?? true,
+                limit: config[id]?.limit ?? rule.limit
+            };
+        });
+
+        this.individuals = new Map();
+        this.families = new Map();
+        this.findings = [];
+    }
+
+    /**
+     * Run every enabled rule
+     * @param {Array} individuals - Individual records
+     * @param {Array} families - Family records
+     * @returns {Array} Findings { rule, severity, personId, familyId, message }
+     */
+    check(individuals, families) {
+        this.individuals = new Map(individuals.map(person => [person.id, person]));
+        this.families = new Map(families.map(family => [family.id, family]));
+        this.findings = [];
+
+        families.forEach(family => this.checkFamily(family));
+        individuals.forEach(person => this.checkPerson(person));
+
+        if (this.isEnabled('ownAncestor')) {
+            this.checkAncestorLoops(individuals);
+        }
+
+        return this.findings;
+    }
+
+    /**
+     * Check whether a rule is switched on
+     * @param {string} ruleId - Rule key in ConsistencyChecker.RULES
+     * @returns {boolean} True if the rule should run
+     */
+    isEnabled(ruleId) {
+        return this.rules[ruleId].enabled;
+    }
+
+    /**
+     * Record a finding
+     * @param {string} ruleId - Rule that fired
+     * @param {Object} person - Person the finding is about (the tree is re-rooted on them)
+     * @param {Object|null} family - Family involved, if any
+     * @param {string} message - Human-readable description
+     */
+    addFinding(ruleId, person, family, message) {
+        this.findings.push({
+            rule: ruleId,
+            severity: ConsistencyChecker.RULES[ruleId].severity,
+            personId: person.id,
+            familyId: family?.id || null,
+            message
+        });
+    }
+
+    /**
+     * Check the births of a family's children against their parents, and the couple's marriage ages
+     * @param {Object} family - Family record
+     */
+    checkFamily(family) {
+        const parents = [
+            { person: this.individuals.get(family.husband), role: 'father' },
+            { person: this.individuals.get(family.wife), role: 'mother' }
+        ].filter(parent => parent.person);
+
+        family.children.forEach(childId => {
+            const child = this.individuals.get(childId);
+            const childBirth = this.getDateRange(child?.birth?.date);
+            if (!childBirth) return;
+
+            parents.forEach(({ person: parent, role }) => {
+                this.checkParentAtBirth(family, child, childBirth, parent, role);
+            });
+        });
+
+        const marriage = this.getDateRange(family.marriage?.date);
+        if (marriage && this.isEnabled('marriageTooYoung')) {
+            const limit = this.rules.marriageTooYoung.limit;
+
+            parents.forEach(({ person }) => {
+                const birth = this.getDateRange(person.birth?.date);
+                if (birth && this.getMaxYearsBetween(birth, marriage) < limit) {
+                    this.addFinding('marriageTooYoung', person, family,
+                        `${this.getName(person)} (born ${person.birth.date.display}) married in ` +
+                        `${family.marriage.date.display}, before the age of ${limit}`);
+                }
+            });
+        }
+    }
+
+    /**
+     * Check one parent's dates against a child's birth
+     * @param {Object} family - Family the child belongs to
+     * @param {Object} child - Child record
+     * @param {Object} childBirth - Child's birth date range
+     * @param {Object} parent - Father or mother record
+     * @param {string} role - 'father' or 'mother'
+     */
+    checkParentAtBirth(family, child, childBirth, parent, role) {
+        const parentBirth = this.getDateRange(parent.birth?.date);
+        const parentDeath = this.getDateRange(parent.death?.date);
+        const childLabel = `${this.getName(child)} (born ${child.birth.date.display})`;
+
+        if (parentBirth && this.isBefore(childBirth, parentBirth)) {
+            if (this.isEnabled('childBeforeParent')) {
+                this.addFinding('childBeforeParent', child, family,
+                    `${childLabel} was born before their ${role} ${this.getName(parent)} (born ${parent.birth.date.display})`);
+            }
+            return; // The age rules below would only repeat this
+        }
+
+        if (parentBirth && this.isEnabled('parentTooYoung')) {
+            const limit = this.rules.parentTooYoung.limit;
+            if (this.getMaxYearsBetween(parentBirth, childBirth) < limit) {
+                this.addFinding('parentTooYoung', parent, family,
+                    `${this.getName(parent)} (born ${parent.birth.date.display}) was under ${limit} ` +
+                    `when their child ${childLabel} was born`);
+            }
+        }
+
+        if (role === 'mother' && parentBirth && this.isEnabled('motherTooOld')) {
+            const limit = this.rules.motherTooOld.limit;
+            if (this.getMinYearsBetween(parentBirth, childBirth) > limit) {
+                this.addFinding('motherTooOld', parent, family,
+                    `${this.getName(parent)} (born ${parent.birth.date.display}) was over ${limit} ` +
+                    `when their child ${childLabel} was born`);
+            }
+        }
+
+        if (!parentDeath) return;
+
+        if (role === 'mother' && this.isEnabled('childAfterMotherDeath') && this.isBefore(parentDeath, childBirth)) {
+            this.addFinding('childAfterMotherDeath', child, family,
+                `${childLabel} was born after their mother ${this.getName(parent)} died (${parent.death.date.display})`);
+        }
+
+        if (role === 'father' && this.isEnabled('childAfterFatherDeath')) {
+            const months = this.rules.childAfterFatherDeath.limit;
+            if (Number.isFinite(parentDeath.latest) && childBirth.earliest > this.addMonths(parentDeath.latest, months)) {
+                this.addFinding('childAfterFatherDeath', child, family,
+                    `${childLabel} was born more than ${months} months after their father ` +
+                    `${this.getName(parent)} died (${parent.death.date.display})`);
+            }
+        }
+    }
+
+    /**
+     * Check a person's lifespan and the events dated after their death
+     * @param {Object} person - Individual record
+     */
+    checkPerson(person) {
+        const birth = this.getDateRange(person.birth?.date);
+        const death = this.getDateRange(person.death?.date);
+        if (!death) return;
+
+        if (birth && this.isEnabled('lifespanTooLong')) {
+            const limit = this.rules.lifespanTooLong.limit;
+            if (this.getMinYearsBetween(birth, death) > limit) {
+                this.addFinding('lifespanTooLong', person, null,
+                    `${this.getName(person)} lived more than ${limit} years ` +
+                    `(${person.birth.date.display} - ${person.death.date.display})`);
+            }
+        }
+
+        if (!this.isEnabled('eventAfterDeath')) return;
+
+        const describeDeath = `${this.getName(person)}'s death (${person.death.date.display})`;
+
+        (person.events || []).forEach(event => {
+            if (ConsistencyChecker.POSTHUMOUS_EVENTS.includes(event.tag)) return;
+            if (this.isBefore(death, this.getDateRange(event.date))) {
+                this.addFinding('eventAfterDeath', person, null,
+                    `${event.type} (${event.date.display}) is dated after ${describeDeath}`);
+            }
+        });
+
+        person.families.spouse.forEach(familyId => {
+            const family = this.families.get(familyId);
+            (family?.events || []).forEach(event => {
+                if (ConsistencyChecker.POSTHUMOUS_EVENTS.includes(event.tag)) return;
+                if (this.isBefore(death, this.getDateRange(event.date))) {
+                    this.addFinding('eventAfterDeath', person, family,
+                        `${event.type} (${event.date.display}) is dated after ${describeDeath}`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Find people who appear among their own ancestors
+     * Walks parent links depth first without recursion, so very deep trees are safe
+     * @param {Array} individuals - Individual records
+     */
+    checkAncestorLoops(individuals) {
+        const state = new Map(); // personId -> 'open' while on the current path, 'done' once fully explored
+        const reported = new Set(); // Sorted member lists of loops already reported
+
+        individuals.forEach(start => {
+            if (state.has(start.id)) return;
+
+            const path = [{ id: start.id, parents: this.getParentIds(start.id), next: 0 }];
+            state.set(start.id, 'open');
+
+            while (path.length > 0) {
+                const top = path[path.length - 1];
+
+                if (top.next >= top.parents.length) {
+                    state.set(top.id, 'done');
+                    path.pop();
+                    continue;
+                }
+
+                const parentId = top.parents[top.next++];
+                if (state.get(parentId) === 'open') {
+                    const loop = path.slice(path.findIndex(step => step.id === parentId)).map(step => step.id);
+                    this.reportAncestorLoop(loop, reported);
+                } else if (!state.has(parentId) && this.individuals.has(parentId)) {
+                    state.set(parentId, 'open');
+                    path.push({ id: parentId, parents: this.getParentIds(parentId), next: 0 });
+                }
+            }
+        });
+    }
+
+    /**
+     * Report a loop of parent links once, on the person where it was found
+     * @param {Array} loop - Person IDs from the repeated person up to their descendant who leads back to them
+     * @param {Set} reported - Loops already reported
+     */
+    reportAncestorLoop(loop, reported) {
+        const key = loop.slice().sort().join(',');
+        if (reported.has(key)) return;
+        reported.add(key);
+
+        const person = this.individuals.get(loop[0]);
+        const chain = [...loop, loop[0]].map(id => this.getName(this.individuals.get(id))).join(' → ');
+        this.addFinding('ownAncestor', person, null,
+            `${this.getName(person)} is their own ancestor (child → parent: ${chain})`);
+    }
+
+    /**
+     * Get the parents of a person in every parent family
+     * @param {string} personId - Person ID
+     * @returns {Array} Parent IDs
+     */
+    getParentIds(personId) {
+        const person = this.individuals.get(personId);
+        const parentIds = [];
+
+        (person?.families.child || []).forEach(familyId => {
+            const family = this.families.get(familyId);
+            if (family?.husband) parentIds.push(family.husband);
+            if (family?.wife) parentIds.push(family.wife);
+        });
+
+        return parentIds;
+    }
+
+    /**
+     * Get the span of days a parsed date could fall on
+     * Partial dates cover their whole month or year, approximate dates get a margin either side,
+     * and BEF/AFT dates are open-ended
+     * @param {Object|null} date - Date from GedcomParser.parseDate
+     * @returns {Object|null} { earliest, latest } day numbers, or null if the date can't be placed
+     */
+    getDateRange(date) {
+        if (!date) return null;
+
+        const start = this.getPartRange(date.start);
+        const end = this.getPartRange(date.end);
+        let range = null;
+
+        switch (date.qualifier) {
+            case 'BEF':
+            case 'TO':
+                range = end && { earliest: -Infinity, latest: end.latest };
+                break;
+            case 'AFT':
+                range = start && { earliest: start.earliest, latest: Infinity };
+                break;
+            case 'BET':
+            case 'FROM':
+                range = start && { earliest: start.earliest, latest: end ? end.latest : Infinity };
+                break;
+            case 'ABT':
+            case 'CAL':
+            case 'EST': {
+                const margin = ConsistencyChecker.APPROXIMATE_MARGIN_YEARS * ConsistencyChecker.DAYS_PER_YEAR;
+                range = start && { earliest: start.earliest - margin, latest: start.latest + margin };
+                break;
+            }
+            default:
+                range = start;
+        }
+
+        return range;
+    }
+
+    /**
+     * Get the span of days a single date part covers
+     * @param {Object|null} part - Date part with dayNumber and precision
+     * @returns {Object|null} { earliest, latest } day numbers
+     */
+    getPartRange(part) {
+        if (!part || part.dayNumber === null || part.dayNumber === undefined) return null;
+
+        const span = { day: 0, month: 30, year: 365 }[part.precision] || 0;
+        return { earliest: part.dayNumber, latest: part.dayNumber + span };
+    }
+
+    /**
+     * Add calendar months to a day number, counted in the Gregorian calendar
+     * A day the target month lacks becomes its last day (31 May + 9 months is 28 or 29 February)
+     * @param {number} dayNumber - Julian Day Number
+     * @param {number} months - Whole months to add
+     * @returns {number} Julian Day Number
+     */
+    addMonths(dayNumber, months) {
+        const date = new Date((dayNumber - ConsistencyChecker.UNIX_EPOCH_DAY_NUMBER) * ConsistencyChecker.MS_PER_DAY);
+        const day = date.getUTCDate();
+
+        date.setUTCMonth(date.getUTCMonth() + months, 1);
+        const lastDay = new Date(date);
+        lastDay.setUTCMonth(lastDay.getUTCMonth() + 1, 0);
+        date.setUTCDate(Math.min(day, lastDay.getUTCDate()));
+
+        return Math.round(date.getTime() / ConsistencyChecker.MS_PER_DAY) + ConsistencyChecker.UNIX_EPOCH_DAY_NUMBER;
+    }
+
+    /**
+     * Check whether one date range ends before another begins
+     * @param {Object|null} first - Date range
+     * @param {Object|null} second - Date range
+     * @returns {boolean} True only if the dates prove the order
+     */
+    isBefore(first, second) {
+        return Boolean(first && second) && first.latest < second.earliest;
+    }
+
+    /**
+     * Fewest years that can lie between two date ranges
+     * @param {Object} from - Earlier date range
+     * @param {Object} to - Later date range
+     * @returns {number} Years (may be negative or -Infinity)
+     */
+    getMinYearsBetween(from, to) {
+        return (to.earliest - from.latest) / ConsistencyChecker.DAYS_PER_YEAR;
+    }
+
+    /**
+     * Most years that can lie between two date ranges
+     * @param {Object} from - Earlier date range
+     * @param {Object} to - Later date range
+     * @returns {number} Years (may be Infinity)
+     */
+    getMaxYearsBetween(from, to) {
+        return (to.latest - from.earliest) / ConsistencyChecker.DAYS_PER_YEAR;
+    }
+
+    /**
+     * Get a person's display name
+     * @param {Object} person - Individual record
+     * @returns {string} Full name
+     */
+    getName(person) {
+        return person?.name?.full || 'Unknown';
+    }
+}
+
+ConsistencyChecker.DAYS_PER_YEAR = 365.2425;
+
+// Julian Day Number of 1 January 1970, for month arithmetic with Date
+ConsistencyChecker.UNIX_EPOCH_DAY_NUMBER = 2440588;
+ConsistencyChecker.MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// ABT, CAL and EST dates may be off by this much either way
+ConsistencyChecker.APPROXIMATE_MARGIN_YEARS = 2;
+
+// Events that normally happen after death (LDS ordinances are often performed by proxy)
+ConsistencyChecker.POSTHUMOUS_EVENTS = ['DEAT', 'BURI', 'CREM', 'PROB', 'BAPL', 'CONL', 'ENDL', 'SLGC', 'SLGS'];
+
+// Rule defaults; limits are in the unit given
+ConsistencyChecker.RULES = {
+    childBeforeParent: { label: 'Child born before a parent', severity: 'error' },
+    childAfterMotherDeath: { label: "Child born after the mother's death", severity: 'error' },
+    childAfterFatherDeath: { label: "Child born long after the father's death", severity: 'error', limit: 9, unit: 'months' },
+    parentTooYoung: { label: 'Parent too young at a birth', severity: 'warning', limit: 12, unit: 'years' },
+    motherTooOld: { label: 'Mother too old at a birth', severity: 'warning', limit: 55, unit: 'years' },
+    lifespanTooLong: { label: 'Lifespan too long', severity: 'warning', limit: 110, unit: 'years' },
+    marriageTooYoung: { label: 'Married too young', severity: 'warning', limit: 14, unit: 'years' },
+    eventAfterDeath: { label: 'Event after death', severity: 'error' },
+    ownAncestor: { label: 'Own ancestor', severity: 'error' }
+};
+
+// Export for use in Chrome extension
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConsistencyChecker;
+} else if (typeof window !== 'undefined') {
+    window.ConsistencyChecker = ConsistencyChecker;
+}
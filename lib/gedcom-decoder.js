@@ -0,0 +1,236 @@
+/**
+ * GEDCOM Character Set Decoder
+ * Turns raw GEDCOM file bytes into a string before parsing
+ *
+ * Key Features:
+ * - Detect byte order marks (UTF-8, UTF-16LE, UTF-16BE)
+ * - Honor the character set declared in HEAD.CHAR
+ * - Decode ANSEL, including combining diacritics
+ * - Decode ANSI (Windows-1252), ASCII, Macintosh and UTF-16 files
+ * - Decode whole files or stream them chunk by chunk
+ */
+
+class GedcomDecoder {
+    /**
+     * Decode GEDCOM file bytes
+     * @param {ArrayBuffer|Uint8Array} buffer - Raw file content
+     * @returns {Object} Decoded text with the encoding that was used
+     */
+    decode(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const stream = this.createStream(bytes);
+
+        return {
+            text: stream.decode(bytes, true),
+            encoding: stream.encoding,
+            declaredCharset: stream.declaredCharset,
+            hasBom: stream.hasBom
+        };
+    }
+
+    /**
+     * Create a decoder for a file read in chunks
+     * The encoding is detected from the first chunk, which should hold the whole header
+     * @param {ArrayBuffer|Uint8Array} firstChunk - First bytes of the file
+     * @returns {Object} Encoding details and a decode(chunk, isLast) function
+     */
+    createStream(firstChunk) {
+        const bytes = firstChunk instanceof Uint8Array ? firstChunk : new Uint8Array(firstChunk);
+        const { encoding, declaredCharset, hasBom } = this.detectEncoding(bytes);
+
+        // Multi-byte characters and ANSEL diacritics may straddle chunk boundaries
+        const textDecoder = encoding === 'ansel' ? null : new TextDecoder(encoding);
+        const anselState = { pendingMarks: '' };
+
+        return {
+            encoding: encoding,
+            declaredCharset: declaredCharset,
+            hasBom: hasBom,
+            decode: (chunk, isLast = false) => {
+                const chunkBytes = chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk);
+                return textDecoder
+                    ? textDecoder.decode(chunkBytes, { stream: !isLast })
+                    : this.decodeAnsel(chunkBytes, anselState);
+            }
+        };
+    }
+
+    /**
+     * Work out which encoding to decode with
+     * Byte order marks win over HEAD.CHAR, which wins over guessing
+     * @param {Uint8Array} bytes - Raw file content
+     * @returns {Object} Encoding label, declared CHAR value and whether a BOM was found
+     */
+    detectEncoding(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { encoding: 'utf-8', declaredCharset: this.readDeclaredCharset(bytes), hasBom: true };
+        }
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { encoding: 'utf-16le', declaredCharset: null, hasBom: true };
+        }
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { encoding: 'utf-16be', declaredCharset: null, hasBom: true };
+        }
+
+        // UTF-16 without a BOM: the leading "0" of "0 HEAD" is padded with a null byte
+        if (bytes[0] === 0x30 && bytes[1] === 0x00) {
+            return { encoding: 'utf-16le', declaredCharset: null, hasBom: false };
+        }
+        if (bytes[0] === 0x00 && bytes[1] === 0x30) {
+            return { encoding: 'utf-16be', declaredCharset: null, hasBom: false };
+        }
+
+        const declaredCharset = this.readDeclaredCharset(bytes);
+        const encoding = declaredCharset
+            ? GedcomDecoder.CHARSET_ENCODINGS[declaredCharset.toUpperCase()]
+            : null;
+
+        if (encoding) {
+            return { encoding, declaredCharset, hasBom: false };
+        }
+
+        // No usable declaration: UTF-8 if the bytes are valid UTF-8, otherwise ANSI
+        return {
+            encoding: this.isValidUtf8(bytes) ? 'utf-8' : 'windows-1252',
+            declaredCharset: declaredCharset,
+            hasBom: false
+        };
+    }
+
+    /**
+     * Read the CHAR value from the HEAD record
+     * The header is plain ASCII in every 8-bit GEDCOM encoding, so it is read byte by byte
+     * @param {Uint8Array} bytes - Raw file content
+     * @returns {string|null} Declared character set, or null if there is none
+     */
+    readDeclaredCharset(bytes) {
+        const headerLength = Math.min(bytes.length, GedcomDecoder.HEADER_SCAN_BYTES);
+        let header = '';
+        for (let i = 0; i < headerLength; i++) {
+            header += String.fromCharCode(bytes[i]);
+        }
+
+        const lines = header.split(/\r\n|\r|\n/);
+        for (let i = 1; i < lines.length; i++) {
+            const line = lines[i].trim();
+
+            // The header ends at the next level-0 record
+            if (/^0\s/.test(line)) break;
+
+            const match = line.match(/^1\s+CHAR\s+(.+)$/);
+            if (match) {
+                return match[1].trim();
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether bytes form valid UTF-8
+     * A character cut off at the very end is allowed, since the bytes may be the first chunk of a file
+     * @param {Uint8Array} bytes - Raw file content
+     * @returns {boolean} True if the bytes decode as UTF-8 without errors
+     */
+    isValidUtf8(bytes) {
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Decode ANSEL (ANSI Z39.47) bytes
+     * ANSEL writes combining diacritics before the letter they modify, Unicode after it,
+     * so pending marks are held until the base character arrives
+     * @param {Uint8Array} bytes - Raw file content
+     * @param {Object} [state] - Marks left pending by the previous chunk, when decoding in chunks
+     * @returns {string} Decoded text in Unicode NFC form
+     */
+    decodeAnsel(bytes, state = { pendingMarks: '' }) {
+        let text = '';
+        let pendingMarks = state.pendingMarks;
+
+        for (let i = 0; i < bytes.length; i++) {
+            const byte = bytes[i];
+
+            if (byte >= 0xE0 && GedcomDecoder.ANSEL_COMBINING[byte]) {
+                pendingMarks += GedcomDecoder.ANSEL_COMBINING[byte];
+                continue;
+            }
+
+            let char;
+            if (byte < 0x80) {
+                char = String.fromCharCode(byte);
+            } else {
+                char = GedcomDecoder.ANSEL_SPACING[byte] || '\uFFFD';
+            }
+
+            // Line breaks never carry diacritics; drop marks left dangling at the end of a line
+            if (char === '\n' || char === '\r') {
+                pendingMarks = '';
+            }
+
+            text += char + pendingMarks;
+            pendingMarks = '';
+        }
+
+        state.pendingMarks = pendingMarks;
+        return text.normalize('NFC');
+    }
+}
+
+// Bytes of the file inspected when looking for HEAD.CHAR
+GedcomDecoder.HEADER_SCAN_BYTES = 4096;
+
+// HEAD.CHAR values mapped to decoding labels ('ansel' is handled by decodeAnsel)
+GedcomDecoder.CHARSET_ENCODINGS = {
+    'ANSEL': 'ansel',
+    'UTF-8': 'utf-8',
+    'UTF8': 'utf-8',
+    'UNICODE': 'utf-16le',
+    'UTF-16': 'utf-16le',
+    'UTF-16LE': 'utf-16le',
+    'UTF-16BE': 'utf-16be',
+    'ANSI': 'windows-1252',
+    'WINDOWS-1252': 'windows-1252',
+    'CP1252': 'windows-1252',
+    'ISO-8859-1': 'windows-1252',
+    'LATIN1': 'windows-1252',
+    'IBMPC': 'windows-1252',
+    'ASCII': 'windows-1252',
+    'MACINTOSH': 'macintosh'
+};
+
+// ANSEL spacing characters (0xA1-0xCF): the GEDCOM 5.5 additions 0xBE-0xBF and 0xCD-0xCF,
+// and the later MARC-21 codes 0xC7 and 0xC8
+GedcomDecoder.ANSEL_SPACING = {
+    0xA1: 'Ł', 0xA2: 'Ø', 0xA3: 'Đ', 0xA4: 'Þ', 0xA5: 'Æ',
+    0xA6: 'Œ', 0xA7: 'ʹ', 0xA8: '·', 0xA9: '♭', 0xAA: '®',
+    0xAB: '±', 0xAC: 'Ơ', 0xAD: 'Ư', 0xAE: 'ʼ', 0xB0: 'ʻ',
+    0xB1: 'ł', 0xB2: 'ø', 0xB3: 'đ', 0xB4: 'þ', 0xB5: 'æ',
+    0xB6: 'œ', 0xB7: 'ʺ', 0xB8: 'ı', 0xB9: '£', 0xBA: 'ð',
+    0xBC: 'ơ', 0xBD: 'ư', 0xBE: '□', 0xBF: '■', 0xC0: '°',
+    0xC1: 'ℓ', 0xC2: '℗', 0xC3: '©', 0xC4: '♯', 0xC5: '¿',
+    0xC6: '¡', 0xC7: 'ß', 0xC8: '€', 0xCD: 'e', 0xCE: 'o',
+    0xCF: 'ß'
+};
+
+// ANSEL combining diacritics (0xE0-0xFE) mapped to Unicode combining marks
+GedcomDecoder.ANSEL_COMBINING = {
+    0xE0: '\u0309', 0xE1: '\u0300', 0xE2: '\u0301', 0xE3: '\u0302', 0xE4: '\u0303',
+    0xE5: '\u0304', 0xE6: '\u0306', 0xE7: '\u0307', 0xE8: '\u0308', 0xE9: '\u030C',
+    0xEA: '\u030A', 0xEB: '\uFE20', 0xEC: '\uFE21', 0xED: '\u0315', 0xEE: '\u030B',
+    0xEF: '\u0310', 0xF0: '\u0327', 0xF1: '\u0328', 0xF2: '\u0323', 0xF3: '\u0324',
+    0xF4: '\u0325', 0xF5: '\u0333', 0xF6: '\u0332', 0xF7: '\u0326', 0xF8: '\u031C',
+    0xF9: '\u032E', 0xFA: '\uFE22', 0xFB: '\uFE23', 0xFE: '\u0313'
+};
+
+// Export for use in Chrome extension
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GedcomDecoder;
+} else if (typeof window !== 'undefined') {
+    window.GedcomDecoder = GedcomDecoder;
+}
@@ -1,11 +1,22 @@
 /**
  * GEDCOM Parser for Family Tree Visualization
- * Handles parsing of GEDCOM 5.5.1 format files
+ * Handles parsing of GEDCOM 5.5.1 and 7.0 format files
  *
  * Key Features:
- * - Parse INDI (individual) and FAM (family) records
+ * - Parse INDI (individual), FAM (family), SOUR (source) and REPO (repository) records
+ * - Parse OBJE (multimedia) records and the photos and files linked to each person,
+ *   with file, form, title and primary flag
+ * - Capture source citations with page, quality, data and the fact they support
+ * - Resolve shared NOTE records referenced by xref
+ * - Keep every NAME with its type and name pieces (NPFX, GIVN, NICK, SPFX, SURN, NSFX)
+ * - Keep every parent family with its pedigree type (PEDI) and status (STAT)
  * - Extract names, dates, places, and relationships
- * - Handle UTF-8 and ANSEL character encoding
+ * - Parse every individual and family event with date, place, age, cause and address
+ * - Works on text already decoded by GedcomDecoder (UTF-8, ANSEL, ANSI, UTF-16)
+ * - Parse the whole file at once, or stream it in chunks (see gedcom-worker.js)
+ * - Read the GEDCOM version from the header and map 7.0 structures (SNOTE, EXID, SDATE, NO,
+ *   PHRASE, @VOID@, calendar keywords) onto the same model; SCHMA extension tags resolve to URIs
+ * - Keep a lossless node tree of every record, including unknown and vendor tags
  * - Normalize data for family tree visualization
  */
 
@@ -13,41 +24,33 @@ class GedcomParser {
     constructor() {
         this.individuals = new Map();
         this.families = new Map();
+        this.sources = new Map();
+        this.repositories = new Map();
+        this.notes = new Map();
+        this.media = new Map(); // OBJE records
+        this.records = []; // Lossless level/tag/value/children tree of every record, in file order
+        this.header = this.createHeaderRecord();
         this.rawData = null;
         this.errors = [];
         this.warnings = [];
+        this.streamBuffer = ''; // Unfinished line carried over to the next chunk
+        this.streamLineCount = 0;
+        this.streamRecordLines = []; // Lines of the record being read
     }
 
     /**
      * Parse GEDCOM file content
      * @param {string} gedcomContent - Raw GEDCOM file content
-     * @returns {Object} Parsed data with individuals and families
+     * @returns {Object} Parsed data with individuals, families, sources and repositories
      */
     parse(gedcomContent) {
-        this.reset();
-        this.rawData = gedcomContent;
-
         try {
-            const lines = this.preprocessLines(gedcomContent);
-            this.parseLines(lines);
-            this.linkFamilyRelationships();
-
-            return {
-                success: true,
-                individuals: Array.from(this.individuals.values()),
-                families: Array.from(this.families.values()),
-                stats: this.getParsingStats(),
-                errors: this.errors,
-                warnings: this.warnings
-            };
+            this.startStream();
+            this.rawData = gedcomContent;
+            this.parseChunk(gedcomContent);
+            return this.finishStream();
         } catch (error) {
-            this.errors.push(`Critical parsing error: ${error.message}`);
-            return {
-                success: false,
-                error: error.message,
-                errors: this.errors,
-                warnings: this.warnings
-            };
+            return this.createFailureResult(error);
         }
     }
 
@@ -57,32 +60,185 @@ class GedcomParser {
     reset() {
         this.individuals.clear();
         this.families.clear();
+        this.sources.clear();
+        this.repositories.clear();
+        this.notes.clear();
+        this.media.clear();
+        this.records = [];
+        this.header = this.createHeaderRecord();
         this.errors = [];
         this.warnings = [];
         this.rawData = null;
+        this.streamBuffer = '';
+        this.streamLineCount = 0;
+        this.streamRecordLines = [];
+    }
+
+    /**
+     * Start parsing a file that will arrive in chunks
+     * Call parseChunk for each piece of text, then finishStream for the result
+     */
+    startStream() {
+        this.reset();
+    }
+
+    /**
+     * Parse the next piece of GEDCOM text
+     * Chunks may end anywhere, even mid-line; the unfinished line is kept for the next chunk
+     * @param {string} text - Decoded GEDCOM text
+     */
+    parseChunk(text) {
+        if (typeof text !== 'string') {
+            throw new TypeError('GEDCOM content must be a string');
+        }
+
+        let content = this.streamBuffer + text;
+
+        // A trailing \r may be the first half of a \r\n split across chunks
+        let heldBack = '';
+        if (content.endsWith('\r')) {
+            heldBack = '\r';
+            content = content.slice(0, -1);
+        }
+
+        const rawLines = content.split(/\r\n|\r|\n/);
+        this.streamBuffer = rawLines.pop() + heldBack;
+
+        rawLines.forEach(rawLine => this.processRawLine(rawLine));
+    }
+
+    /**
+     * Parse whatever text is left and return the parsed data
+     * @returns {Object} Parsed data, in the same shape as parse()
+     */
+    finishStream() {
+        this.processRawLine(this.streamBuffer.replace(/\r$/, ''));
+        this.streamBuffer = '';
+        this.flushRecord();
+
+        this.resolveNoteReferences();
+        this.resolveMediaReferences();
+        this.applyVitalEvents();
+        this.linkFamilyRelationships();
+
+        return {
+            success: true,
+            individuals: Array.from(this.individuals.values()),
+            families: Array.from(this.families.values()),
+            sources: Array.from(this.sources.values()),
+            repositories: Array.from(this.repositories.values()),
+            notes: Array.from(this.notes.values()),
+            media: Array.from(this.media.values()),
+            records: this.records,
+            header: this.header,
+            stats: this.getParsingStats(),
+            errors: this.errors,
+            warnings: this.warnings
+        };
+    }
+
+    /**
+     * Build the result returned when parsing fails
+     * @param {Error} error - Error that stopped parsing
+     * @returns {Object} Failure result
+     */
+    createFailureResult(error) {
+        this.errors.push(`Critical parsing error: ${error.message}`);
+        return {
+            success: false,
+            error: error.message,
+            errors: this.errors,
+            warnings: this.warnings
+        };
+    }
+
+    /**
+     * Report how far parsing has got
+     * @returns {Object} Lines read and records parsed so far
+     */
+    getProgress() {
+        return {
+            lines: this.streamLineCount,
+            records: this.individuals.size + this.families.size + this.sources.size +
+                this.repositories.size + this.notes.size + this.media.size
+        };
+    }
+
+    /**
+     * Parse one raw line of text and queue it with the record it belongs to
+     * A record is only processed once the next level-0 line shows it is complete,
+     * so CONC/CONT lines can be joined before any value is used
+     * @param {string} rawLine - Line without its line ending
+     */
+    processRawLine(rawLine) {
+        const lineNumber = ++this.streamLineCount;
+
+        // Only strip leading whitespace - trailing spaces are significant for CONC values
+        const line = rawLine.replace(/^\s+/, '');
+        if (!line.trim()) return; // Skip empty lines
+
+        const parsed = this.parseLine(line, lineNumber);
+        if (!parsed) return;
+
+        if (parsed.level === 0) {
+            this.flushRecord();
+        }
+        this.streamRecordLines.push(parsed);
+    }
+
+    /**
+     * Process the lines queued for the current record
+     */
+    flushRecord() {
+        if (this.streamRecordLines.length === 0) return;
+
+        const lines = this.mergeContinuationLines(this.streamRecordLines);
+        // Parse first, so extension tags declared in the header's SCHMA are known when building nodes
+        this.parseLines(lines);
+        this.records.push(...this.buildNodeTree(lines));
+        this.streamRecordLines = [];
     }
 
     /**
-     * Preprocess GEDCOM lines - handle encoding and split into array
-     * @param {string} content - Raw GEDCOM content
-     * @returns {Array} Array of line objects with level, tag, value, and xref
+     * Build the lossless node tree for a group of lines
+     * Every line is kept, including vendor tags (_UID, _APID, ...) and tags the parser doesn't know
+     * @param {Array} lines - Line objects with continuation lines already joined
+     * @returns {Array} Top-level nodes of the form { level, xref, tag, value, lineNumber, children }
      */
-    preprocessLines(content) {
-        // Handle different line endings
-        const rawLines = content.replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
-        const lines = [];
+    buildNodeTree(lines) {
+        const roots = [];
+        const stack = [];
+
+        for (const line of lines) {
+            const node = {
+                level: line.level,
+                xref: line.xref,
+                tag: line.tag,
+                value: line.value,
+                lineNumber: line.lineNumber,
+                children: []
+            };
+
+            // Only extension tags declared in SCHMA carry a URI, to keep the tree small
+            const uri = this.resolveTagUri(line.tag);
+            if (uri) {
+                node.uri = uri;
+            }
 
-        for (let i = 0; i < rawLines.length; i++) {
-            const line = rawLines[i].trim();
-            if (!line) continue; // Skip empty lines
+            // Attach to the nearest open line with a lower level, even if levels were skipped
+            while (stack.length > 0 && stack[stack.length - 1].level >= line.level) {
+                stack.pop();
+            }
 
-            const parsed = this.parseLine(line, i + 1);
-            if (parsed) {
-                lines.push(parsed);
+            if (stack.length > 0) {
+                stack[stack.length - 1].children.push(node);
+            } else {
+                roots.push(node);
             }
+            stack.push(node);
         }
 
-        return lines;
+        return roots;
     }
 
     /**
@@ -93,7 +249,7 @@ class GedcomParser {
      */
     parseLine(line, lineNumber) {
         // GEDCOM line format: LEVEL [XREF] TAG [VALUE]
-        const match = line.match(/^(\d+)\s*(@[^@]+@)?\s*([A-Z_][A-Z0-9_]*)\s*(.*)?$/);
+        const match = line.match(/^(\d+)\s*(@[^@]+@)?\s*([A-Z_][A-Z0-9_]*)(?:\s(.*))?$/);
 
         if (!match) {
             this.warnings.push(`Line ${lineNumber}: Invalid GEDCOM format - ${line}`);
@@ -101,16 +257,93 @@ class GedcomParser {
         }
 
         const [, level, xref, tag, value] = match;
+        const isContinuation = tag === 'CONC' || tag === 'CONT';
 
         return {
             level: parseInt(level),
             xref: xref || null,
             tag: tag,
-            value: value ? value.trim() : '',
+            // Keep trailing spaces until continuations are merged, so a word split on either side of a space joins back correctly
+            value: value ? (isContinuation ? value : value.trimStart()) : '',
             lineNumber
         };
     }
 
+    /**
+     * Fold CONC/CONT lines into the value of the line they continue
+     * CONT starts a new line of text, CONC appends directly to the current one;
+     * trailing whitespace is trimmed only from the merged value
+     * @param {Array} lines - Preprocessed line objects
+     * @returns {Array} Line objects with continuation lines removed
+     */
+    mergeContinuationLines(lines) {
+        const merged = [];
+        const lastLineAtLevel = [];
+
+        for (const line of lines) {
+            if (line.tag === 'CONC' || line.tag === 'CONT') {
+                const parentLine = lastLineAtLevel[line.level - 1];
+
+                if (!parentLine) {
+                    this.warnings.push(`Line ${line.lineNumber}: ${line.tag} without a preceding line to continue`);
+                    continue;
+                }
+
+                const separator = line.tag === 'CONT' ? '\n' : '';
+                parentLine.value = `${parentLine.value}${separator}${line.value}`;
+                continue;
+            }
+
+            lastLineAtLevel[line.level] = line;
+            lastLineAtLevel.length = line.level + 1;
+            merged.push(line);
+        }
+
+        merged.forEach(line => {
+            line.value = line.value.trimEnd();
+        });
+        return merged;
+    }
+
+    /**
+     * Rewrite a GEDCOM 7 line into its 5.5.1 equivalent so the record processors can share one model
+     * SNOTE pointers become NOTE pointers, @VOID@ pointers become empty and a leading @@ is unescaped
+     * @param {Object} line - Line object
+     * @returns {Object} The same line, or a normalized copy (the original stays untouched for the node tree)
+     */
+    normalizeVersion7Line(line) {
+        let { tag, value } = line;
+
+        if (value === '@VOID@') {
+            value = ''; // A pointer to nothing, e.g. an unknown father
+        } else if (value.startsWith('@@')) {
+            value = value.slice(1);
+        }
+
+        if (tag === 'SNOTE' && line.level > 0) {
+            tag = 'NOTE';
+        }
+
+        return tag === line.tag && value === line.value ? line : { ...line, tag, value };
+    }
+
+    /**
+     * Check whether the file declared GEDCOM 7 in its header
+     * @returns {boolean} True for GEDCOM 7.x files
+     */
+    isVersion7() {
+        return /^7\./.test(this.header.version || '');
+    }
+
+    /**
+     * Look up the URI an extension tag was declared with in HEAD.SCHMA
+     * @param {string} tag - Line tag
+     * @returns {string|null} URI, or null for standard and undeclared tags
+     */
+    resolveTagUri(tag) {
+        return tag.startsWith('_') ? this.header.schema[tag] || null : null;
+    }
+
     /**
      * Parse all lines and build records
      * @param {Array} lines - Preprocessed line objects
@@ -119,17 +352,32 @@ class GedcomParser {
         let currentRecord = null;
         let recordStack = [];
 
-        for (const line of lines) {
-            const { level, xref, tag, value } = line;
+        for (const sourceLine of lines) {
+            const line = this.isVersion7() ? this.normalizeVersion7Line(sourceLine) : sourceLine;
+            const { level, xref, tag } = line;
 
             if (level === 0) {
                 // Start new record
-                if (tag === 'INDI' && xref) {
+                if (tag === 'HEAD') {
+                    currentRecord = this.header;
+                } else if (tag === 'INDI' && xref) {
                     currentRecord = this.createIndividualRecord(xref);
                     this.individuals.set(xref, currentRecord);
                 } else if (tag === 'FAM' && xref) {
                     currentRecord = this.createFamilyRecord(xref);
                     this.families.set(xref, currentRecord);
+                } else if (tag === 'SOUR' && xref) {
+                    currentRecord = this.createSourceRecord(xref);
+                    this.sources.set(xref, currentRecord);
+                } else if (tag === 'REPO' && xref) {
+                    currentRecord = this.createRepositoryRecord(xref);
+                    this.repositories.set(xref, currentRecord);
+                } else if ((tag === 'NOTE' || tag === 'SNOTE') && xref) {
+                    currentRecord = this.createNoteRecord(xref, line.value);
+                    this.notes.set(xref, currentRecord);
+                } else if (tag === 'OBJE' && xref) {
+                    currentRecord = this.createMediaRecord(xref);
+                    this.media.set(xref, currentRecord);
                 } else {
                     currentRecord = null; // Skip other record types for now
                 }
@@ -150,14 +398,8 @@ class GedcomParser {
         return {
             id: xref,
             type: 'individual',
-            name: {
-                full: '',
-                given: '',
-                surname: '',
-                nickname: '',
-                prefix: '',
-                suffix: ''
-            },
+            name: this.createName(''), // Primary (first) name
+            names: [], // Every NAME in file order, including the primary one
             sex: 'U', // Unknown
             birth: {
                 date: null,
@@ -170,11 +412,14 @@ class GedcomParser {
                 notes: null
             },
             events: [],
+            nonEvents: [], // NO assertions (GEDCOM 7): events known not to have happened
             attributes: [],
             families: {
                 child: [], // Families where this person is a child
+                childLinks: [], // { familyId, pedigree, status } for each child family
                 spouse: []  // Families where this person is a spouse
             },
+            media: [], // { id, file, form, title, primary } for each linked OBJE file
             notes: [],
             sources: []
         };
@@ -203,81 +448,165 @@ class GedcomParser {
                 notes: null
             },
             events: [],
+            nonEvents: [],
+            attributes: [],
+            childCount: null, // NCHI, when the file records it
             notes: [],
             sources: []
         };
     }
 
+    /**
+     * Create source record structure
+     * @param {string} xref - Unique identifier
+     * @returns {Object} Source record
+     */
+    createSourceRecord(xref) {
+        return {
+            id: xref,
+            type: 'source',
+            title: '',
+            abbreviation: '',
+            author: '',
+            publication: '',
+            text: '',
+            agency: '',
+            repositories: [], // { id, callNumbers: [{ number, media }] }
+            notes: []
+        };
+    }
+
+    /**
+     * Create repository record structure
+     * @param {string} xref - Unique identifier
+     * @returns {Object} Repository record
+     */
+    createRepositoryRecord(xref) {
+        return {
+            id: xref,
+            type: 'repository',
+            name: '',
+            address: null,
+            notes: []
+        };
+    }
+
+    /**
+     * Create shared note record structure
+     * @param {string} xref - Unique identifier
+     * @param {string} text - Note text, with continuation lines already joined
+     * @returns {Object} Note record
+     */
+    createNoteRecord(xref, text) {
+        return {
+            id: xref,
+            type: 'note',
+            text: text || ''
+        };
+    }
+
+    /**
+     * Create multimedia (OBJE) record structure
+     * @param {string} xref - Unique identifier
+     * @returns {Object} Media record
+     */
+    createMediaRecord(xref) {
+        return {
+            id: xref,
+            type: 'media',
+            title: null,
+            form: null, // GEDCOM 5.5 puts FORM on the record rather than on each FILE
+            primary: false, // _PRIM Y marks the person's preferred photo
+            files: [], // { file, form, title }
+            notes: []
+        };
+    }
+
+    /**
+     * Create header structure
+     * @returns {Object} Header with GEDCOM version and extension tag schema
+     */
+    createHeaderRecord() {
+        return {
+            type: 'header',
+            version: null, // GEDC.VERS, e.g. "5.5.1" or "7.0"
+            schema: {} // Extension tag -> URI, from SCHMA.TAG (GEDCOM 7)
+        };
+    }
+
     /**
      * Process sub-record based on level and tag
+     * recordStack[0] is the record; recordStack[n] is the context opened by the last level-n line
      * @param {Object} line - Current line object
      * @param {Array} recordStack - Stack of current record context
      */
     processSubRecord(line, recordStack) {
-        const { level, tag, value, xref } = line;
+        const { level } = line;
         const currentRecord = recordStack[0];
 
         if (!currentRecord) return;
 
-        // Adjust record stack based on level
+        // Adjust record stack based on level so recordStack[level - 1] is this line's parent
         while (recordStack.length > level) {
             recordStack.pop();
         }
+        while (recordStack.length < level) {
+            recordStack.push(null);
+        }
 
-        if (currentRecord.type === 'individual') {
-            this.processIndividualField(line, currentRecord, recordStack);
+        const parent = level > 1 ? recordStack[level - 1] : null;
+        let context = null;
+
+        if (level > 1 && parent && parent.citation) {
+            context = this.processCitationDetail(line, parent);
+        } else if (currentRecord.type === 'individual') {
+            context = this.processIndividualField(line, currentRecord, parent);
         } else if (currentRecord.type === 'family') {
-            this.processFamilyField(line, currentRecord, recordStack);
+            context = this.processFamilyField(line, currentRecord, parent);
+        } else if (currentRecord.type === 'source') {
+            context = this.processSourceField(line, currentRecord, parent);
+        } else if (currentRecord.type === 'repository') {
+            context = this.processRepositoryField(line, currentRecord, parent);
+        } else if (currentRecord.type === 'media') {
+            context = this.processMediaField(line, currentRecord, parent);
+        } else if (currentRecord.type === 'header') {
+            context = this.processHeaderField(line, currentRecord, parent);
         }
+
+        // Every line opens a context, so nested lines can always see their parent tag
+        recordStack.push(context || { tag: line.tag });
     }
 
     /**
      * Process individual record fields
      * @param {Object} line - Current line
      * @param {Object} individual - Individual record
-     * @param {Array} recordStack - Record context stack
+     * @param {Object|null} parent - Context opened by the parent line (null for level 1)
+     * @returns {Object|null} Context for lines nested under this one
      */
-    processIndividualField(line, individual, recordStack) {
+    processIndividualField(line, individual, parent) {
         const { level, tag, value, xref } = line;
 
+        if (level > 1) {
+            return this.processNestedField(line, individual, parent);
+        }
+
         switch (tag) {
             case 'NAME':
-                this.parseName(value, individual);
-                break;
+                return { tag, name: this.parseName(value, individual) };
 
             case 'SEX':
                 individual.sex = value.toUpperCase();
                 break;
 
-            case 'BIRT':
-                recordStack.push('birth');
-                break;
-
-            case 'DEAT':
-                recordStack.push('death');
-                break;
-
-            case 'DATE':
-                if (recordStack.includes('birth')) {
-                    individual.birth.date = this.parseDate(value);
-                } else if (recordStack.includes('death')) {
-                    individual.death.date = this.parseDate(value);
-                }
-                break;
-
-            case 'PLAC':
-                if (recordStack.includes('birth')) {
-                    individual.birth.place = value;
-                } else if (recordStack.includes('death')) {
-                    individual.death.place = value;
-                }
-                break;
-
             case 'FAMC':
                 // Family where this person is a child
                 if (xref || value.match(/@.+@/)) {
                     const familyId = xref || value.match(/@[^@]+@/)[0];
+                    const link = { familyId, pedigree: null, status: null };
                     individual.families.child.push(familyId);
+                    individual.families.childLinks.push(link);
+                    return { tag, parentFamily: link };
                 }
                 break;
 
@@ -293,143 +622,1199 @@ class GedcomParser {
                 individual.notes.push(value);
                 break;
 
+            case 'SOUR':
+                return this.createCitation(line, individual, null);
+
+            case 'OBJE': {
+                // A pointer to an OBJE record, or an inline description of the files
+                const pointer = value.match(/^@[^@]+@$/);
+                const link = this.createMediaRecord(pointer ? pointer[0] : null);
+                individual.media.push(link);
+                return { tag, media: link };
+            }
+
+            case 'NO': {
+                const nonEvent = this.createNonEvent(value);
+                individual.nonEvents.push(nonEvent);
+                return { tag, nonEvent };
+            }
+
             default:
-                // Handle other attributes as general attributes
-                if (level === 1) {
-                    individual.attributes.push({
-                        tag: tag,
-                        value: value
-                    });
+                if (GedcomParser.INDIVIDUAL_EVENTS[tag] || GedcomParser.INDIVIDUAL_ATTRIBUTES[tag]) {
+                    const event = this.createEvent(line, GedcomParser.INDIVIDUAL_EVENTS[tag] || GedcomParser.INDIVIDUAL_ATTRIBUTES[tag]);
+                    event.isAttribute = !GedcomParser.INDIVIDUAL_EVENTS[tag];
+                    individual.events.push(event);
+                    return { tag, event };
                 }
-                break;
+
+                // Handle other attributes as general attributes
+                return this.createAttribute(line, individual);
         }
+
+        return null;
     }
 
     /**
-     * Process family record fields
+     * Process a level 2+ line of an individual or family record
      * @param {Object} line - Current line
-     * @param {Object} family - Family record
-     * @param {Array} recordStack - Record context stack
+     * @param {Object} record - Individual or family record
+     * @param {Object|null} parent - Context opened by the parent line
+     * @returns {Object|null} Context for lines nested under this one
      */
-    processFamilyField(line, family, recordStack) {
-        const { level, tag, value, xref } = line;
-
-        switch (tag) {
-            case 'HUSB':
-                family.husband = xref || value.match(/@[^@]+@/)?.[0];
-                break;
-
-            case 'WIFE':
-                family.wife = xref || value.match(/@[^@]+@/)?.[0];
-                break;
-
-            case 'CHIL':
-                const childId = xref || value.match(/@[^@]+@/)?.[0];
-                if (childId) {
-                    family.children.push(childId);
-                }
-                break;
-
-            case 'MARR':
-                recordStack.push('marriage');
-                break;
+    processNestedField(line, record, parent) {
+        const { tag, value } = line;
 
-            case 'DIV':
-                recordStack.push('divorce');
-                break;
+        if (tag === 'SOUR') {
+            return this.createCitation(line, record, parent);
+        }
+        if (parent && parent.dateOwner && tag === 'PHRASE') {
+            this.applyDatePhrase(parent, value);
+            return null;
+        }
+        if (parent && parent.attribute && tag === 'TYPE') {
+            parent.attribute.type = value; // e.g. the authority of an EXID or REFN
+            return null;
+        }
+        if (parent && parent.nonEvent) {
+            return this.processNonEventDetail(line, parent.nonEvent);
+        }
+        if (parent && (parent.media || parent.mediaFile)) {
+            return this.processMediaField(line, parent.media, parent);
+        }
+        if (parent && parent.name && parent.tag === 'TYPE' && tag === 'PHRASE') {
+            parent.name.type = value.trim() || parent.name.type; // Describes a TYPE of OTHER
+            return null;
+        }
+        if (parent && parent.parentFamily && (tag === 'PEDI' || tag === 'STAT')) {
+            // PEDI: birth, adopted, foster, sealing; STAT: challenged, disproven, proven
+            parent.parentFamily[tag === 'PEDI' ? 'pedigree' : 'status'] = value.trim().toLowerCase() || null;
+            return null;
+        }
+        if (parent && parent.name && GedcomParser.NAME_PIECES[tag]) {
+            this.applyNamePiece(parent.name, tag, value);
+            return tag === 'TYPE' ? { tag, name: parent.name } : null;
+        }
+        if (parent && parent.event) {
+            return this.processEventDetail(line, parent);
+        }
+        if (tag === 'NOTE') {
+            record.notes.push(value);
+        }
+        return null;
+    }
 
-            case 'DATE':
-                if (recordStack.includes('marriage')) {
-                    family.marriage.date = this.parseDate(value);
-                } else if (recordStack.includes('divorce')) {
-                    family.divorce.date = this.parseDate(value);
-                }
-                break;
+    /**
+     * Create a general attribute for a level 1 tag the parser has no field for (REFN, EXID, vendor tags, ...)
+     * @param {Object} line - Current line
+     * @param {Object} record - Individual or family record
+     * @returns {Object} Context for the attribute's detail lines
+     */
+    createAttribute(line, record) {
+        const attribute = {
+            tag: line.tag,
+            value: line.value,
+            type: null,
+            uri: this.resolveTagUri(line.tag)
+        };
 
-            case 'PLAC':
-                if (recordStack.includes('marriage')) {
-                    family.marriage.place = value;
-                } else if (recordStack.includes('divorce')) {
-                    family.divorce.place = value;
-                }
-                break;
+        record.attributes.push(attribute);
+        return { tag: line.tag, attribute };
+    }
 
-            case 'NOTE':
-                family.notes.push(value);
-                break;
+    /**
+     * Create a NO assertion (GEDCOM 7): the event did not happen, optionally within a date period
+     * Individuals may assert family events too, e.g. NO MARR for someone who never married
+     * @param {string} eventTag - Tag of the event that did not happen
+     * @returns {Object} Non-event record
+     */
+    createNonEvent(eventTag) {
+        const tag = eventTag.trim().toUpperCase();
+        return {
+            tag: tag,
+            type: GedcomParser.INDIVIDUAL_EVENTS[tag] || GedcomParser.FAMILY_EVENTS[tag] || tag,
+            date: null,
+            notes: []
+        };
+    }
 
-            default:
-                if (level === 1) {
-                    family.events.push({
-                        tag: tag,
-                        value: value
-                    });
-                }
-                break;
+    /**
+     * Process a line nested inside a NO assertion
+     * @param {Object} line - Current line
+     * @param {Object} nonEvent - Non-event record
+     * @returns {Object|null} Context for lines nested under this one
+     */
+    processNonEventDetail(line, nonEvent) {
+        if (line.tag === 'DATE') {
+            return this.createDateContext(line, nonEvent, 'date');
         }
+        if (line.tag === 'NOTE') {
+            nonEvent.notes.push(line.value);
+        }
+        return null;
     }
 
     /**
-     * Parse GEDCOM name format (Given /Surname/)
-     * @param {string} nameValue - Raw name value
-     * @param {Object} individual - Individual record to update
+     * Parse a DATE-like line into a field and open a context for its PHRASE
+     * @param {Object} line - DATE or SDATE line
+     * @param {Object} owner - Event, citation or non-event holding the date
+     * @param {string} field - Field of the owner to fill ('date' or 'sortDate')
+     * @returns {Object} Context for lines nested under the date
      */
-    parseName(nameValue, individual) {
-        if (!nameValue) return;
-
-        // GEDCOM name format: Given names /Surname/ Additional names
-        // Look for surname enclosed in forward slashes
-        const surnameMatch = nameValue.match(/\/([^\/]+)\//);
-
-        if (surnameMatch) {
-            const surname = surnameMatch[1].trim();
-            const beforeSurname = nameValue.substring(0, surnameMatch.index).trim();
-            const afterSurname = nameValue.substring(surnameMatch.index + surnameMatch[0].length).trim();
+    createDateContext(line, owner, field) {
+        owner[field] = this.parseDate(line.value);
+        return { tag: line.tag, dateOwner: owner, dateField: field };
+    }
 
-            individual.name.given = beforeSurname;
-            individual.name.surname = surname;
-            individual.name.full = `${beforeSurname} ${surname}`.trim();
+    /**
+     * Attach a GEDCOM 7 PHRASE to the date it explains
+     * A date may be left empty and described only by its phrase
+     * @param {Object} context - Context opened by createDateContext
+     * @param {string} phrase - Free-text phrase
+     */
+    applyDatePhrase(context, phrase) {
+        const date = context.dateOwner[context.dateField];
 
-            // Handle additional name parts (titles, nicknames, etc.)
-            if (afterSurname) {
-                individual.name.suffix = afterSurname;
-            }
-        } else {
-            // No surname markers - treat as given name only
-            individual.name.given = nameValue.trim();
-            individual.name.surname = '';
-            individual.name.full = nameValue.trim();
+        if (!date) {
+            context.dateOwner[context.dateField] = this.parseDate(`(${phrase})`);
+            return;
         }
+
+        date.phrase = phrase;
+        date.display = `${date.display} (${phrase})`;
     }
 
     /**
-     * Parse GEDCOM date formats
-     * @param {string} dateValue - Raw date value
-     * @returns {Object|null} Parsed date object
+     * Create a source citation and attach it to the record
+     * @param {Object} line - SOUR line (pointer or inline description)
+     * @param {Object} record - Individual or family holding the citation
+     * @param {Object|null} parent - Context the citation is nested in (the fact it supports)
+     * @returns {Object} Context for the citation's detail lines
      */
-    parseDate(dateValue) {
-        if (!dateValue) return null;
+    createCitation(line, record, parent) {
+        const pointer = line.value.match(/^@[^@]+@$/);
+        const fact = parent && parent.event ? parent.event : null;
 
-        // Handle common GEDCOM date prefixes
-        const cleanDate = dateValue.replace(/^(ABT|AFT|BEF|BET|CAL|EST)\s+/i, '');
-
-        // Try to parse as a standard date
-        const dateObj = new Date(cleanDate);
-
-        return {
-            raw: dateValue,
-            parsed: isNaN(dateObj.getTime()) ? null : dateObj,
-            display: dateValue // Keep original for display
+        const citation = {
+            sourceId: pointer ? pointer[0] : null,
+            title: pointer ? null : line.value, // Inline sources describe themselves
+            page: null,
+            quality: null,
+            date: null,
+            text: [],
+            notes: [],
+            factTag: fact ? fact.tag : (parent ? parent.tag : null),
+            fact: fact ? fact.type : (parent ? GedcomParser.CITED_FACT_NAMES[parent.tag] || parent.tag : null),
+            // Position of the cited event or name within the record, so the citation can be written back in place
+            factIndex: fact ? record.events.indexOf(fact) : (parent && parent.name ? record.names.indexOf(parent.name) : null)
         };
+
+        record.sources.push(citation);
+        return { tag: line.tag, citation };
     }
 
     /**
-     * Link family relationships after all records are parsed
+     * Process a line nested inside a source citation
+     * @param {Object} line - Current line
+     * @param {Object} parent - Parent context holding the citation
+     * @returns {Object|null} Context for lines nested under this one
      */
-    linkFamilyRelationships() {
-        // Link individuals to families and vice versa
-        for (const individual of this.individuals.values()) {
-            // Link child families
+    processCitationDetail(line, parent) {
+        const { tag, value } = line;
+        const citation = parent.citation;
+
+        switch (tag) {
+            case 'PAGE':
+                citation.page = value;
+                break;
+
+            case 'QUAY':
+                citation.quality = /^[0-3]$/.test(value) ? parseInt(value, 10) : null;
+                break;
+
+            case 'DATA':
+                return { tag, citation };
+
+            case 'DATE':
+                return this.createDateContext(line, citation, 'date');
+
+            case 'TEXT':
+                citation.text.push(value);
+                break;
+
+            case 'NOTE':
+                citation.notes.push(value);
+                break;
+        }
+
+        return null;
+    }
+
+    /**
+     * Process source record fields
+     * @param {Object} line - Current line
+     * @param {Object} source - Source record
+     * @param {Object|null} parent - Context opened by the parent line (null for level 1)
+     * @returns {Object|null} Context for lines nested under this one
+     */
+    processSourceField(line, source, parent) {
+        const { level, tag, value } = line;
+
+        if (level > 1) {
+            if (parent && parent.repository && tag === 'CALN') {
+                const callNumber = { number: value, media: null };
+                parent.repository.callNumbers.push(callNumber);
+                return { tag, callNumber };
+            }
+            if (parent && parent.callNumber && tag === 'MEDI') {
+                parent.callNumber.media = value;
+            } else if (parent && parent.tag === 'DATA' && tag === 'AGNC') {
+                source.agency = value;
+            } else if (tag === 'NOTE') {
+                source.notes.push(value);
+            }
+            return null;
+        }
+
+        switch (tag) {
+            case 'TITL':
+                source.title = value;
+                break;
+
+            case 'ABBR':
+                source.abbreviation = value;
+                break;
+
+            case 'AUTH':
+                source.author = value;
+                break;
+
+            case 'PUBL':
+                source.publication = value;
+                break;
+
+            case 'TEXT':
+                source.text = value;
+                break;
+
+            case 'REPO': {
+                const pointer = value.match(/^@[^@]+@$/);
+                const repository = {
+                    id: pointer ? pointer[0] : null,
+                    name: pointer ? null : (value || null), // Inline repositories carry only a name
+                    callNumbers: []
+                };
+                source.repositories.push(repository);
+                return { tag, repository };
+            }
+
+            case 'NOTE':
+                source.notes.push(value);
+                break;
+        }
+
+        return null;
+    }
+
+    /**
+     * Process header fields
+     * @param {Object} line - Current line
+     * @param {Object} header - Header structure
+     * @param {Object|null} parent - Context opened by the parent line (null for level 1)
+     * @returns {Object|null} Context for lines nested under this one
+     */
+    processHeaderField(line, header, parent) {
+        const { level, tag, value } = line;
+
+        if (level === 2 && parent && parent.tag === 'GEDC' && tag === 'VERS') {
+            header.version = value;
+        } else if (level === 2 && parent && parent.tag === 'SCHMA' && tag === 'TAG') {
+            // 2 TAG _SKYPEID http://xmlns.com/foaf/0.1/skypeID
+            const match = value.match(/^(_[A-Z0-9_]+)\s+(\S+)$/);
+            if (match) {
+                header.schema[match[1]] = match[2];
+            } else {
+                this.warnings.push(`Line ${line.lineNumber}: Invalid extension tag declaration - ${value}`);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Process the fields of an OBJE record, or of an inline OBJE link
+     * 5.5.1 nests FORM and TITL under FILE; 5.5 puts them next to FILE, and 7.0 links may add a TITL caption
+     * @param {Object} line - Current line
+     * @param {Object} media - Media record or link
+     * @param {Object|null} parent - Context opened by the parent line
+     * @returns {Object|null} Context for lines nested under this one
+     */
+    processMediaField(line, media, parent) {
+        const { tag, value } = line;
+
+        if (parent && parent.mediaFile) {
+            if (tag === 'FORM') {
+                parent.mediaFile.form = value || null;
+            } else if (tag === 'TITL') {
+                parent.mediaFile.title = value || null;
+            }
+            return null;
+        }
+
+        // Only direct children describe the object
+        if (parent && parent.media !== media) {
+            return null;
+        }
+
+        switch (tag) {
+            case 'FILE': {
+                const mediaFile = { file: value, form: null, title: null };
+                media.files.push(mediaFile);
+                return { tag, mediaFile };
+            }
+
+            case 'FORM':
+                media.form = value || null;
+                break;
+
+            case 'TITL':
+                media.title = value || null;
+                break;
+
+            case '_PRIM':
+                media.primary = /^Y/i.test(value);
+                break;
+
+            case 'NOTE':
+                media.notes.push(value);
+                break;
+        }
+
+        return null;
+    }
+
+    /**
+     * Process repository record fields
+     * @param {Object} line - Current line
+     * @param {Object} repository - Repository record
+     * @param {Object|null} parent - Context opened by the parent line (null for level 1)
+     * @returns {Object|null} Context for lines nested under this one
+     */
+    processRepositoryField(line, repository, parent) {
+        const { level, tag, value } = line;
+
+        if (level > 1) {
+            if (parent && parent.tag === 'ADDR' && GedcomParser.ADDRESS_PARTS.includes(tag) && value &&
+                !(repository.address || '').includes(value)) {
+                repository.address = repository.address ? `${repository.address}, ${value}` : value;
+            }
+            return null;
+        }
+
+        switch (tag) {
+            case 'NAME':
+                repository.name = value;
+                break;
+
+            case 'ADDR':
+                repository.address = value || null;
+                break;
+
+            case 'NOTE':
+                repository.notes.push(value);
+                break;
+        }
+
+        return null;
+    }
+
+    /**
+     * Create an event or attribute structure (BIRT, RESI, OCCU, EVEN, MARR, ...)
+     * @param {Object} line - Line that opens the event
+     * @param {string} type - Readable event type
+     * @returns {Object} Event record
+     */
+    createEvent(line, type) {
+        return {
+            tag: line.tag,
+            type: type,
+            value: line.value === 'Y' ? '' : line.value, // "Y" only asserts the event happened
+            descriptor: null,
+            isAttribute: false,
+            date: null,
+            sortDate: null, // SDATE (GEDCOM 7): date to sort by when DATE is vague or only a phrase
+            place: null,
+            age: null,
+            cause: null,
+            address: null,
+            notes: []
+        };
+    }
+
+    /**
+     * Process a line nested inside an event structure
+     * @param {Object} line - Current line
+     * @param {Object} parent - Parent context holding the event
+     * @returns {Object|null} Context for lines nested under this one
+     */
+    processEventDetail(line, parent) {
+        const { tag, value } = line;
+        const event = parent.event;
+
+        // Address parts: ADR1, CITY, CTRY, ...
+        if (parent.tag === 'ADDR') {
+            if (GedcomParser.ADDRESS_PARTS.includes(tag) && value && !(event.address || '').includes(value)) {
+                event.address = event.address ? `${event.address}, ${value}` : value;
+            }
+            return null;
+        }
+
+        // Spouse ages in family events: HUSB/WIFE > AGE
+        if (parent.tag === 'HUSB' || parent.tag === 'WIFE') {
+            if (tag === 'AGE') {
+                event[parent.tag === 'HUSB' ? 'husbandAge' : 'wifeAge'] = value;
+            }
+            return null;
+        }
+
+        // Only direct children of the event describe it
+        if (parent.tag !== event.tag) {
+            return null;
+        }
+
+        switch (tag) {
+            case 'DATE':
+                return this.createDateContext(line, event, 'date');
+
+            case 'SDATE':
+                return this.createDateContext(line, event, 'sortDate');
+
+            case 'PLAC':
+                event.place = value;
+                break;
+
+            case 'AGE':
+                event.age = value;
+                break;
+
+            case 'CAUS':
+                event.cause = value;
+                break;
+
+            case 'TYPE':
+                // EVEN and FACT take their type from the descriptor
+                event.descriptor = value;
+                if (event.tag === 'EVEN' || event.tag === 'FACT') {
+                    event.type = value;
+                }
+                break;
+
+            case 'ADDR':
+                event.address = value || null;
+                return { tag, event };
+
+            case 'NOTE':
+                event.notes.push(value);
+                break;
+
+            case 'HUSB':
+            case 'WIFE':
+                if ('husbandAge' in event) {
+                    return { tag, event };
+                }
+                break;
+        }
+
+        return null;
+    }
+
+    /**
+     * Replace shared note pointers with the text of the NOTE record they point to
+     */
+    resolveNoteReferences() {
+        // NOTE @N12@ points at a shared note record; replace the pointer with the note's text
+        const resolve = (notes) => notes
+            .map(note => {
+                if (!/^@[^@]+@$/.test(note)) return note;
+
+                const record = this.notes.get(note);
+                if (!record) {
+                    this.warnings.push(`Note reference ${note} has no matching NOTE record`);
+                    return null;
+                }
+                return record.text;
+            })
+            .filter(note => note !== null);
+
+        const resolveCitations = (citations) => {
+            citations.forEach(citation => {
+                citation.notes = resolve(citation.notes);
+            });
+        };
+
+        for (const record of [...this.individuals.values(), ...this.families.values()]) {
+            record.notes = resolve(record.notes);
+            record.events.forEach(event => {
+                event.notes = resolve(event.notes);
+            });
+            record.nonEvents.forEach(nonEvent => {
+                nonEvent.notes = resolve(nonEvent.notes);
+            });
+            resolveCitations(record.sources);
+        }
+
+        for (const record of [...this.sources.values(), ...this.repositories.values(), ...this.media.values()]) {
+            record.notes = resolve(record.notes);
+        }
+    }
+
+    /**
+     * Replace each person's OBJE links with the files they refer to
+     * Pointers take their files from the OBJE record; a caption on the link wins over the record's title
+     */
+    resolveMediaReferences() {
+        for (const individual of this.individuals.values()) {
+            individual.media = individual.media.flatMap(link => {
+                const record = link.id ? this.media.get(link.id) : link;
+                if (!record) {
+                    this.warnings.push(`Media reference ${link.id} has no matching OBJE record`);
+                    return [];
+                }
+
+                return record.files.map(mediaFile => ({
+                    id: link.id,
+                    file: mediaFile.file,
+                    form: mediaFile.form || record.form || link.form,
+                    title: link.title || mediaFile.title || record.title,
+                    primary: link.primary || record.primary
+                }));
+            });
+        }
+    }
+
+    /**
+     * Fill the birth/death and marriage/divorce summaries from the first matching events
+     */
+    applyVitalEvents() {
+        const summarize = (event) => ({
+            date: event.date,
+            place: event.place,
+            notes: event.notes.length > 0 ? event.notes.join('\n') : null
+        });
+
+        for (const individual of this.individuals.values()) {
+            const birth = individual.events.find(event => event.tag === 'BIRT');
+            const death = individual.events.find(event => event.tag === 'DEAT');
+
+            if (birth) individual.birth = summarize(birth);
+            if (death) individual.death = summarize(death);
+        }
+
+        for (const family of this.families.values()) {
+            const marriage = family.events.find(event => event.tag === 'MARR');
+            const divorce = family.events.find(event => event.tag === 'DIV');
+
+            if (marriage) family.marriage = summarize(marriage);
+            if (divorce) family.divorce = summarize(divorce);
+        }
+    }
+
+    /**
+     * Process family record fields
+     * @param {Object} line - Current line
+     * @param {Object} family - Family record
+     * @param {Object|null} parent - Context opened by the parent line (null for level 1)
+     * @returns {Object|null} Context for lines nested under this one
+     */
+    processFamilyField(line, family, parent) {
+        const { level, tag, value, xref } = line;
+
+        if (level > 1) {
+            return this.processNestedField(line, family, parent);
+        }
+
+        switch (tag) {
+            case 'HUSB':
+                family.husband = xref || value.match(/@[^@]+@/)?.[0];
+                break;
+
+            case 'WIFE':
+                family.wife = xref || value.match(/@[^@]+@/)?.[0];
+                break;
+
+            case 'CHIL':
+                const childId = xref || value.match(/@[^@]+@/)?.[0];
+                if (childId) {
+                    family.children.push(childId);
+                }
+                break;
+
+            case 'NCHI':
+                family.childCount = /^\d+$/.test(value) ? parseInt(value, 10) : value;
+                break;
+
+            case 'NOTE':
+                family.notes.push(value);
+                break;
+
+            case 'SOUR':
+                return this.createCitation(line, family, null);
+
+            case 'NO': {
+                const nonEvent = this.createNonEvent(value);
+                family.nonEvents.push(nonEvent);
+                return { tag, nonEvent };
+            }
+
+            default:
+                if (GedcomParser.FAMILY_EVENTS[tag]) {
+                    const event = this.createEvent(line, GedcomParser.FAMILY_EVENTS[tag]);
+                    event.husbandAge = null;
+                    event.wifeAge = null;
+                    family.events.push(event);
+                    return { tag, event };
+                }
+
+                return this.createAttribute(line, family);
+        }
+
+        return null;
+    }
+
+    /**
+     * Create an empty name structure
+     * @param {string} raw - NAME value as written in the file
+     * @returns {Object} Name structure
+     */
+    createName(raw) {
+        return {
+            raw: raw,
+            full: '',
+            given: '',
+            surname: '',
+            surnamePrefix: '',
+            nickname: '',
+            prefix: '',
+            suffix: '',
+            type: null // birth, married, aka, ... from the TYPE sub-tag
+        };
+    }
+
+    /**
+     * Parse GEDCOM name format (Given /Surname/) and add it to the person's names
+     * The first NAME becomes the primary name
+     * @param {string} nameValue - Raw name value
+     * @param {Object} individual - Individual record to update
+     * @returns {Object} The parsed name, so name pieces can refine it
+     */
+    parseName(nameValue, individual) {
+        const name = this.createName(nameValue || '');
+        const value = (nameValue || '').trim();
+
+        // GEDCOM name format: Given names /Surname/ Additional names
+        // Look for surname enclosed in forward slashes
+        const surnameMatch = value.match(/\/([^\/]*)\//);
+
+        if (surnameMatch) {
+            name.given = value.substring(0, surnameMatch.index).trim();
+            name.surname = surnameMatch[1].trim();
+
+            // Handle additional name parts (titles, nicknames, etc.)
+            name.suffix = value.substring(surnameMatch.index + surnameMatch[0].length).trim();
+        } else {
+            // No surname markers - treat as given name only
+            name.given = value;
+        }
+
+        name.full = this.composeFullName(name);
+
+        individual.names.push(name);
+        if (individual.names.length === 1) {
+            individual.name = name;
+        }
+
+        return name;
+    }
+
+    /**
+     * Apply a name piece sub-tag (GIVN, SURN, NICK, ...) to a parsed name
+     * Pieces are explicit, so they win over what was read from the slashes
+     * @param {Object} name - Name structure to update
+     * @param {string} tag - Name piece tag
+     * @param {string} value - Piece value
+     */
+    applyNamePiece(name, tag, value) {
+        const field = GedcomParser.NAME_PIECES[tag];
+        name[field] = field === 'type' ? (value.trim().toLowerCase() || null) : value.trim();
+        name.full = this.composeFullName(name);
+    }
+
+    /**
+     * Build the display name from given name, surname prefix and surname
+     * @param {Object} name - Name structure
+     * @returns {string} Full name
+     */
+    composeFullName(name) {
+        return [name.given, name.surnamePrefix, name.surname].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Parse GEDCOM date formats
+     * Handles the full 5.5.1 grammar: plain dates, ABT/CAL/EST approximations,
+     * BEF/AFT/BET...AND ranges, FROM...TO periods, INT interpreted dates,
+     * date phrases in parentheses, partial dates and dual years (1731/32),
+     * and the GEDCOM 7 forms (calendar keywords such as JULIAN instead of escapes, BCE)
+     * @param {string} dateValue - Raw date value
+     * @returns {Object|null} Parsed date object
+     */
+    parseDate(dateValue) {
+        if (!dateValue) return null;
+
+        // Some programs put the calendar escape before the qualifier
+        const text = dateValue.trim()
+            .replace(/^(@#D[^@]+@)\s+(ABT|CAL|EST|BEF|AFT|INT)\s+/i, '$2 $1 ');
+        const date = {
+            raw: dateValue,
+            parsed: null,
+            display: dateValue, // Keep original for display
+            qualifier: null,
+            calendar: 'GREGORIAN',
+            converted: null, // Gregorian rendering of non-Gregorian dates
+            start: null,
+            end: null,
+            precision: null,
+            year: null,
+            sortValue: null,
+            uncertain: false,
+            phrase: null
+        };
+
+        // Date phrase only, e.g. "(Stillborn)"
+        const phraseOnly = text.match(/^\((.*)\)$/);
+        if (phraseOnly) {
+            date.phrase = phraseOnly[1].trim();
+            date.uncertain = true;
+            return date;
+        }
+
+        let match;
+        if ((match = text.match(/^BET(?:WEEN)?\.?\s+(.+?)\s+AND\s+(.+)$/i))) {
+            date.qualifier = 'BET';
+            date.start = this.parseDateValue(match[1]);
+            date.end = this.parseDateValue(match[2]);
+        } else if ((match = text.match(/^FROM\s+(.+?)(?:\s+TO\s+(.+))?$/i))) {
+            date.qualifier = 'FROM';
+            date.start = this.parseDateValue(match[1]);
+            date.end = match[2] ? this.parseDateValue(match[2]) : null;
+        } else if ((match = text.match(/^TO\s+(.+)$/i))) {
+            date.qualifier = 'TO';
+            date.end = this.parseDateValue(match[1]);
+        } else if ((match = text.match(/^INT\.?\s+(.*?)\s*(?:\((.*)\))?$/i))) {
+            date.qualifier = 'INT';
+            date.start = this.parseDateValue(match[1]);
+            date.phrase = match[2] ? match[2].trim() : null;
+        } else if ((match = text.match(/^(ABT|ABOUT|CIRCA|CAL|EST|BEF|BEFORE|AFT|AFTER)\.?\s+(.+)$/i))) {
+            date.qualifier = GedcomParser.DATE_QUALIFIER_ALIASES[match[1].toUpperCase()] || match[1].toUpperCase();
+            date.start = this.parseDateValue(match[2]);
+        } else {
+            date.start = this.parseDateValue(text);
+        }
+
+        // BEF only bounds the date from above
+        if (date.qualifier === 'BEF') {
+            date.end = date.start;
+            date.start = null;
+        }
+
+        const primary = date.start || date.end;
+        if (primary) {
+            date.calendar = primary.calendar;
+            date.precision = primary.precision;
+            date.sortValue = primary.dayNumber;
+        }
+
+        if (primary && primary.gregorian) {
+            const { year, month, day } = primary.gregorian;
+            date.year = year;
+
+            const parsed = new Date(0);
+            parsed.setFullYear(year, (month || 1) - 1, day || 1);
+            parsed.setHours(0, 0, 0, 0);
+            date.parsed = parsed;
+        }
+
+        if (date.calendar !== 'GREGORIAN') {
+            // Show the original calendar without the escape, e.g. "3 MAR 1701 (Julian)"
+            const calendarName = GedcomParser.CALENDAR_NAMES[date.calendar] || date.calendar;
+            date.display = `${text.replace(GedcomParser.CALENDAR_MARKER, '')} (${calendarName})`;
+
+            const convertedStart = this.formatGregorianPart(date.start);
+            const convertedEnd = this.formatGregorianPart(date.end);
+            if (convertedStart || convertedEnd) {
+                if (date.qualifier === 'BET') {
+                    date.converted = `BET ${convertedStart} AND ${convertedEnd}`;
+                } else if (date.qualifier === 'FROM' && convertedEnd) {
+                    date.converted = `FROM ${convertedStart} TO ${convertedEnd}`;
+                } else if (date.qualifier === 'BEF' || date.qualifier === 'TO') {
+                    date.converted = `${date.qualifier} ${convertedEnd}`;
+                } else {
+                    date.converted = date.qualifier ? `${date.qualifier} ${convertedStart}` : convertedStart;
+                }
+            }
+        }
+
+        date.uncertain = !primary || (date.qualifier !== null && date.qualifier !== 'FROM' && date.qualifier !== 'TO');
+
+        return date;
+    }
+
+    /**
+     * Parse a single GEDCOM date value ([@#Dcalendar@|CALENDAR] [day] [month] year[/yy] [B.C.|BCE])
+     * @param {string} value - Date value without qualifiers
+     * @returns {Object|null} Date part in its own calendar, with day number and Gregorian equivalent
+     */
+    parseDateValue(value) {
+        if (!value) return null;
+
+        let calendar = 'GREGORIAN';
+        const escape = value.match(/^\s*@#D([^@]+)@\s*/);
+        const keyword = value.match(/^\s*(GREGORIAN|JULIAN|HEBREW|FRENCH_R|_[A-Z0-9_]+)\s+/);
+        if (escape) {
+            calendar = escape[1].trim().toUpperCase();
+            value = value.slice(escape[0].length);
+        } else if (keyword) {
+            // GEDCOM 7 names the calendar with a keyword; FRENCH_R is 5.5.1's "FRENCH R"
+            calendar = keyword[1] === 'FRENCH_R' ? 'FRENCH R' : keyword[1];
+            value = value.slice(keyword[0].length);
+        }
+
+        const months = GedcomParser.CALENDAR_MONTHS[calendar];
+        const romanLike = calendar === 'GREGORIAN' || calendar === 'JULIAN';
+
+        let tokens = value.trim().replace(/,/g, ' ').split(/\s+/).filter(Boolean);
+        let bce = false;
+
+        const eraToken = (tokens[tokens.length - 1] || '').replace(/\./g, '').toUpperCase();
+        if (romanLike && (eraToken === 'BC' || eraToken === 'BCE')) {
+            bce = true;
+            tokens = tokens.slice(0, -1);
+        }
+
+        const yearMatch = (tokens[tokens.length - 1] || '').match(/^(\d{1,4})(?:\/(\d{1,4}))?$/);
+        if (!yearMatch || tokens.length > 3) {
+            return calendar === 'GREGORIAN' ? this.parseFreeformDate(value) : null;
+        }
+
+        let year = parseInt(yearMatch[1], 10);
+        let dualYear = null;
+        let month = null;
+        let day = null;
+
+        if (yearMatch[2]) {
+            // Dual dating: 1731/32 is 1731 Old Style, 1732 New Style
+            const digits = yearMatch[2].length;
+            const unit = Math.pow(10, digits);
+            dualYear = Math.floor(year / unit) * unit + parseInt(yearMatch[2], 10);
+            if (dualYear < year) dualYear += unit;
+        }
+
+        if (tokens.length >= 2) {
+            const monthToken = tokens[tokens.length - 2].toUpperCase();
+            month = months ? months.indexOf(romanLike ? monthToken.slice(0, 3) : monthToken) + 1 : 0;
+            if (month === 0) return calendar === 'GREGORIAN' ? this.parseFreeformDate(value) : null;
+        }
+
+        if (tokens.length === 3) {
+            day = parseInt(tokens[0], 10);
+            if (isNaN(day)) return calendar === 'GREGORIAN' ? this.parseFreeformDate(value) : null;
+        }
+
+        // Astronomical year numbering: 1 B.C. is year 0
+        const effectiveYear = (dualYear || year);
+        const calendarYear = bce ? 1 - effectiveYear : effectiveYear;
+
+        // A day the month doesn't have (31 FEB, 29 FEB 1900, 6 COMP in a common year) is not a date
+        if (day !== null) {
+            const monthLength = this.getMonthLength(calendar, calendarYear, month);
+            if (day < 1 || (monthLength !== null && day > monthLength)) return null;
+        }
+        const dayNumber = this.calendarToDayNumber(calendar, calendarYear, month || 1, day || 1);
+
+        let gregorian = null;
+        if (calendar === 'GREGORIAN') {
+            gregorian = { year: calendarYear, month: month, day: day };
+        } else if (dayNumber !== null) {
+            gregorian = this.dayNumberToGregorian(dayNumber);
+        }
+
+        return {
+            calendar: calendar,
+            year: calendarYear,
+            month: month,
+            day: day,
+            dualYear: dualYear ? `${yearMatch[1]}/${yearMatch[2]}` : null,
+            bce: bce,
+            precision: day ? 'day' : month ? 'month' : 'year',
+            dayNumber: dayNumber,
+            gregorian: gregorian
+        };
+    }
+
+    /**
+     * Fallback for non-standard dates written by some programs (e.g. "January 5, 1950")
+     * @param {string} value - Date value
+     * @returns {Object|null} Date part or null if unparseable
+     */
+    parseFreeformDate(value) {
+        const dateObj = new Date(value);
+        if (isNaN(dateObj.getTime())) return null;
+
+        const year = dateObj.getFullYear();
+        const month = dateObj.getMonth() + 1;
+        const day = dateObj.getDate();
+
+        return {
+            calendar: 'GREGORIAN',
+            year: year,
+            month: month,
+            day: day,
+            dualYear: null,
+            bce: false,
+            precision: 'day',
+            dayNumber: this.gregorianToDayNumber(year, month, day),
+            gregorian: { year: year, month: month, day: day }
+        };
+    }
+
+    /**
+     * Convert a date in any supported calendar to a Julian Day Number
+     * @param {string} calendar - GEDCOM calendar name (GREGORIAN, JULIAN, HEBREW, FRENCH R)
+     * @param {number} year - Year in that calendar
+     * @param {number} month - Month number in that calendar's GEDCOM month order
+     * @param {number} day - Day of month
+     * @returns {number|null} Julian Day Number, or null for unsupported calendars
+     */
+    calendarToDayNumber(calendar, year, month, day) {
+        switch (calendar) {
+            case 'GREGORIAN':
+                return this.gregorianToDayNumber(year, month, day);
+            case 'JULIAN':
+                return this.julianToDayNumber(year, month, day);
+            case 'HEBREW':
+                return this.hebrewToDayNumber(year, month, day);
+            case 'FRENCH R':
+                return this.frenchRepublicanToDayNumber(year, month, day);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Get the number of days in a month of a supported calendar, leap years included
+     * @param {string} calendar - GEDCOM calendar name
+     * @param {number} year - Year in that calendar
+     * @param {number} month - Month number in that calendar's GEDCOM month order
+     * @returns {number|null} Days in the month (0 for ADS outside Hebrew leap years), or null for unsupported calendars
+     */
+    getMonthLength(calendar, year, month) {
+        const monthCount = (GedcomParser.CALENDAR_MONTHS[calendar] || []).length;
+        const first = this.calendarToDayNumber(calendar, year, month, 1);
+        if (first === null || monthCount === 0) return null;
+
+        const next = month < monthCount
+            ? this.calendarToDayNumber(calendar, year, month + 1, 1)
+            : this.calendarToDayNumber(calendar, year + 1, 1, 1);
+        return next - first;
+    }
+
+    /**
+     * Convert a proleptic Gregorian date to a Julian Day Number for sorting and date arithmetic
+     * @param {number} year - Astronomical year
+     * @param {number} month - Month (1-12)
+     * @param {number} day - Day of month
+     * @returns {number} Julian Day Number
+     */
+    gregorianToDayNumber(year, month, day) {
+        const a = Math.floor((14 - month) / 12);
+        const y = year + 4800 - a;
+        const m = month + 12 * a - 3;
+
+        return day + Math.floor((153 * m + 2) / 5) + 365 * y +
+            Math.floor(y / 4) - Math.floor(y / 100) + Math.floor(y / 400) - 32045;
+    }
+
+    /**
+     * Convert a Julian calendar date to a Julian Day Number
+     * @param {number} year - Astronomical year
+     * @param {number} month - Month (1-12)
+     * @param {number} day - Day of month
+     * @returns {number} Julian Day Number
+     */
+    julianToDayNumber(year, month, day) {
+        const a = Math.floor((14 - month) / 12);
+        const y = year + 4800 - a;
+        const m = month + 12 * a - 3;
+
+        return day + Math.floor((153 * m + 2) / 5) + 365 * y + Math.floor(y / 4) - 32083;
+    }
+
+    /**
+     * Convert a Hebrew calendar date to a Julian Day Number
+     * Months follow the GEDCOM order starting at Tishri; ADS (Adar II) only exists in leap years
+     * @param {number} year - Year Anno Mundi
+     * @param {number} month - Month (1 = TSH ... 13 = ELL)
+     * @param {number} day - Day of month
+     * @returns {number} Julian Day Number
+     */
+    hebrewToDayNumber(year, month, day) {
+        const isLeap = ((7 * year + 1) % 19) < 7;
+        const yearStart = this.hebrewNewYear(year);
+        const yearLength = this.hebrewNewYear(year + 1) - yearStart;
+
+        // Tishri-ordered month lengths; Heshvan and Kislev vary with the year length
+        const monthLengths = [
+            30,
+            yearLength % 10 === 5 ? 30 : 29,
+            yearLength % 10 === 3 ? 29 : 30,
+            29,
+            30,
+            isLeap ? 30 : 29,
+            isLeap ? 29 : 0,
+            30, 29, 30, 29, 30, 29
+        ];
+
+        let dayNumber = yearStart;
+        for (let i = 0; i < month - 1; i++) {
+            dayNumber += monthLengths[i];
+        }
+
+        return dayNumber + day - 1;
+    }
+
+    /**
+     * Julian Day Number of 1 Tishri for a Hebrew year, including the postponement rules
+     * @param {number} year - Year Anno Mundi
+     * @returns {number} Julian Day Number
+     */
+    hebrewNewYear(year) {
+        const elapsedDays = (y) => {
+            const monthsElapsed = Math.floor((235 * y - 234) / 19);
+            const partsElapsed = 12084 + 13753 * monthsElapsed;
+            let days = 29 * monthsElapsed + Math.floor(partsElapsed / 25920);
+            if ((3 * (days + 1)) % 7 < 3) days++;
+            return days;
+        };
+
+        const previous = elapsedDays(year - 1);
+        const current = elapsedDays(year);
+        const next = elapsedDays(year + 1);
+
+        let correction = 0;
+        if (next - current === 356) {
+            correction = 2;
+        } else if (current - previous === 382) {
+            correction = 1;
+        }
+
+        // 347998 is the Julian Day Number of the Hebrew calendar epoch (1 Tishri AM 1)
+        return 347998 + current + correction;
+    }
+
+    /**
+     * Convert a French Republican calendar date to a Julian Day Number
+     * Uses the sextile years (3, 7, 11, ...) the calendar actually observed while in use
+     * @param {number} year - Republican year (An I = 1)
+     * @param {number} month - Month (1 = VEND ... 12 = FRUC, 13 = COMP)
+     * @param {number} day - Day of month
+     * @returns {number} Julian Day Number
+     */
+    frenchRepublicanToDayNumber(year, month, day) {
+        // 1 Vendemiaire An I is 22 September 1792
+        return 2375839 + 365 * (year - 1) + Math.floor(year / 4) + 30 * (month - 1) + day;
+    }
+
+    /**
+     * Convert a Julian Day Number to a proleptic Gregorian date
+     * @param {number} dayNumber - Julian Day Number
+     * @returns {Object} Object with year, month and day
+     */
+    dayNumberToGregorian(dayNumber) {
+        const a = dayNumber + 32044;
+        const b = Math.floor((4 * a + 3) / 146097);
+        const c = a - Math.floor(146097 * b / 4);
+        const d = Math.floor((4 * c + 3) / 1461);
+        const e = c - Math.floor(1461 * d / 4);
+        const m = Math.floor((5 * e + 2) / 153);
+
+        return {
+            year: 100 * b + d - 4800 + Math.floor(m / 10),
+            month: m + 3 - 12 * Math.floor(m / 10),
+            day: e - Math.floor((153 * m + 2) / 5) + 1
+        };
+    }
+
+    /**
+     * Format a date part converted to the Gregorian calendar, keeping the original precision
+     * @param {Object|null} part - Date part from parseDateValue
+     * @returns {string} GEDCOM-style Gregorian date ("14 MAR 1701"), empty if not convertible
+     */
+    formatGregorianPart(part) {
+        if (!part || !part.gregorian) return '';
+
+        const { year, month, day } = part.gregorian;
+        const yearText = year > 0 ? `${year}` : `${1 - year} B.C.`;
+
+        if (part.precision === 'day') {
+            return `${day} ${GedcomParser.MONTHS[month - 1]} ${yearText}`;
+        } else if (part.precision === 'month') {
+            return `${GedcomParser.MONTHS[month - 1]} ${yearText}`;
+        }
+        return yearText;
+    }
+
+    /**
+     * Format a parsed date as a compact year label for tree nodes ("1850", "c. 1850", "1850–1855")
+     * @param {Object|null} date - Date object from parseDate
+     * @returns {string} Year label, empty if the date has no year
+     */
+    static formatDateYear(date) {
+        if (!date) return '';
+
+        const yearOf = (part) => {
+            if (!part || !part.gregorian) return '';
+            const year = part.gregorian.year;
+            return year > 0 ? `${year}` : `${1 - year} BC`;
+        };
+
+        const start = yearOf(date.start);
+        const end = yearOf(date.end);
+
+        switch (date.qualifier) {
+            case 'ABT':
+            case 'CAL':
+            case 'EST':
+                return start ? `c. ${start}` : '';
+            case 'BEF':
+                return end ? `bef. ${end}` : '';
+            case 'AFT':
+                return start ? `aft. ${start}` : '';
+            case 'TO':
+                return end ? `to ${end}` : '';
+            case 'BET':
+            case 'FROM':
+                if (start && end) return start === end ? start : `${start}–${end}`;
+                return start ? (date.qualifier === 'FROM' ? `from ${start}` : start) : end;
+            default:
+                return start;
+        }
+    }
+
+    /**
+     * Link family relationships after all records are parsed
+     */
+    linkFamilyRelationships() {
+        // Link individuals to families and vice versa
+        for (const individual of this.individuals.values()) {
+            // Link child families
             for (const familyId of individual.families.child) {
                 const family = this.families.get(familyId);
                 if (family && !family.children.includes(individual.id)) {
@@ -459,6 +1844,11 @@ class GedcomParser {
         return {
             individuals: this.individuals.size,
             families: this.families.size,
+            sources: this.sources.size,
+            repositories: this.repositories.size,
+            notes: this.notes.size,
+            media: this.media.size,
+            records: this.records.length,
             errors: this.errors.length,
             warnings: this.warnings.length
         };
@@ -483,6 +1873,128 @@ class GedcomParser {
     }
 }
 
+// Individual events (things that happened) and attributes (facts) parsed into individual.events
+GedcomParser.INDIVIDUAL_EVENTS = {
+    BIRT: 'Birth',
+    CHR: 'Christening',
+    DEAT: 'Death',
+    BURI: 'Burial',
+    CREM: 'Cremation',
+    ADOP: 'Adoption',
+    BAPM: 'Baptism',
+    BARM: 'Bar Mitzvah',
+    BASM: 'Bas Mitzvah',
+    BLES: 'Blessing',
+    CHRA: 'Adult Christening',
+    CONF: 'Confirmation',
+    FCOM: 'First Communion',
+    ORDN: 'Ordination',
+    NATU: 'Naturalization',
+    EMIG: 'Emigration',
+    IMMI: 'Immigration',
+    CENS: 'Census',
+    PROB: 'Probate',
+    WILL: 'Will',
+    GRAD: 'Graduation',
+    RETI: 'Retirement',
+    BAPL: 'LDS Baptism',
+    CONL: 'LDS Confirmation',
+    ENDL: 'LDS Endowment',
+    SLGC: 'LDS Child Sealing',
+    EVEN: 'Event'
+};
+
+GedcomParser.INDIVIDUAL_ATTRIBUTES = {
+    CAST: 'Caste',
+    DSCR: 'Physical Description',
+    EDUC: 'Education',
+    IDNO: 'Identification Number',
+    NATI: 'Nationality',
+    NCHI: 'Number of Children',
+    NMR: 'Number of Marriages',
+    OCCU: 'Occupation',
+    PROP: 'Property',
+    RELI: 'Religion',
+    RESI: 'Residence',
+    SSN: 'Social Security Number',
+    TITL: 'Title',
+    FACT: 'Fact'
+};
+
+GedcomParser.FAMILY_EVENTS = {
+    ENGA: 'Engagement',
+    MARB: 'Marriage Banns',
+    MARC: 'Marriage Contract',
+    MARL: 'Marriage License',
+    MARS: 'Marriage Settlement',
+    MARR: 'Marriage',
+    DIVF: 'Divorce Filed',
+    DIV: 'Divorce',
+    ANUL: 'Annulment',
+    CENS: 'Census',
+    RESI: 'Residence',
+    SLGS: 'LDS Spouse Sealing',
+    EVEN: 'Event'
+};
+
+// Readable names for non-event facts a citation can support
+GedcomParser.CITED_FACT_NAMES = {
+    NAME: 'Name',
+    SEX: 'Sex',
+    FAMC: 'Parents',
+    FAMS: 'Spouse',
+    HUSB: 'Husband',
+    WIFE: 'Wife',
+    CHIL: 'Child',
+    NO: 'Non-event'
+};
+
+// NAME sub-tags mapped to the name field they fill
+GedcomParser.NAME_PIECES = {
+    NPFX: 'prefix',
+    GIVN: 'given',
+    NICK: 'nickname',
+    SPFX: 'surnamePrefix',
+    SURN: 'surname',
+    NSFX: 'suffix',
+    TYPE: 'type'
+};
+
+// QUAY certainty assessments
+GedcomParser.CITATION_QUALITY = ['Unreliable', 'Questionable', 'Secondary evidence', 'Direct evidence'];
+
+GedcomParser.ADDRESS_PARTS = ['ADR1', 'ADR2', 'ADR3', 'CITY', 'STAE', 'POST', 'CTRY'];
+
+GedcomParser.MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// Month codes per calendar escape (@#DJULIAN@, @#DHEBREW@, @#DFRENCH R@)
+GedcomParser.CALENDAR_MONTHS = {
+    'GREGORIAN': GedcomParser.MONTHS,
+    'JULIAN': GedcomParser.MONTHS,
+    'HEBREW': ['TSH', 'CSH', 'KSL', 'TVT', 'SHV', 'ADR', 'ADS', 'NSN', 'IYR', 'SVN', 'TMZ', 'AAV', 'ELL'],
+    'FRENCH R': ['VEND', 'BRUM', 'FRIM', 'NIVO', 'PLUV', 'VENT', 'GERM', 'FLOR', 'PRAI', 'MESS', 'THER', 'FRUC', 'COMP']
+};
+
+// 5.5.1 calendar escapes (@#DJULIAN@) and GEDCOM 7 calendar keywords (JULIAN), stripped for display
+GedcomParser.CALENDAR_MARKER = /@#D[^@]+@\s*|\b(?:GREGORIAN|JULIAN|HEBREW|FRENCH_R)\s+/g;
+
+GedcomParser.CALENDAR_NAMES = {
+    'GREGORIAN': 'Gregorian',
+    'JULIAN': 'Julian',
+    'HEBREW': 'Hebrew',
+    'FRENCH R': 'French Republican',
+    'ROMAN': 'Roman',
+    'UNKNOWN': 'Unknown calendar'
+};
+
+// Non-standard qualifiers written by some programs, mapped to their GEDCOM keyword
+GedcomParser.DATE_QUALIFIER_ALIASES = {
+    ABOUT: 'ABT',
+    CIRCA: 'ABT',
+    BEFORE: 'BEF',
+    AFTER: 'AFT'
+};
+
 // Export for use in Chrome extension
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = GedcomParser;
@@ -0,0 +1,416 @@
+/**
+ * GEDCOM Validator
+ * Checks a parsed file for structural problems and reports them with line numbers and severity
+ *
+ * Key Features:
+ * - Runs on the result of GedcomParser.parse(), using the lossless record tree for line numbers
+ * - Dangling pointers, pointers to the wrong record type and duplicate xrefs
+ * - FAMS/FAMC links without a matching HUSB/WIFE/CHIL in the family, and the reverse
+ * - Invalid level jumps, unknown tags, malformed dates and illegal characters
+ * - GEDCOM 7 extension tags missing from HEAD.SCHMA (as notices)
+ * - Includes the parser's own line warnings (unreadable lines, stray CONC/CONT)
+ * - Formats the report as plain text for download
+ */
+
+class GedcomValidator {
+    constructor() {
+        this.issues = [];
+        this.counts = { error: 0, warning: 0, info: 0 };
+        this.isVersion7 = false;
+        this.undeclaredTags = new Set(); // Extension tags already reported as undeclared
+    }
+
+    /**
+     * Validate a parsed GEDCOM file
+     * @param {Object} parseResult - Result of GedcomParser.parse() (records, header and warnings are used)
+     * @returns {Object} Report { issues: [{ severity, code, line, xref, message }], counts, truncated }
+     */
+    validate(parseResult) {
+        this.issues = [];
+        this.counts = { error: 0, warning: 0, info: 0 };
+        this.isVersion7 = /^7\./.test(parseResult.header?.version || '');
+        this.undeclaredTags = new Set();
+
+        const records = parseResult.records || [];
+
+        this.checkParserWarnings(parseResult.warnings || []);
+        this.checkFileStructure(records);
+
+        const recordTypes = this.indexRecords(records);
+        records.forEach(record => {
+            this.checkNode(record, record, recordTypes);
+        });
+        this.checkFamilyLinks(records, recordTypes);
+
+        const issues = this.issues
+            .slice()
+            .sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity));
+        const stored = issues.slice(0, GedcomValidator.MAX_ISSUES);
+
+        return {
+            issues: stored,
+            counts: { ...this.counts },
+            truncated: issues.length - stored.length
+        };
+    }
+
+    /**
+     * Record one issue
+     * @param {string} severity - 'error', 'warning' or 'info'
+     * @param {string} code - Short issue type, e.g. 'dangling-pointer'
+     * @param {Object|null} node - Node the issue is on (for its line number)
+     * @param {Object|null} record - Record the node belongs to (for its xref)
+     * @param {string} message - Human-readable description
+     */
+    addIssue(severity, code, node, record, message) {
+        this.counts[severity]++;
+        this.issues.push({
+            severity,
+            code,
+            line: node?.lineNumber ?? null,
+            xref: record?.xref || null,
+            message
+        });
+    }
+
+    /**
+     * Turn the parser's "Line N: ..." warnings into issues
+     * Lines the parser could not read never reach the record tree, so this is the only place they show up
+     * @param {Array} warnings - Parser warning strings
+     */
+    checkParserWarnings(warnings) {
+        warnings.forEach(warning => {
+            const match = warning.match(/^Line (\d+): (.*)$/s);
+            if (!match) return; // Unresolved NOTE/OBJE pointers are reported again as dangling pointers
+
+            const severity = match[2].startsWith('Invalid extension tag') ? 'warning' : 'error';
+            this.addIssue(severity, 'syntax', { lineNumber: parseInt(match[1], 10) }, null, match[2]);
+        });
+    }
+
+    /**
+     * Check that the file starts with HEAD and ends with TRLR
+     * @param {Array} records - Top-level record nodes
+     */
+    checkFileStructure(records) {
+        if (records.length === 0) return;
+
+        if (records[0].tag !== 'HEAD') {
+            this.addIssue('error', 'missing-header', records[0], null, 'The file does not start with a HEAD record');
+        }
+
+        const last = records[records.length - 1];
+        if (last.tag !== 'TRLR') {
+            this.addIssue('warning', 'missing-trailer', last, null, 'The file does not end with a TRLR record');
+        }
+    }
+
+    /**
+     * Map every record xref to its record type, reporting duplicates
+     * @param {Array} records - Top-level record nodes
+     * @returns {Map} xref -> record tag (INDI, FAM, ...)
+     */
+    indexRecords(records) {
+        const recordTypes = new Map();
+        const firstLines = new Map();
+
+        records.forEach(record => {
+            if (record.level !== 0) {
+                this.addIssue('error', 'level-jump', record, null,
+                    `Line at level ${record.level} comes before any record`);
+                return;
+            }
+
+            if (!record.xref) {
+                if (GedcomValidator.XREF_RECORDS.includes(record.tag)) {
+                    this.addIssue('error', 'missing-xref', record, record, `${record.tag} record has no xref`);
+                }
+                return;
+            }
+
+            if (recordTypes.has(record.xref)) {
+                this.addIssue('error', 'duplicate-xref', record, record,
+                    `Duplicate xref ${record.xref} (first defined on line ${firstLines.get(record.xref)})`);
+                return;
+            }
+
+            recordTypes.set(record.xref, record.tag);
+            firstLines.set(record.xref, record.lineNumber);
+        });
+
+        return recordTypes;
+    }
+
+    /**
+     * Check one node and its children: levels, tags, pointers, dates and characters
+     * @param {Object} node - Node from the record tree
+     * @param {Object} record - Record the node belongs to
+     * @param {Map} recordTypes - xref -> record tag
+     */
+    checkNode(node, record, recordTypes) {
+        if (!node.tag.startsWith('_') && !GedcomValidator.KNOWN_TAGS.has(node.tag)) {
+            this.addIssue('warning', 'unknown-tag', node, record, `Unknown tag ${node.tag}`);
+        } else if (this.isVersion7 && node.tag.startsWith('_') && !node.uri && !this.undeclaredTags.has(node.tag)) {
+            // GEDCOM 7 asks for extension tags to be documented in HEAD.SCHMA; reported once per tag
+            this.undeclaredTags.add(node.tag);
+            this.addIssue('info', 'undeclared-tag', node, record, `Extension tag ${node.tag} is not declared in HEAD.SCHMA`);
+        }
+
+        if (node.level > 0 && GedcomValidator.POINTER_PATTERN.test(node.value)) {
+            this.checkPointer(node, record, recordTypes);
+        }
+
+        if ((node.tag === 'DATE' || node.tag === 'SDATE') && node.value && !this.isValidDate(node.value)) {
+            this.addIssue('warning', 'malformed-date', node, record, `Malformed date "${node.value}"`);
+        }
+
+        if (GedcomValidator.ILLEGAL_CHARACTERS.test(node.value)) {
+            this.addIssue('warning', 'illegal-character', node, record,
+                `${node.tag} value contains control characters`);
+        }
+        if (node.value.includes('\uFFFD')) {
+            this.addIssue('warning', 'illegal-character', node, record,
+                `${node.tag} value contains characters that could not be decoded; check the file's character set`);
+        }
+
+        node.children.forEach(child => {
+            if (child.level !== node.level + 1) {
+                this.addIssue('error', 'level-jump', child, record,
+                    `Level jumps from ${node.level} to ${child.level} (${node.tag} to ${child.tag})`);
+            }
+            this.checkNode(child, record, recordTypes);
+        });
+    }
+
+    /**
+     * Check that a pointer leads to a record of the type its tag expects
+     * @param {Object} node - Node whose value is a pointer
+     * @param {Object} record - Record the node belongs to
+     * @param {Map} recordTypes - xref -> record tag
+     */
+    checkPointer(node, record, recordTypes) {
+        if (node.value === '@VOID@') return; // GEDCOM 7's explicit "no record"
+
+        const targetType = recordTypes.get(node.value);
+        if (!targetType) {
+            this.addIssue('error', 'dangling-pointer', node, record,
+                `${node.tag} points to ${node.value}, which has no matching record`);
+            return;
+        }
+
+        const expected = GedcomValidator.POINTER_TARGETS[node.tag];
+        if (expected && !expected.includes(targetType)) {
+            this.addIssue('error', 'pointer-type', node, record,
+                `${node.tag} points to ${node.value}, which is ${targetType === 'INDI' ? 'an' : 'a'} ${targetType} record`);
+        }
+    }
+
+    /**
+     * Check that people and families point at each other
+     * FAMS needs a HUSB or WIFE back, FAMC a CHIL back, and the other way round
+     * @param {Array} records - Top-level record nodes
+     * @param {Map} recordTypes - xref -> record tag
+     */
+    checkFamilyLinks(records, recordTypes) {
+        const links = new Map(); // xref -> { tag -> Set of pointers } for INDI and FAM records
+
+        records.forEach(record => {
+            if (!record.xref || links.has(record.xref)) return;
+            if (record.tag !== 'INDI' && record.tag !== 'FAM') return;
+
+            const pointers = {};
+            record.children.forEach(child => {
+                if (!pointers[child.tag]) pointers[child.tag] = new Set();
+                pointers[child.tag].add(child.value);
+            });
+            links.set(record.xref, pointers);
+        });
+
+        const pointsBack = (xref, tags, target) =>
+            tags.some(tag => links.get(xref)?.[tag]?.has(target));
+
+        records.forEach(record => {
+            const expectations = GedcomValidator.RECIPROCAL_LINKS[record.tag];
+            if (!record.xref || !expectations) return;
+
+            record.children.forEach(child => {
+                const reverseTags = expectations[child.tag];
+                if (!reverseTags || recordTypes.get(child.value) !== (record.tag === 'INDI' ? 'FAM' : 'INDI')) return;
+
+                if (!pointsBack(child.value, reverseTags, record.xref)) {
+                    this.addIssue('warning', 'missing-link', child, record,
+                        `${record.xref} has ${child.tag} ${child.value}, but ${child.value} has no ` +
+                        `${reverseTags.join(' or ')} pointing back`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Check a DATE value against the GEDCOM date grammar (5.5.1 and 7.0)
+     * @param {string} value - DATE value
+     * @returns {boolean} True if the value is a valid date, range, period or phrase
+     */
+    isValidDate(value) {
+        const text = value.trim();
+        let match;
+
+        if (/^\(.*\)$/s.test(text)) {
+            return true; // Date phrase
+        }
+        if ((match = text.match(/^INT\s+(.+?)\s*\(.*\)$/is))) {
+            return this.isValidDatePart(match[1]);
+        }
+        if ((match = text.match(/^BET\s+(.+?)\s+AND\s+(.+)$/i))) {
+            return this.isValidDatePart(match[1]) && this.isValidDatePart(match[2]);
+        }
+        if ((match = text.match(/^FROM\s+(.+?)(?:\s+TO\s+(.+))?$/i))) {
+            return this.isValidDatePart(match[1]) && (!match[2] || this.isValidDatePart(match[2]));
+        }
+        if ((match = text.match(/^(?:ABT|CAL|EST|BEF|AFT|TO)\s+(.+)$/i))) {
+            return this.isValidDatePart(match[1]);
+        }
+        return this.isValidDatePart(text);
+    }
+
+    /**
+     * Check a single date: [calendar] [[day] month] year[/yy] [B.C.|BCE]
+     * @param {string} value - Date without qualifiers
+     * @returns {boolean} True if the date is well formed and the day exists in its month
+     */
+    isValidDatePart(value) {
+        const match = value.trim().match(GedcomValidator.DATE_PART_PATTERN);
+        if (!match) return false;
+
+        const [, escape, keyword, dayText, monthText] = match;
+        let calendar = 'GREGORIAN';
+        if (escape) {
+            calendar = escape.toUpperCase();
+        } else if (keyword) {
+            calendar = keyword.toUpperCase() === 'FRENCH_R' ? 'FRENCH R' : keyword.toUpperCase();
+        }
+
+        if (!monthText) return true;
+
+        // Extension calendars (_MAYAN) and ROMAN have no month list to check against
+        const months = GedcomParser.CALENDAR_MONTHS[calendar];
+        if (!months) return true;
+
+        const monthIndex = months.indexOf(monthText.toUpperCase());
+        if (monthIndex < 0) return false;
+        if (!dayText) return true;
+
+        // The parser knows each calendar's month lengths and leap years, and rejects days beyond them
+        return parseInt(dayText, 10) >= 1 && this.getDateParser().parseDateValue(value.trim()) !== null;
+    }
+
+    /**
+     * Get the parser used to check dates, created on first use
+     * @returns {GedcomParser} Parser
+     */
+    getDateParser() {
+        if (!this.dateParser) {
+            this.dateParser = new GedcomParser();
+        }
+        return this.dateParser;
+    }
+
+    /**
+     * Format a report as plain text, one issue per line
+     * @param {Object} report - Report from validate()
+     * @param {string} fileName - Name shown in the heading (optional)
+     * @returns {string} Text report
+     */
+    static formatText(report, fileName) {
+        const { error, warning, info } = report.counts;
+        const lines = [
+            `GEDCOM validation report${fileName ? ` for ${fileName}` : ''}`,
+            `${error} errors, ${warning} warnings, ${info} notices`,
+            ''
+        ];
+
+        report.issues.forEach(issue => {
+            const location = issue.line !== null ? `line ${issue.line}` : '';
+            lines.push([
+                issue.severity.toUpperCase().padEnd(8),
+                location.padEnd(12),
+                (issue.xref || '').padEnd(10),
+                issue.message
+            ].join(' ').replace(/\s+$/, ''));
+        });
+
+        if (report.truncated > 0) {
+            lines.push('', `${report.truncated} more issues not listed`);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+// Keep stored reports a manageable size for very broken files
+GedcomValidator.MAX_ISSUES = 5000;
+
+GedcomValidator.POINTER_PATTERN = /^@[^@#\s][^@]*@$/;
+
+// C0 control characters other than tab and line feed (CONT lines are joined with \n)
+GedcomValidator.ILLEGAL_CHARACTERS = /[\u0000-\u0008\u000B-\u001F\u007F]/;
+
+// [@#Dcalendar@ | calendar keyword] [[day] month] year[/yy] [B.C. | BCE]
+GedcomValidator.DATE_PART_PATTERN = new RegExp(
+    '^(?:(?:@#D([^@]+)@|(GREGORIAN|JULIAN|HEBREW|FRENCH_R|_[A-Z0-9_]+))\\s+)?' +
+    '(?:(?:(\\d{1,2})\\s+)?([A-Z]{3,4})\\s+)?' +
+    '\\d{1,4}(?:\\/\\d{1,2})?' +
+    '(?:\\s*(?:B\\.C\\.|BC|BCE))?$',
+    'i'
+);
+
+// Record types that must have an xref
+GedcomValidator.XREF_RECORDS = ['INDI', 'FAM', 'SOUR', 'REPO', 'OBJE', 'NOTE', 'SNOTE', 'SUBM'];
+
+// Record types each pointer tag may point to
+GedcomValidator.POINTER_TARGETS = {
+    'FAMC': ['FAM'],
+    'FAMS': ['FAM'],
+    'HUSB': ['INDI'],
+    'WIFE': ['INDI'],
+    'CHIL': ['INDI'],
+    'ASSO': ['INDI'],
+    'ALIA': ['INDI'],
+    'SOUR': ['SOUR'],
+    'REPO': ['REPO'],
+    'OBJE': ['OBJE'],
+    'NOTE': ['NOTE', 'SNOTE'],
+    'SNOTE': ['SNOTE', 'NOTE'],
+    'SUBM': ['SUBM'],
+    'ANCI': ['SUBM'],
+    'DESI': ['SUBM']
+};
+
+// Link tag in a record -> tags the linked record must point back with
+GedcomValidator.RECIPROCAL_LINKS = {
+    'INDI': { 'FAMS': ['HUSB', 'WIFE'], 'FAMC': ['CHIL'] },
+    'FAM': { 'HUSB': ['FAMS'], 'WIFE': ['FAMS'], 'CHIL': ['FAMC'] }
+};
+
+// Standard tags of GEDCOM 5.5.1 and 7.0; extension tags start with an underscore
+GedcomValidator.KNOWN_TAGS = new Set([
+    'ABBR', 'ADDR', 'ADOP', 'ADR1', 'ADR2', 'ADR3', 'AFN', 'AGE', 'AGNC', 'ALIA', 'ANCE', 'ANCI', 'ANUL',
+    'ASSO', 'AUTH', 'BAPL', 'BAPM', 'BARM', 'BASM', 'BIRT', 'BLES', 'BLOB', 'BURI', 'CALN', 'CAST', 'CAUS',
+    'CENS', 'CHAN', 'CHAR', 'CHIL', 'CHR', 'CHRA', 'CITY', 'CONC', 'CONF', 'CONL', 'CONT', 'COPR', 'CORP',
+    'CREA', 'CREM', 'CROP', 'CTRY', 'DATA', 'DATE', 'DEAT', 'DESC', 'DESI', 'DEST', 'DIV', 'DIVF', 'DSCR',
+    'EDUC', 'EMAIL', 'EMIG', 'ENDL', 'ENGA', 'EVEN', 'EXID', 'FACT', 'FAM', 'FAMC', 'FAMF', 'FAMS', 'FAX',
+    'FCOM', 'FILE', 'FONE', 'FORM', 'GEDC', 'GIVN', 'GRAD', 'HEAD', 'HEIGHT', 'HUSB', 'IDNO', 'IMMI', 'INDI',
+    'INIL', 'LANG', 'LATI', 'LEFT', 'LONG', 'MAP', 'MARB', 'MARC', 'MARL', 'MARR', 'MARS', 'MEDI', 'MIME',
+    'NAME', 'NATI', 'NATU', 'NCHI', 'NICK', 'NMR', 'NO', 'NOTE', 'NPFX', 'NSFX', 'OBJE', 'OCCU', 'ORDI',
+    'ORDN', 'PAGE', 'PEDI', 'PHON', 'PHRASE', 'PLAC', 'POST', 'PROB', 'PROP', 'PUBL', 'QUAY', 'REFN', 'RELA',
+    'RELI', 'REPO', 'RESI', 'RESN', 'RETI', 'RFN', 'RIN', 'ROLE', 'ROMN', 'SCHMA', 'SDATE', 'SEX', 'SLGC',
+    'SLGS', 'SNOTE', 'SOUR', 'SPFX', 'SSN', 'STAE', 'STAT', 'SUBM', 'SUBN', 'SURN', 'TAG', 'TEMP', 'TEXT',
+    'TIME', 'TITL', 'TOP', 'TRAN', 'TRLR', 'TYPE', 'UID', 'VERS', 'WIDTH', 'WIFE', 'WWW'
+]);
+
+// Export for use in Chrome extension
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GedcomValidator;
+} else if (typeof window !== 'undefined') {
+    window.GedcomValidator = GedcomValidator;
+}
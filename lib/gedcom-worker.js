@@ -0,0 +1,88 @@
+// Web Worker that decodes and parses a GEDCOM file off the popup's main thread
+//
+// Messages in:  { type: 'PARSE_GEDCOM', file }  - a .ged file, or a GEDZIP (.gdz/.zip) archive
+// Messages out: { type: 'MEDIA', count, gedcomPath }  - archives only, once their media is stored
+//               { type: 'ENCODING', encoding, declaredCharset }
+//               { type: 'PROGRESS', bytesRead, totalBytes, lines, records }
+//               { type: 'COMPLETE', result }  - result has the same shape as GedcomParser.parse(),
+//                                              plus the GedcomValidator report as result.validation
+//
+// To cancel, the page terminates the worker.
+
+importScripts('gedcom-decoder.js', 'gedcom-parser.js', 'gedcom-validator.js', 'gedzip-reader.js', 'media-store.js');
+
+// Bytes read from the file per chunk
+const CHUNK_SIZE = 1024 * 1024;
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'PARSE_GEDCOM':
+            parseFile(message.file);
+            break;
+
+        default:
+            console.warn('GEDCOM worker received unknown message:', message.type);
+    }
+};
+
+async function parseFile(file) {
+    const decoder = new GedcomDecoder();
+    const parser = new GedcomParser();
+
+    try {
+        const gedcom = await unpackFile(file);
+        let stream = null;
+        parser.startStream();
+
+        for (let offset = 0; offset < gedcom.size; offset += CHUNK_SIZE) {
+            const end = Math.min(offset + CHUNK_SIZE, gedcom.size);
+            const bytes = new Uint8Array(await gedcom.slice(offset, end).arrayBuffer());
+
+            // The first chunk holds the header, which decides the encoding
+            if (!stream) {
+                stream = decoder.createStream(bytes);
+                self.postMessage({
+                    type: 'ENCODING',
+                    encoding: stream.encoding,
+                    declaredCharset: stream.declaredCharset
+                });
+            }
+
+            parser.parseChunk(stream.decode(bytes, end === gedcom.size));
+
+            self.postMessage({
+                type: 'PROGRESS',
+                bytesRead: end,
+                totalBytes: gedcom.size,
+                ...parser.getProgress()
+            });
+        }
+
+        const result = parser.finishStream();
+        result.validation = new GedcomValidator().validate(result);
+
+        self.postMessage({ type: 'COMPLETE', result });
+    } catch (error) {
+        console.error('GEDCOM worker failed:', error);
+        self.postMessage({ type: 'COMPLETE', result: parser.createFailureResult(error) });
+    }
+}
+
+// Unzip a GEDZIP archive and store its media for the viewer; plain GEDCOM files are parsed as they are
+async function unpackFile(file) {
+    const mediaStore = new MediaStore();
+
+    if (!GedzipReader.isArchive(file)) {
+        // Photos from a previously opened archive don't belong to this file
+        await mediaStore.clear().catch(error => console.warn('Could not clear stored media:', error));
+        return file;
+    }
+
+    const archive = await new GedzipReader().open(file);
+    await mediaStore.replaceAll(archive.media).catch(error => console.warn('Could not store media:', error));
+
+    self.postMessage({ type: 'MEDIA', count: archive.media.length, gedcomPath: archive.gedcomPath });
+    return archive.gedcom;
+}
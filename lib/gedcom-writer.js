@@ -0,0 +1,570 @@
+/**
+ * GEDCOM Writer
+ * Counterpart to GedcomParser: turns parsed data back into a GEDCOM 5.5.1 file
+ *
+ * Key Features:
+ * - Write individuals, families, sources, repositories, notes and multimedia from the parsed model
+ * - Or write the parser's lossless record tree, keeping unknown and vendor tags
+ * - Split long and multi-line values with CONC/CONT
+ * - Generate a proper HEAD (with CHAR) and TRLR
+ * - Encode the output as UTF-8 or ANSEL
+ */
+
+class GedcomWriter {
+    /**
+     * Write parsed data as GEDCOM text
+     * @param {Object} data - Parser result: individuals, families, sources, repositories, notes, media, records and header
+     * @param {Object} options - Output options
+     * @returns {string} GEDCOM text
+     */
+    write(data, options = {}) {
+        const {
+            charset = 'UTF-8',
+            useRecords = true, // Write the lossless record tree when the data has one
+            lineEnding = '\r\n'
+        } = options;
+
+        // GEDCOM 7 records use structures 5.5.1 lacks (SNOTE, NO, SCHMA, ...), so they are written from the model
+        const isVersion7 = /^7\./.test((data.header && data.header.version) || '');
+        const records = useRecords && !isVersion7 && data.records && data.records.length > 0 ? data.records : null;
+        const submitter = records ? records.find(record => record.tag === 'SUBM' && record.xref) : null;
+        const submitterId = submitter ? submitter.xref : GedcomWriter.DEFAULT_SUBMITTER_ID;
+
+        const lines = this.writeHeader(charset, submitterId);
+
+        if (records) {
+            records
+                .filter(record => record.tag !== 'HEAD' && record.tag !== 'TRLR')
+                .forEach(record => lines.push(...this.writeNode(record, 0)));
+        } else {
+            (data.notes || []).forEach(note => lines.push(...this.writeNoteRecord(note)));
+            (data.individuals || []).forEach(individual => lines.push(...this.writeIndividual(individual)));
+            (data.families || []).forEach(family => lines.push(...this.writeFamily(family)));
+            (data.sources || []).forEach(source => lines.push(...this.writeSource(source)));
+            (data.repositories || []).forEach(repository => lines.push(...this.writeRepository(repository)));
+            (data.media || []).forEach(media => lines.push(...this.writeMediaRecord(media)));
+        }
+
+        if (!submitter) {
+            lines.push(`0 ${submitterId} SUBM`);
+            lines.push(...this.formatLine(1, 'NAME', options.submitterName || GedcomWriter.DEFAULT_SUBMITTER_NAME));
+        }
+
+        lines.push('0 TRLR');
+        return lines.join(lineEnding) + lineEnding;
+    }
+
+    /**
+     * Encode GEDCOM text as bytes in the chosen character set
+     * @param {string} text - GEDCOM text from write()
+     * @param {string} charset - 'UTF-8' or 'ANSEL'
+     * @returns {Uint8Array} File content
+     */
+    encode(text, charset = 'UTF-8') {
+        if (charset.toUpperCase() === 'ANSEL') {
+            return this.encodeAnsel(text);
+        }
+        return new TextEncoder().encode(text);
+    }
+
+    /**
+     * Encode text as ANSEL
+     * Unicode puts combining marks after the letter, ANSEL before it
+     * @param {string} text - Text to encode
+     * @returns {Uint8Array} ANSEL bytes; characters ANSEL cannot represent become '?'
+     */
+    encodeAnsel(text) {
+        const spacing = {
+            ...GedcomWriter.invertTable(GedcomDecoder.ANSEL_SPACING),
+            ...GedcomWriter.ANSEL_PREFERRED_BYTES
+        };
+        const combining = GedcomWriter.invertTable(GedcomDecoder.ANSEL_COMBINING);
+        const bytes = [];
+
+        const chars = Array.from(text.normalize('NFD'));
+        for (let i = 0; i < chars.length; i++) {
+            const char = chars[i];
+
+            // Gather the marks that follow this character and write them first
+            const marks = [];
+            while (i + 1 < chars.length && combining[chars[i + 1]] !== undefined) {
+                marks.push(combining[chars[++i]]);
+            }
+
+            const code = char.charCodeAt(0);
+            const base = code < 0x80 ? code : spacing[char];
+            bytes.push(...marks, base !== undefined ? base : 0x3F);
+        }
+
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * Write the HEAD record
+     * @param {string} charset - Character set named in HEAD.CHAR
+     * @param {string} submitterId - Xref of the submitter record
+     * @returns {Array} GEDCOM lines
+     */
+    writeHeader(charset, submitterId) {
+        return [
+            '0 HEAD',
+            '1 SOUR GEDCOM_TREE_VIEWER',
+            '2 NAME GEDCOM Family Tree Viewer',
+            `1 DATE ${this.formatToday()}`,
+            `1 SUBM ${submitterId}`,
+            '1 GEDC',
+            '2 VERS 5.5.1',
+            '2 FORM LINEAGE-LINKED',
+            `1 CHAR ${charset.toUpperCase()}`
+        ];
+    }
+
+    /**
+     * Write a node of the lossless record tree and everything under it
+     * @param {Object} node - Node with tag, xref, value and children
+     * @param {number} level - Level to write the node at
+     * @returns {Array} GEDCOM lines
+     */
+    writeNode(node, level) {
+        const lines = this.formatLine(level, node.tag, node.value, node.xref);
+        node.children.forEach(child => lines.push(...this.writeNode(child, level + 1)));
+        return lines;
+    }
+
+    /**
+     * Write an individual record
+     * @param {Object} individual - Parsed individual
+     * @returns {Array} GEDCOM lines
+     */
+    writeIndividual(individual) {
+        const lines = [`0 ${individual.id} INDI`];
+        const citations = individual.sources || [];
+        const names = individual.names && individual.names.length > 0 ? individual.names : [individual.name];
+
+        names.forEach((name, index) => {
+            lines.push(...this.writeName(name));
+            lines.push(...this.writeCitations(citations.filter(c => c.factTag === 'NAME' && c.factIndex === index), 2));
+        });
+
+        if (individual.sex && individual.sex !== 'U') {
+            lines.push(`1 SEX ${individual.sex}`);
+        }
+
+        individual.events.forEach((event, index) => {
+            lines.push(...this.writeEvent(event, citations.filter(c => c.factTag === event.tag && c.factIndex === index)));
+        });
+
+        const childLinks = individual.families.childLinks || [];
+        individual.families.child.forEach(familyId => {
+            const link = childLinks.find(l => l.familyId === familyId);
+            lines.push(`1 FAMC ${familyId}`);
+            if (link && link.pedigree) lines.push(`2 PEDI ${link.pedigree}`);
+            if (link && link.status) lines.push(`2 STAT ${link.status}`);
+        });
+
+        individual.families.spouse.forEach(familyId => {
+            lines.push(`1 FAMS ${familyId}`);
+        });
+
+        lines.push(...this.writeMediaLinks(individual.media));
+
+        lines.push(...this.writeAttributes(individual.attributes));
+        lines.push(...this.writeNotes(individual.notes, 1));
+        lines.push(...this.writeCitations(this.getRecordCitations(citations), 1));
+
+        return lines;
+    }
+
+    /**
+     * Write a NAME line with its type and the pieces the NAME value doesn't already give
+     * @param {Object} name - Parsed name
+     * @returns {Array} GEDCOM lines
+     */
+    writeName(name) {
+        const value = name.raw || this.formatNameValue(name);
+        const lines = this.formatLine(1, 'NAME', value);
+        const fromValue = this.splitNameValue(value);
+
+        if (name.type) lines.push(...this.formatLine(2, 'TYPE', name.type));
+        if (name.prefix) lines.push(...this.formatLine(2, 'NPFX', name.prefix));
+        if (name.given !== fromValue.given) lines.push(...this.formatLine(2, 'GIVN', name.given));
+        if (name.nickname) lines.push(...this.formatLine(2, 'NICK', name.nickname));
+        if (name.surnamePrefix) lines.push(...this.formatLine(2, 'SPFX', name.surnamePrefix));
+        if (name.surname !== fromValue.surname) lines.push(...this.formatLine(2, 'SURN', name.surname));
+        if (name.suffix && name.suffix !== fromValue.suffix) lines.push(...this.formatLine(2, 'NSFX', name.suffix));
+
+        return lines;
+    }
+
+    /**
+     * Build a NAME value (Given /Surname/ Suffix) from name pieces
+     * @param {Object} name - Parsed name
+     * @returns {string} NAME value
+     */
+    formatNameValue(name) {
+        const surname = [name.surnamePrefix, name.surname].filter(Boolean).join(' ');
+        return [name.given, `/${surname}/`, name.suffix].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Split a NAME value the way GedcomParser.parseName does
+     * @param {string} value - NAME value
+     * @returns {Object} Given name, surname and suffix read from the slashes
+     */
+    splitNameValue(value) {
+        const trimmed = (value || '').trim();
+        const match = trimmed.match(/\/([^\/]*)\//);
+
+        if (!match) {
+            return { given: trimmed, surname: '', suffix: '' };
+        }
+        return {
+            given: trimmed.substring(0, match.index).trim(),
+            surname: match[1].trim(),
+            suffix: trimmed.substring(match.index + match[0].length).trim()
+        };
+    }
+
+    /**
+     * Write an individual or family event
+     * @param {Object} event - Parsed event
+     * @param {Array} citations - Citations supporting this event
+     * @returns {Array} GEDCOM lines
+     */
+    writeEvent(event, citations) {
+        const details = [];
+
+        if (event.descriptor) details.push(...this.formatLine(2, 'TYPE', event.descriptor));
+        if (event.date) details.push(...this.formatLine(2, 'DATE', this.formatDate(event.date)));
+        if (event.place) details.push(...this.formatLine(2, 'PLAC', event.place));
+        if (event.address) details.push(...this.formatLine(2, 'ADDR', event.address));
+        if (event.age) details.push(...this.formatLine(2, 'AGE', event.age));
+        if (event.cause) details.push(...this.formatLine(2, 'CAUS', event.cause));
+        if (event.husbandAge) details.push('2 HUSB', ...this.formatLine(3, 'AGE', event.husbandAge));
+        if (event.wifeAge) details.push('2 WIFE', ...this.formatLine(3, 'AGE', event.wifeAge));
+        details.push(...this.writeNotes(event.notes, 2));
+        details.push(...this.writeCitations(citations, 2));
+
+        // An event with nothing else to say is asserted with Y; attributes and EVEN carry their own value
+        const assertsOccurrence = !event.isAttribute && event.tag !== 'EVEN' && !event.value && details.length === 0;
+        const value = assertsOccurrence ? 'Y' : event.value;
+
+        return [...this.formatLine(1, event.tag, value), ...details];
+    }
+
+    /**
+     * Write a family record
+     * @param {Object} family - Parsed family
+     * @returns {Array} GEDCOM lines
+     */
+    writeFamily(family) {
+        const lines = [`0 ${family.id} FAM`];
+        const citations = family.sources || [];
+
+        if (family.husband) lines.push(`1 HUSB ${family.husband}`);
+        if (family.wife) lines.push(`1 WIFE ${family.wife}`);
+        family.children.forEach(childId => lines.push(`1 CHIL ${childId}`));
+
+        family.events.forEach((event, index) => {
+            lines.push(...this.writeEvent(event, citations.filter(c => c.factTag === event.tag && c.factIndex === index)));
+        });
+
+        if (family.childCount !== null && family.childCount !== undefined) {
+            lines.push(`1 NCHI ${family.childCount}`);
+        }
+
+        lines.push(...this.writeAttributes(family.attributes));
+        lines.push(...this.writeNotes(family.notes, 1));
+        lines.push(...this.writeCitations(this.getRecordCitations(citations), 1));
+
+        return lines;
+    }
+
+    /**
+     * Write a source record
+     * @param {Object} source - Parsed source
+     * @returns {Array} GEDCOM lines
+     */
+    writeSource(source) {
+        const lines = [`0 ${source.id} SOUR`];
+
+        if (source.title) lines.push(...this.formatLine(1, 'TITL', source.title));
+        if (source.abbreviation) lines.push(...this.formatLine(1, 'ABBR', source.abbreviation));
+        if (source.author) lines.push(...this.formatLine(1, 'AUTH', source.author));
+        if (source.publication) lines.push(...this.formatLine(1, 'PUBL', source.publication));
+        if (source.text) lines.push(...this.formatLine(1, 'TEXT', source.text));
+        if (source.agency) lines.push('1 DATA', ...this.formatLine(2, 'AGNC', source.agency));
+
+        source.repositories.forEach(repository => {
+            lines.push(...this.formatLine(1, 'REPO', repository.id || repository.name || ''));
+            repository.callNumbers.forEach(callNumber => {
+                lines.push(...this.formatLine(2, 'CALN', callNumber.number));
+                if (callNumber.media) lines.push(...this.formatLine(3, 'MEDI', callNumber.media));
+            });
+        });
+
+        lines.push(...this.writeNotes(source.notes, 1));
+        return lines;
+    }
+
+    /**
+     * Write a repository record
+     * @param {Object} repository - Parsed repository
+     * @returns {Array} GEDCOM lines
+     */
+    writeRepository(repository) {
+        const lines = [`0 ${repository.id} REPO`];
+
+        if (repository.name) lines.push(...this.formatLine(1, 'NAME', repository.name));
+        if (repository.address) lines.push(...this.formatLine(1, 'ADDR', repository.address));
+        lines.push(...this.writeNotes(repository.notes, 1));
+
+        return lines;
+    }
+
+    /**
+     * Write a multimedia (OBJE) record
+     * A record-level title or form (GEDCOM 5.5) is moved onto the FILE lines, where 5.5.1 expects it
+     * @param {Object} media - Parsed media record
+     * @returns {Array} GEDCOM lines
+     */
+    writeMediaRecord(media) {
+        const lines = [`0 ${media.id} OBJE`];
+
+        media.files.forEach((mediaFile, index) => {
+            const title = mediaFile.title || (index === 0 ? media.title : null);
+            lines.push(...this.formatLine(1, 'FILE', mediaFile.file));
+            if (mediaFile.form || media.form) lines.push(...this.formatLine(2, 'FORM', mediaFile.form || media.form));
+            if (title) lines.push(...this.formatLine(2, 'TITL', title));
+        });
+
+        if (media.primary) lines.push('1 _PRIM Y');
+        lines.push(...this.writeNotes(media.notes, 1));
+        return lines;
+    }
+
+    /**
+     * Write a person's OBJE links
+     * Files that came from an OBJE record are written as one pointer to it; the rest are written inline
+     * @param {Array} media - { id, file, form, title, primary } entries from the parser
+     * @returns {Array} GEDCOM lines
+     */
+    writeMediaLinks(media) {
+        const lines = [];
+        const written = new Set();
+
+        (media || []).forEach(item => {
+            if (item.id) {
+                if (!written.has(item.id)) {
+                    lines.push(`1 OBJE ${item.id}`);
+                    if (item.primary) lines.push('2 _PRIM Y');
+                }
+                written.add(item.id);
+                return;
+            }
+
+            lines.push('1 OBJE');
+            lines.push(...this.formatLine(2, 'FILE', item.file));
+            if (item.form) lines.push(...this.formatLine(3, 'FORM', item.form));
+            if (item.title) lines.push(...this.formatLine(2, 'TITL', item.title));
+            if (item.primary) lines.push('2 _PRIM Y');
+        });
+
+        return lines;
+    }
+
+    /**
+     * Write a shared note record
+     * @param {Object} note - Parsed note record
+     * @returns {Array} GEDCOM lines
+     */
+    writeNoteRecord(note) {
+        return this.formatLine(0, 'NOTE', note.text, note.id);
+    }
+
+    /**
+     * Write notes as NOTE lines
+     * Shared notes were resolved to their text by the parser, so they are written inline
+     * @param {Array} notes - Note texts
+     * @param {number} level - Level of the NOTE lines
+     * @returns {Array} GEDCOM lines
+     */
+    writeNotes(notes, level) {
+        return (notes || []).flatMap(note => this.formatLine(level, 'NOTE', note));
+    }
+
+    /**
+     * Write source citations
+     * @param {Array} citations - Parsed citations
+     * @param {number} level - Level of the SOUR lines
+     * @returns {Array} GEDCOM lines
+     */
+    writeCitations(citations, level) {
+        const lines = [];
+
+        citations.forEach(citation => {
+            lines.push(...this.formatLine(level, 'SOUR', citation.sourceId || citation.title || ''));
+            if (citation.page) lines.push(...this.formatLine(level + 1, 'PAGE', citation.page));
+
+            if (citation.date || citation.text.length > 0) {
+                lines.push(`${level + 1} DATA`);
+                if (citation.date) lines.push(...this.formatLine(level + 2, 'DATE', this.formatDate(citation.date)));
+                citation.text.forEach(text => lines.push(...this.formatLine(level + 2, 'TEXT', text)));
+            }
+
+            if (citation.quality !== null && citation.quality !== undefined) {
+                lines.push(`${level + 1} QUAY ${citation.quality}`);
+            }
+            lines.push(...this.writeNotes(citation.notes, level + 1));
+        });
+
+        return lines;
+    }
+
+    /**
+     * Pick the citations that are not tied to an event or name
+     * Citations on other lines (FAMC, SEX, ...) are written at record level
+     * @param {Array} citations - All citations of a record
+     * @returns {Array} Citations to write at level 1
+     */
+    getRecordCitations(citations) {
+        return citations.filter(citation => citation.factIndex === null || citation.factIndex === undefined ||
+            citation.factIndex < 0);
+    }
+
+    /**
+     * Write unrecognized level-1 tags kept by the parser
+     * @param {Array} attributes - { tag, value, type } entries
+     * @returns {Array} GEDCOM lines
+     */
+    writeAttributes(attributes) {
+        return (attributes || []).flatMap(attribute => [
+            ...this.formatLine(1, attribute.tag, attribute.value),
+            ...(attribute.type ? this.formatLine(2, 'TYPE', attribute.type) : [])
+        ]);
+    }
+
+    /**
+     * Format one value as a GEDCOM line, adding CONT lines for line breaks
+     * and CONC lines for text that would make the line too long
+     * @param {number} level - Line level
+     * @param {string} tag - Tag
+     * @param {string} value - Value, possibly multi-line
+     * @param {string} [xref] - Cross-reference ID for record lines
+     * @returns {Array} GEDCOM lines
+     */
+    formatLine(level, tag, value, xref) {
+        const prefix = xref ? `${level} ${xref} ${tag}` : `${level} ${tag}`;
+        const text = value === null || value === undefined ? '' : String(value);
+        const lines = [];
+
+        text.split(/\r\n|\r|\n/).forEach((paragraph, index) => {
+            const head = index === 0 ? prefix : `${level + 1} CONT`;
+            const chunks = this.splitValue(paragraph, GedcomWriter.MAX_LINE_LENGTH - head.length - 1);
+
+            lines.push(chunks[0] ? `${head} ${chunks[0]}` : head);
+            chunks.slice(1).forEach(chunk => {
+                lines.push(`${level + 1} CONC ${chunk}`);
+            });
+        });
+
+        return lines;
+    }
+
+    /**
+     * Split a value into pieces that fit on a line
+     * Pieces never start or end with a space, since many programs trim CONC values
+     * @param {string} value - Single-line value
+     * @param {number} maxLength - Longest piece allowed
+     * @returns {Array} Pieces, joined back together by CONC
+     */
+    splitValue(value, maxLength) {
+        const limit = Math.max(maxLength, GedcomWriter.MIN_CHUNK_LENGTH);
+        const chunks = [];
+        let rest = value;
+
+        while (rest.length > limit) {
+            let cut = limit;
+            while (cut > 1 && (rest[cut - 1] === ' ' || rest[cut] === ' ')) {
+                cut--;
+            }
+            if (cut <= 1) cut = limit; // A run of spaces: split anywhere
+
+            chunks.push(rest.substring(0, cut));
+            rest = rest.substring(cut);
+        }
+
+        chunks.push(rest);
+        return chunks;
+    }
+
+    /**
+     * Write a parsed date in 5.5.1 syntax
+     * GEDCOM 7 calendar keywords become escapes, BCE becomes B.C. and a PHRASE becomes an INT or phrase-only date
+     * @param {Object} date - Date object from GedcomParser.parseDate
+     * @returns {string} DATE value
+     */
+    formatDate(date) {
+        let value = date.raw
+            .replace(/\b(GREGORIAN|JULIAN|HEBREW|FRENCH_R)\s+/g, (match, calendar) => `@#D${calendar.replace('_', ' ')}@ `)
+            .replace(/\bBCE\b/g, 'B.C.');
+
+        // 5.5.1 only attaches phrases to INT dates, so a phrase on a range or approximation is dropped
+        if (date.phrase && !value.includes(`(${date.phrase})`)) {
+            if (!value) {
+                value = `(${date.phrase})`;
+            } else if (!date.qualifier) {
+                value = `INT ${value} (${date.phrase})`;
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * Today's date in GEDCOM format (e.g. "19 OCT 2026")
+     * @returns {string} Date value
+     */
+    formatToday() {
+        const today = new Date();
+        return `${today.getDate()} ${GedcomWriter.MONTHS[today.getMonth()]} ${today.getFullYear()}`;
+    }
+
+    /**
+     * Swap the keys and values of a character table
+     * @param {Object} table - Byte -> character table
+     * @returns {Object} Character -> byte table
+     */
+    static invertTable(table) {
+        const inverted = {};
+        Object.keys(table).forEach(byte => {
+            inverted[table[byte]] = Number(byte);
+        });
+        return inverted;
+    }
+}
+
+// GEDCOM 5.5.1 limit for a whole line, including level and tag
+GedcomWriter.MAX_LINE_LENGTH = 255;
+
+// Shortest CONC piece, so deeply nested lines still make progress
+GedcomWriter.MIN_CHUNK_LENGTH = 20;
+
+GedcomWriter.DEFAULT_SUBMITTER_ID = '@SUBM1@';
+
+GedcomWriter.DEFAULT_SUBMITTER_NAME = 'GEDCOM Family Tree Viewer';
+
+GedcomWriter.MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// Characters the ANSEL table has more than one byte for: use the GEDCOM 5.5.1 byte,
+// which PAF and older desktop programs read, not the later MARC-21 one
+GedcomWriter.ANSEL_PREFERRED_BYTES = {
+    'ß': 0xCF
+};
+
+// Export for use in Chrome extension
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GedcomWriter;
+} else if (typeof window !== 'undefined') {
+    window.GedcomWriter = GedcomWriter;
+}
@@ -0,0 +1,194 @@
+/**
+ * GEDZIP Reader
+ * Unpacks GEDZIP (.gdz) and plain .zip archives locally, without uploading them anywhere
+ *
+ * Key Features:
+ * - Read the zip central directory from a File or Blob
+ * - Inflate entries with the browser's DecompressionStream (stored and deflated entries)
+ * - Find the embedded GEDCOM (gedcom.ged at the root for GEDZIP, else the first .ged file)
+ * - Return every other file as a media Blob keyed by its path in the archive
+ */
+
+class GedzipReader {
+    /**
+     * Check whether a file looks like a GEDZIP or zip archive
+     * @param {File} file - Selected file
+     * @returns {boolean} True for .gdz and .zip files
+     */
+    static isArchive(file) {
+        const name = (file.name || '').toLowerCase();
+        return GedzipReader.ARCHIVE_EXTENSIONS.some(extension => name.endsWith(extension));
+    }
+
+    /**
+     * Unpack an archive into its GEDCOM file and media files
+     * @param {Blob} blob - Archive content
+     * @returns {Promise<Object>} { gedcom: Blob, gedcomPath, media: [{ path, blob }] }
+     */
+    async open(blob) {
+        const entries = await this.readEntries(blob);
+        const files = entries.filter(entry => !entry.path.endsWith('/'));
+
+        const gedcomEntry = files.find(entry => entry.path === GedzipReader.GEDCOM_PATH) ||
+            files.find(entry => /\.(ged|gedcom)$/i.test(entry.path));
+
+        if (!gedcomEntry) {
+            throw new Error('The archive does not contain a GEDCOM file');
+        }
+
+        const media = [];
+        for (const entry of files) {
+            if (entry === gedcomEntry) continue;
+            media.push({ path: entry.path, blob: await this.readFile(blob, entry) });
+        }
+
+        return {
+            gedcom: await this.readFile(blob, gedcomEntry),
+            gedcomPath: gedcomEntry.path,
+            media: media
+        };
+    }
+
+    /**
+     * Read the archive's central directory
+     * @param {Blob} blob - Archive content
+     * @returns {Promise<Array>} Entries with path, method, sizes and local header offset
+     */
+    async readEntries(blob) {
+        // The end of central directory record sits at the very end, after an optional comment
+        const tailLength = Math.min(blob.size, GedzipReader.MAX_END_RECORD_LENGTH);
+        const tail = await this.readBytes(blob, blob.size - tailLength, blob.size);
+
+        let endOffset = -1;
+        for (let i = tail.byteLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === GedzipReader.END_OF_CENTRAL_DIRECTORY) {
+                endOffset = i;
+                break;
+            }
+        }
+
+        if (endOffset < 0) {
+            throw new Error('Not a zip archive');
+        }
+
+        const entryCount = tail.getUint16(endOffset + 10, true);
+        const directorySize = tail.getUint32(endOffset + 12, true);
+        const directoryOffset = tail.getUint32(endOffset + 16, true);
+
+        if (entryCount === 0xFFFF || directoryOffset === 0xFFFFFFFF) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+
+        const directory = await this.readBytes(blob, directoryOffset, directoryOffset + directorySize);
+        const entries = [];
+        let offset = 0;
+
+        for (let i = 0; i < entryCount; i++) {
+            if (directory.getUint32(offset, true) !== GedzipReader.CENTRAL_DIRECTORY_ENTRY) {
+                throw new Error('Corrupt zip central directory');
+            }
+
+            const nameLength = directory.getUint16(offset + 28, true);
+            const extraLength = directory.getUint16(offset + 30, true);
+            const commentLength = directory.getUint16(offset + 32, true);
+            const nameBytes = new Uint8Array(directory.buffer, directory.byteOffset + offset + 46, nameLength);
+
+            entries.push({
+                path: new TextDecoder('utf-8').decode(nameBytes).replace(/\\/g, '/'),
+                method: directory.getUint16(offset + 10, true),
+                compressedSize: directory.getUint32(offset + 20, true),
+                size: directory.getUint32(offset + 24, true),
+                headerOffset: directory.getUint32(offset + 42, true)
+            });
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Extract one entry
+     * @param {Blob} blob - Archive content
+     * @param {Object} entry - Entry from readEntries
+     * @returns {Promise<Blob>} File content, typed by its extension
+     */
+    async readFile(blob, entry) {
+        const header = await this.readBytes(blob, entry.headerOffset, entry.headerOffset + 30);
+        if (header.getUint32(0, true) !== GedzipReader.LOCAL_FILE_HEADER) {
+            throw new Error(`Corrupt zip entry: ${entry.path}`);
+        }
+
+        // The local header's name and extra field may differ in length from the central directory's
+        const dataOffset = entry.headerOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+        const data = blob.slice(dataOffset, dataOffset + entry.compressedSize);
+        const type = GedzipReader.getMimeType(entry.path);
+
+        switch (entry.method) {
+            case 0: // Stored
+                return new Blob([data], { type });
+
+            case 8: { // Deflated
+                const inflated = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+                return new Blob([await new Response(inflated).arrayBuffer()], { type });
+            }
+
+            default:
+                throw new Error(`Unsupported zip compression method ${entry.method} for ${entry.path}`);
+        }
+    }
+
+    /**
+     * Read a byte range of a blob
+     * @param {Blob} blob - Source blob
+     * @param {number} start - First byte
+     * @param {number} end - Byte after the last one
+     * @returns {Promise<DataView>} The bytes
+     */
+    async readBytes(blob, start, end) {
+        return new DataView(await blob.slice(start, end).arrayBuffer());
+    }
+
+    /**
+     * Guess a MIME type from a file name, so images display when turned into object URLs
+     * @param {string} path - File path
+     * @returns {string} MIME type, empty if unknown
+     */
+    static getMimeType(path) {
+        const extension = path.toLowerCase().split('.').pop();
+        return GedzipReader.MIME_TYPES[extension] || '';
+    }
+}
+
+GedzipReader.ARCHIVE_EXTENSIONS = ['.gdz', '.zip'];
+
+// GEDZIP keeps its dataset at this path; other media paths are relative to the archive root
+GedzipReader.GEDCOM_PATH = 'gedcom.ged';
+
+// Largest end of central directory record: 22 bytes plus a comment of up to 65535 bytes
+GedzipReader.MAX_END_RECORD_LENGTH = 22 + 0xFFFF;
+
+GedzipReader.LOCAL_FILE_HEADER = 0x04034B50;
+GedzipReader.CENTRAL_DIRECTORY_ENTRY = 0x02014B50;
+GedzipReader.END_OF_CENTRAL_DIRECTORY = 0x06054B50;
+
+GedzipReader.MIME_TYPES = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    bmp: 'image/bmp',
+    webp: 'image/webp',
+    svg: 'image/svg+xml',
+    tif: 'image/tiff',
+    tiff: 'image/tiff',
+    pdf: 'application/pdf',
+    ged: 'text/plain'
+};
+
+// Export for use in Chrome extension
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GedzipReader;
+} else if (typeof window !== 'undefined') {
+    window.GedzipReader = GedzipReader;
+}
@@ -0,0 +1,184 @@
+/**
+ * Media Store
+ * Keeps media files unpacked from a GEDZIP archive in IndexedDB, so the viewer page can show them
+ *
+ * Key Features:
+ * - Shared by the parsing worker (which writes) and the viewer (which reads)
+ * - Holds the media of one archive at a time; opening another file replaces or clears it
+ * - Normalizes OBJE FILE paths and matches them to archive or local folder files
+ */
+
+class MediaStore {
+    /**
+     * Open (and create on first use) the media database
+     * @returns {Promise<IDBDatabase>} Database connection
+     */
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = indexedDB.open(MediaStore.DATABASE_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(MediaStore.STORE_NAME, { keyPath: 'path' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.database;
+    }
+
+    /**
+     * Replace the stored media with the files of a newly opened archive
+     * @param {Array} files - { path, blob } entries
+     * @returns {Promise} Resolves once the files are stored
+     */
+    async replaceAll(files) {
+        const database = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(MediaStore.STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(MediaStore.STORE_NAME);
+
+            store.clear();
+            files.forEach(file => store.put({ path: MediaStore.normalizePath(file.path), blob: file.blob }));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Remove all stored media
+     * @returns {Promise} Resolves once the store is empty
+     */
+    clear() {
+        return this.replaceAll([]);
+    }
+
+    /**
+     * Read every stored media file
+     * @returns {Promise<Array>} { path, blob } entries, empty where IndexedDB is unavailable
+     */
+    async getAll() {
+        if (typeof indexedDB === 'undefined') return [];
+
+        const database = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const request = database
+                .transaction(MediaStore.STORE_NAME, 'readonly')
+                .objectStore(MediaStore.STORE_NAME)
+                .getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Normalize a file path for matching
+     * GEDZIP FILE values are URL-encoded paths relative to the archive root; older files may use backslashes
+     * @param {string} path - OBJE FILE value or archive path
+     * @returns {string} Decoded, forward-slashed path without a leading ./ or /
+     */
+    static normalizePath(path) {
+        let normalized = (path || '').trim();
+
+        try {
+            normalized = decodeURIComponent(normalized);
+        } catch (error) {
+            // Not URL-encoded (a stray % sign); use it as written
+        }
+
+        return normalized
+            .replace(/\\/g, '/')
+            .replace(/^file:\/+/i, '')
+            .replace(/^(\.\/|\/)+/, '');
+    }
+
+    /**
+     * Get a file's path inside a folder chosen with a directory picker
+     * The chosen folder's own name is dropped, so paths are relative to it like GEDZIP paths
+     * @param {File} file - File from an <input webkitdirectory>
+     * @returns {string} Path relative to the chosen folder
+     */
+    static getFolderPath(file) {
+        return (file.webkitRelativePath || file.name).split('/').slice(1).join('/') || file.name;
+    }
+
+    /**
+     * Build the lookups used to match FILE paths
+     * @param {Map} files - Normalized path -> Blob
+     * @returns {Object} { byPath, byName }: lower-cased path -> Blob, lower-cased file name -> every file with that name
+     */
+    static createIndex(files) {
+        const byPath = new Map();
+        const byName = new Map();
+
+        for (const [path, blob] of files) {
+            const lowerPath = path.toLowerCase();
+            const name = lowerPath.split('/').pop();
+            byPath.set(lowerPath, blob);
+            if (!byName.has(name)) byName.set(name, []);
+            byName.get(name).push({ path: lowerPath, blob });
+        }
+
+        return { byPath, byName };
+    }
+
+    /**
+     * Find the file an OBJE FILE path refers to
+     * Paths written on another computer rarely match exactly (C:\Users\...\photos\john.jpg): after an exact
+     * match, prefer the file whose folders match the end of the path, then any file with the same name
+     * @param {Object} index - Lookups from createIndex()
+     * @param {string} path - OBJE FILE value
+     * @returns {Blob|null} Matching file
+     */
+    static findFile(index, path) {
+        if (!path) return null;
+
+        const normalized = MediaStore.normalizePath(path).toLowerCase();
+        if (index.byPath.has(normalized)) return index.byPath.get(normalized);
+
+        const candidates = index.byName.get(normalized.split('/').pop()) || [];
+        const suffixMatch = candidates
+            .filter(candidate => normalized.endsWith(`/${candidate.path}`))
+            .sort((a, b) => b.path.length - a.path.length)[0];
+
+        return (suffixMatch || candidates[0])?.blob || null;
+    }
+
+    /**
+     * List the media paths people link that match no file
+     * @param {Array} individuals - Parsed individuals
+     * @param {Object} index - Lookups from createIndex()
+     * @returns {Array} { path, links, people } for each unmatched path, in the order first linked
+     */
+    static findUnmatched(individuals, index) {
+        const unmatched = new Map();
+
+        (individuals || []).forEach(person => {
+            (person.media || []).forEach(item => {
+                if (MediaStore.findFile(index, item.file)) return;
+                if (!unmatched.has(item.file)) unmatched.set(item.file, { path: item.file, links: 0, people: [] });
+
+                const entry = unmatched.get(item.file);
+                const name = person.name?.full || 'Unknown';
+                entry.links++;
+                if (!entry.people.includes(name)) entry.people.push(name);
+            });
+        });
+
+        return [...unmatched.values()];
+    }
+}
+
+MediaStore.DATABASE_NAME = 'gedcom-tree-viewer-media';
+MediaStore.STORE_NAME = 'media';
+
+// Export for use in Chrome extension
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MediaStore;
+} else if (typeof window !== 'undefined') {
+    window.MediaStore = MediaStore;
+}
@@ -0,0 +1,460 @@
+/**
+ * Relationship Calculator
+ * Names how two people in a parsed GEDCOM file are related and finds the path that connects them
+ *
+ * Key Features:
+ * - Blood relationships through the nearest common ancestors, following birth parent links
+ * - Lineal and collateral names: great-grandfather, grandnephew, great-grandaunt, second cousin once removed
+ * - Half relationships when the two lines descend from different families of a shared parent
+ * - Paternal or maternal side for grandparents, aunts and uncles and further up
+ * - Spouses, in-laws, step-parents, step-children, step-siblings and adoptive or foster parents
+ * - A person-by-person path (parent, child and spouse steps) for drawing a relationship chart
+ */
+
+class RelationshipCalculator {
+    /**
+     * @param {Map} individuals - personId -> individual record (TreeBuilder.individuals)
+     * @param {Map} families - familyId -> family record (TreeBuilder.families)
+     */
+    constructor(individuals, families) {
+        this.individuals = individuals;
+        this.families = families;
+    }
+
+    /**
+     * Work out how one person is related to another
+     * @param {string} fromId - Person the relationship is described from
+     * @param {string} toId - Person whose relationship is named ("toId is fromId's ...")
+     * @returns {Object|null} { type, label, path, commonAncestors, half }, or null if either person is unknown;
+     *     type is 'self', 'blood', 'spouse', 'adoptive', 'step', 'in-law', 'marriage' or 'none' and
+     *     path lists { personId, link } from fromId to toId, link being how each person relates to the previous one
+     */
+    calculate(fromId, toId) {
+        if (!this.individuals.has(fromId) || !this.individuals.has(toId)) return null;
+
+        const sex = this.individuals.get(toId).sex;
+
+        if (fromId === toId) {
+            return this.createResult('self', 'same person', [{ personId: fromId, link: null }]);
+        }
+
+        const blood = this.findBloodRelationship(fromId, toId);
+        if (blood) return blood;
+
+        return this.findSpouseRelationship(fromId, toId, sex) ||
+            this.findNonBirthParentRelationship(fromId, toId, sex) ||
+            this.findRelationshipThroughSpouse(fromId, toId, sex) ||
+            this.findStepSiblingRelationship(fromId, toId, sex) ||
+            this.createResult('none', 'no relationship found', []);
+    }
+
+    /**
+     * Find a blood relationship through the nearest common ancestors
+     * @param {string} fromId - Person the relationship is described from
+     * @param {string} toId - Person whose relationship is named
+     * @returns {Object|null} Blood relationship result, or null if they share no ancestor
+     */
+    findBloodRelationship(fromId, toId) {
+        const fromAncestors = this.getAncestorDistances(fromId);
+        const toAncestors = this.getAncestorDistances(toId);
+
+        let nearest = null;
+        fromAncestors.forEach((up, personId) => {
+            const down = toAncestors.get(personId);
+            if (down && (!nearest || up.distance + down.distance < nearest.up + nearest.down)) {
+                nearest = { personId, up: up.distance, down: down.distance };
+            }
+        });
+        if (!nearest) return null;
+
+        // The other spouse of a couple is usually a common ancestor at the same distances
+        const commonAncestors = [...fromAncestors.keys()].filter(personId =>
+            fromAncestors.get(personId).distance === nearest.up && toAncestors.get(personId)?.distance === nearest.down);
+
+        const half = nearest.up > 0 && nearest.down > 0 &&
+            this.isHalfRelationship(fromAncestors.get(nearest.personId).via, toAncestors.get(nearest.personId).via);
+        const upChain = this.getChain(fromAncestors, nearest.personId).reverse();
+        const downChain = this.getChain(toAncestors, nearest.personId).slice(1);
+        const path = [
+            ...upChain.map((personId, index) => ({ personId, link: index === 0 ? null : 'parent' })),
+            ...downChain.map(personId => ({ personId, link: 'child' }))
+        ];
+
+        const sex = this.individuals.get(toId).sex;
+        let label = RelationshipCalculator.getBloodLabel(nearest.up, nearest.down, sex);
+        if (half) label = RelationshipCalculator.addPrefix('half', label);
+
+        // Grandparents, aunts and uncles and those above them are on the father's or the mother's side
+        const side = nearest.up >= 2 && nearest.down <= 1
+            ? RelationshipCalculator.SIDES[this.individuals.get(upChain[1]).sex] || null
+            : null;
+        if (side) label = `${side} ${label}`;
+
+        return {
+            ...this.createResult('blood', label, path),
+            commonAncestors,
+            half,
+            generations: { up: nearest.up, down: nearest.down }
+        };
+    }
+
+    /**
+     * Check whether toId is fromId's husband or wife
+     * @param {string} fromId - Person the relationship is described from
+     * @param {string} toId - Person whose relationship is named
+     * @param {string} sex - Sex of toId
+     * @returns {Object|null} Spouse result, or null
+     */
+    findSpouseRelationship(fromId, toId, sex) {
+        if (!this.getSpouseIds(fromId).includes(toId)) return null;
+
+        return this.createResult('spouse', RelationshipCalculator.getTerm('spouse', sex),
+            [{ personId: fromId, link: null }, { personId: toId, link: 'spouse' }]);
+    }
+
+    /**
+     * Check for an adoptive, foster or sealing parent or child
+     * @param {string} fromId - Person the relationship is described from
+     * @param {string} toId - Person whose relationship is named
+     * @param {string} sex - Sex of toId
+     * @returns {Object|null} Adoptive result, or null
+     */
+    findNonBirthParentRelationship(fromId, toId, sex) {
+        const asParent = this.getNonBirthParentLink(fromId, toId);
+        if (asParent) {
+            return this.createResult('adoptive', `${asParent} ${RelationshipCalculator.getTerm('parent', sex)}`,
+                [{ personId: fromId, link: null }, { personId: toId, link: 'parent' }]);
+        }
+
+        const asChild = this.getNonBirthParentLink(toId, fromId);
+        if (asChild) {
+            const adjective = asChild === 'adoptive' ? 'adopted' : asChild;
+            return this.createResult('adoptive', `${adjective} ${RelationshipCalculator.getTerm('child', sex)}`,
+                [{ personId: fromId, link: null }, { personId: toId, link: 'child' }]);
+        }
+
+        return null;
+    }
+
+    /**
+     * Find in-law and step relationships through the spouse of either person
+     * @param {string} fromId - Person the relationship is described from
+     * @param {string} toId - Person whose relationship is named
+     * @param {string} sex - Sex of toId
+     * @returns {Object|null} In-law, step or by-marriage result, or null
+     */
+    findRelationshipThroughSpouse(fromId, toId, sex) {
+        // toId married one of fromId's blood relatives
+        for (const spouseId of this.getSpouseIds(toId)) {
+            const relative = this.findBloodRelationship(fromId, spouseId);
+            if (!relative) continue;
+
+            const { up, down } = relative.generations;
+            const path = [...relative.path, { personId: toId, link: 'spouse' }];
+
+            if (down === 0) {
+                return this.createResult('step', RelationshipCalculator.addPrefix('step', RelationshipCalculator.getBloodLabel(up, 0, sex)), path);
+            }
+            if (up === 0 || up === 1 && down === 1) {
+                return this.createResult('in-law', `${RelationshipCalculator.getBloodLabel(up, down, sex)}-in-law`, path);
+            }
+            return this.createResult('marriage', `${RelationshipCalculator.getBloodLabel(up, down, sex)} by marriage`, path);
+        }
+
+        // toId is a blood relative of fromId's spouse
+        for (const spouseId of this.getSpouseIds(fromId)) {
+            const relative = this.findBloodRelationship(spouseId, toId);
+            if (!relative) continue;
+
+            const { up, down } = relative.generations;
+            const path = [{ personId: fromId, link: null }, { personId: spouseId, link: 'spouse' }, ...relative.path.slice(1)];
+
+            if (up === 0) {
+                return this.createResult('step', RelationshipCalculator.addPrefix('step', RelationshipCalculator.getBloodLabel(0, down, sex)), path);
+            }
+            if (down === 0 || up === 1 && down === 1) {
+                return this.createResult('in-law', `${RelationshipCalculator.getBloodLabel(up, down, sex)}-in-law`, path);
+            }
+            return this.createResult('marriage', `${RelationshipCalculator.getBloodLabel(up, down, sex)} by marriage`, path);
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether toId is a child of a step-parent of fromId
+     * @param {string} fromId - Person the relationship is described from
+     * @param {string} toId - Person whose relationship is named
+     * @param {string} sex - Sex of toId
+     * @returns {Object|null} Step-sibling result, or null
+     */
+    findStepSiblingRelationship(fromId, toId, sex) {
+        const parentIds = this.getBirthParentIds(fromId);
+
+        for (const parentId of parentIds) {
+            const stepParentId = this.getSpouseIds(parentId)
+                .find(spouseId => !parentIds.includes(spouseId) && this.getBirthParentIds(toId).includes(spouseId));
+
+            if (stepParentId) {
+                return this.createResult('step', RelationshipCalculator.addPrefix('step', RelationshipCalculator.getTerm('sibling', sex)), [
+                    { personId: fromId, link: null },
+                    { personId: parentId, link: 'parent' },
+                    { personId: stepParentId, link: 'spouse' },
+                    { personId: toId, link: 'child' }
+                ]);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find everyone a person descends from, breadth first so each distance is the shortest
+     * @param {string} personId - Person ID
+     * @returns {Map} ancestorId -> { distance, via }, via being the child on the way back to personId
+     *     (the person themselves is included at distance 0)
+     */
+    getAncestorDistances(personId) {
+        const ancestors = new Map([[personId, { distance: 0, via: null }]]);
+        const queue = [personId];
+
+        for (let i = 0; i < queue.length; i++) {
+            const distance = ancestors.get(queue[i]).distance + 1;
+
+            this.getBirthParentIds(queue[i]).forEach(parentId => {
+                if (!ancestors.has(parentId)) {
+                    ancestors.set(parentId, { distance, via: queue[i] });
+                    queue.push(parentId);
+                }
+            });
+        }
+
+        return ancestors;
+    }
+
+    /**
+     * Follow via links from an ancestor back down to the person the distances were found from
+     * @param {Map} ancestors - Result of getAncestorDistances
+     * @param {string} ancestorId - Ancestor to start from
+     * @returns {Array} Person IDs from the ancestor to the descendant
+     */
+    getChain(ancestors, ancestorId) {
+        const chain = [];
+        for (let personId = ancestorId; personId; personId = ancestors.get(personId).via) {
+            chain.push(personId);
+        }
+        return chain;
+    }
+
+    /**
+     * Check whether two children of a common ancestor are only half-siblings
+     * Children of the same family are full siblings, as are children of two separate families with the same two parents
+     * @param {string} firstId - Child on one line
+     * @param {string} secondId - Child on the other line
+     * @returns {boolean} True if they share only one parent
+     */
+    isHalfRelationship(firstId, secondId) {
+        const firstFamilies = this.getBirthFamilyIds(firstId);
+        if (this.getBirthFamilyIds(secondId).some(familyId => firstFamilies.includes(familyId))) return false;
+
+        const firstParents = this.getBirthParentIds(firstId);
+        const sharedParents = this.getBirthParentIds(secondId).filter(parentId => firstParents.includes(parentId));
+        return sharedParents.length < 2;
+    }
+
+    /**
+     * Get the families a person was born into (birth links that are not disproven)
+     * @param {string} personId - Person ID
+     * @returns {Array} Family IDs
+     */
+    getBirthFamilyIds(personId) {
+        const person = this.individuals.get(personId);
+        if (!person) return [];
+
+        return TreeBuilder.getParentFamilyLinks(person)
+            .filter(link => TreeBuilder.isBirthPedigree(link.pedigree) && link.status !== 'disproven')
+            .map(link => link.familyId)
+            .filter(familyId => this.families.has(familyId));
+    }
+
+    /**
+     * Get a person's birth parents
+     * @param {string} personId - Person ID
+     * @returns {Array} Parent IDs
+     */
+    getBirthParentIds(personId) {
+        return [...new Set(this.getBirthFamilyIds(personId)
+            .map(familyId => this.families.get(familyId))
+            .flatMap(family => [family.husband, family.wife])
+            .filter(parentId => parentId && this.individuals.has(parentId)))];
+    }
+
+    /**
+     * Get everyone a person has a family with as husband or wife
+     * @param {string} personId - Person ID
+     * @returns {Array} Spouse IDs
+     */
+    getSpouseIds(personId) {
+        const person = this.individuals.get(personId);
+        if (!person) return [];
+
+        return [...new Set(person.families.spouse
+            .map(familyId => this.families.get(familyId))
+            .filter(Boolean)
+            .map(family => family.husband === personId ? family.wife : family.husband)
+            .filter(spouseId => spouseId && this.individuals.has(spouseId)))];
+    }
+
+    /**
+     * Find a non-birth parent link (adopted, foster, sealing) from a child to a parent
+     * @param {string} childId - Child ID
+     * @param {string} parentId - Parent ID
+     * @returns {string|null} Adjective for the link, e.g. 'adoptive', or null
+     */
+    getNonBirthParentLink(childId, parentId) {
+        const child = this.individuals.get(childId);
+        if (!child) return null;
+
+        const link = TreeBuilder.getParentFamilyLinks(child).find(link => {
+            const family = this.families.get(link.familyId);
+            return !TreeBuilder.isBirthPedigree(link.pedigree) && family &&
+                (family.husband === parentId || family.wife === parentId);
+        });
+
+        return link ? RelationshipCalculator.PEDIGREE_ADJECTIVES[link.pedigree] || link.pedigree : null;
+    }
+
+    /**
+     * Create a result object
+     * @param {string} type - Relationship type
+     * @param {string} label - Relationship name
+     * @param {Array} path - { personId, link } steps
+     * @returns {Object} Result
+     */
+    createResult(type, label, path) {
+        return { type, label, path, commonAncestors: [], half: false };
+    }
+
+    /**
+     * Name a blood relationship from the generations up to and down from the common ancestor
+     * @param {number} up - Generations from the first person up to the common ancestor
+     * @param {number} down - Generations from the common ancestor down to the second person
+     * @param {string} sex - Sex of the second person ('M', 'F' or unknown)
+     * @returns {string} Relationship of the second person to the first
+     */
+    static getBloodLabel(up, down, sex) {
+        const term = kind => RelationshipCalculator.getTerm(kind, sex);
+
+        if (up === 0 && down === 0) return 'same person';
+        if (down === 0) return RelationshipCalculator.getLinealLabel(up, term('parent'));
+        if (up === 0) return RelationshipCalculator.getLinealLabel(down, term('child'));
+        if (up === 1 && down === 1) return term('sibling');
+        if (up === 1) return RelationshipCalculator.getCollateralLabel(down, term('nibling'));
+        if (down === 1) return RelationshipCalculator.getCollateralLabel(up, term('auncle'));
+
+        const degree = Math.min(up, down) - 1;
+        const removed = Math.abs(up - down);
+        const cousin = `${RelationshipCalculator.ORDINALS[degree] || RelationshipCalculator.getOrdinal(degree)} cousin`;
+
+        if (removed === 0) return cousin;
+        return `${cousin} ${RelationshipCalculator.REMOVED[removed] || `${removed} times`} removed`;
+    }
+
+    /**
+     * Name a direct ancestor or descendant: father, grandfather, great-grandfather, 2nd great-grandfather...
+     * @param {number} generations - Generations apart
+     * @param {string} term - Parent or child term
+     * @returns {string} Label
+     */
+    static getLinealLabel(generations, term) {
+        if (generations === 1) return term;
+        return `${RelationshipCalculator.getGreatPrefix(generations - 2)}grand${term}`;
+    }
+
+    /**
+     * Name an aunt, uncle, niece or nephew: aunt, grandaunt, great-grandaunt...
+     * @param {number} generations - Generations between the older and younger person
+     * @param {string} term - Aunt/uncle or niece/nephew term
+     * @returns {string} Label
+     */
+    static getCollateralLabel(generations, term) {
+        if (generations === 2) return term;
+        return `${RelationshipCalculator.getGreatPrefix(generations - 3)}grand${term}`;
+    }
+
+    /**
+     * Build the "great-" prefix; from three greats on it is numbered (3rd great-)
+     * @param {number} count - Number of greats
+     * @returns {string} Prefix
+     */
+    static getGreatPrefix(count) {
+        if (count <= 0) return '';
+        if (count <= 2) return 'great-'.repeat(count);
+        return `${RelationshipCalculator.getOrdinal(count)} great-`;
+    }
+
+    /**
+     * Pick the male, female or neutral word for a relationship
+     * @param {string} kind - Key in RelationshipCalculator.TERMS
+     * @param {string} sex - 'M', 'F' or unknown
+     * @returns {string} Term
+     */
+    static getTerm(kind, sex) {
+        const [male, female, neutral] = RelationshipCalculator.TERMS[kind];
+        return sex === 'M' ? male : sex === 'F' ? female : neutral;
+    }
+
+    /**
+     * Prefix a label with half or step: stepson, step-grandmother, half-brother, half first cousin
+     * @param {string} prefix - 'half' or 'step'
+     * @param {string} label - Relationship label
+     * @returns {string} Prefixed label
+     */
+    static addPrefix(prefix, label) {
+        if (prefix === 'step' && Object.values(RelationshipCalculator.TERMS).slice(0, 3).some(terms => terms.includes(label))) {
+            return `step${label}`;
+        }
+        return label.includes(' ') ? `${prefix} ${label}` : `${prefix}-${label}`;
+    }
+
+    /**
+     * Format a number as an ordinal (1st, 2nd, 3rd, 11th)
+     * @param {number} n - Number
+     * @returns {string} Ordinal
+     */
+    static getOrdinal(n) {
+        const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ['th', 'st', 'nd', 'rd'][n % 10] || 'th';
+        return `${n}${suffix}`;
+    }
+}
+
+// Male, female and neutral words
+RelationshipCalculator.TERMS = {
+    parent: ['father', 'mother', 'parent'],
+    child: ['son', 'daughter', 'child'],
+    sibling: ['brother', 'sister', 'sibling'],
+    spouse: ['husband', 'wife', 'spouse'],
+    auncle: ['uncle', 'aunt', 'aunt/uncle'],
+    nibling: ['nephew', 'niece', 'niece/nephew']
+};
+
+// Side of the family, from the sex of the parent the line goes through
+RelationshipCalculator.SIDES = { M: 'paternal', F: 'maternal' };
+
+RelationshipCalculator.ORDINALS = [null, 'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+
+RelationshipCalculator.REMOVED = [null, 'once', 'twice', 'three times'];
+
+// PEDI values for parent links that are not by birth
+RelationshipCalculator.PEDIGREE_ADJECTIVES = {
+    adopted: 'adoptive',
+    foster: 'foster',
+    sealing: 'sealed'
+};
+
+// Export for use in Chrome extension
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RelationshipCalculator;
+} else if (typeof window !== 'undefined') {
+    window.RelationshipCalculator = RelationshipCalculator;
+}
@@ -127,6 +127,81 @@ class GedcomTester {
             // Test 6: Edge cases
             this.testEdgeCases(results);
 
+            // Test 7: CONC/CONT continuation lines
+            this.testContinuationLines(results);
+
+            // Test 8: GEDCOM date grammar
+            this.testDateParsing(results);
+
+            // Test 9: Calendar escapes
+            this.testCalendarEscapes(results);
+
+            // Test 10: Character set decoding
+            this.testCharacterDecoding(results);
+
+            // Test 11: Individual events and attributes
+            this.testIndividualEvents(results);
+
+            // Test 12: Family events
+            this.testFamilyEvents(results);
+
+            // Test 13: Sources, repositories and citations
+            this.testSourcesAndCitations(results);
+
+            // Test 14: Shared and inline notes
+            this.testNotes(results);
+
+            // Test 15: Multiple names and name pieces
+            this.testNames(results);
+
+            // Test 16: Parent families with pedigree types
+            this.testParentFamilies(results);
+
+            // Test 17: Streaming (chunked) parsing
+            this.testStreamingParse(results);
+
+            // Test 18: Lossless node tree
+            this.testNodeTree(results);
+
+            // Test 19: GEDCOM writer round trip
+            this.testGedcomWriter(results);
+
+            // Test 20: GEDCOM 7.0 import
+            this.testGedcom7(results);
+
+            // Test 21: Multimedia objects and GEDZIP paths
+            this.testMediaObjects(results);
+
+            // Test 22: Validation report
+            this.testValidator(results);
+
+            // Test 23: Consistency rules
+            this.testConsistencyChecker(results);
+
+            // Test 24: Loops in corrupt files
+            this.testTreeLoops(results);
+
+            // Test 25: Pedigree collapse
+            this.testPedigreeCollapse(results);
+
+            // Test 26: Relationship calculator
+            this.testRelationshipCalculator(results);
+
+            // Test 27: Relationships to the root person
+            this.testRelationshipToRoot(results);
+
+            // Test 28: Siblings
+            this.testSiblings(results);
+
+            // Test 29: Couples in descendant trees
+            this.testCouples(results);
+
+            // Test 30: Hourglass (combined) trees
+            this.testHourglassTree(results);
+
+            // Test 31: Matching media paths to files
+            this.testMediaMatching(results);
+
         } catch (error) {
             this.addTestResult(results, 'Critical Error', false, `Unexpected error: ${error.message}`);
         }
@@ -338,6 +413,1400 @@ class GedcomTester {
         }
     }
 
+    testContinuationLines(results) {
+        const gedcom = `0 HEAD
+0 @I1@ INDI
+1 NAME Anna /Berg/
+1 BIRT
+2 PLAC Sankt Petersburg, Russian Emp
+3 CONC ire
+1 NOTE First line of the note
+2 CONT Second line
+2 CONC  continued
+1 NOTE This is a long\x20
+2 CONC note
+0 TRLR`;
+        const parseResult = this.parser.parse(gedcom);
+        const anna = parseResult.individuals?.find(p => p.id === '@I1@');
+
+        this.addTestResult(
+            results,
+            'Continuation - CONC Joins Place',
+            anna && anna.birth.place === 'Sankt Petersburg, Russian Empire',
+            `Expected 'Sankt Petersburg, Russian Empire', got: '${anna?.birth.place || 'none'}'`
+        );
+
+        this.addTestResult(
+            results,
+            'Continuation - CONT Adds Line Break',
+            anna && anna.notes[0] === 'First line of the note\nSecond line continued',
+            `Expected two-line note, got: ${JSON.stringify(anna?.notes[0] || null)}`
+        );
+
+        this.addTestResult(
+            results,
+            'Continuation - CONC After Trailing Space',
+            anna && anna.notes[1] === 'This is a long note',
+            `Expected 'This is a long note', got: ${JSON.stringify(anna?.notes[1] || null)}`
+        );
+
+        this.addTestResult(
+            results,
+            'Continuation - No Stray Attributes',
+            anna && !anna.attributes.some(attr => attr.tag === 'CONC' || attr.tag === 'CONT'),
+            `Expected no CONC/CONT attributes, got: ${anna?.attributes.length || 0} attributes`
+        );
+    }
+
+    testDateParsing(results) {
+        const range = this.parser.parseDate('BET 1850 AND 1855');
+        this.addTestResult(
+            results,
+            'Dates - BET/AND Range',
+            range.qualifier === 'BET' && range.start?.year === 1850 && range.end?.year === 1855 && range.uncertain,
+            `Expected uncertain range 1850-1855, got: ${range.start?.year}-${range.end?.year} (${range.qualifier})`
+        );
+
+        const period = this.parser.parseDate('FROM 1901 TO 1910');
+        this.addTestResult(
+            results,
+            'Dates - FROM/TO Period',
+            period.qualifier === 'FROM' && period.start?.year === 1901 && period.end?.year === 1910 && !period.uncertain,
+            `Expected period 1901-1910, got: ${period.start?.year}-${period.end?.year}`
+        );
+
+        const interpreted = this.parser.parseDate('INT 1820 (about)');
+        this.addTestResult(
+            results,
+            'Dates - Interpreted Date Phrase',
+            interpreted.year === 1820 && interpreted.phrase === 'about',
+            `Expected 1820 with phrase 'about', got: ${interpreted.year} '${interpreted.phrase}'`
+        );
+
+        const dual = this.parser.parseDate('12 FEB 1731/32');
+        this.addTestResult(
+            results,
+            'Dates - Dual Year',
+            dual.year === 1732 && dual.start?.dualYear === '1731/32' && dual.precision === 'day',
+            `Expected New Style year 1732, got: ${dual.year}`
+        );
+
+        const partial = this.parser.parseDate('MAR 1888');
+        this.addTestResult(
+            results,
+            'Dates - Month Precision',
+            partial.precision === 'month' && partial.start?.month === 3 && partial.sortValue < this.parser.parseDate('1 APR 1888').sortValue,
+            `Expected month precision sorting before April, got: ${partial.precision}`
+        );
+    }
+
+    testCalendarEscapes(results) {
+        const julian = this.parser.parseDate('@#DJULIAN@ 3 MAR 1701');
+        this.addTestResult(
+            results,
+            'Calendars - Julian Conversion',
+            julian.calendar === 'JULIAN' && julian.converted === '14 MAR 1701' && julian.display === '3 MAR 1701 (Julian)',
+            `Expected 3 MAR 1701 (Julian) = 14 MAR 1701, got: ${julian.display} = ${julian.converted}`
+        );
+
+        const hebrew = this.parser.parseDate('@#DHEBREW@ 1 TSH 5760');
+        this.addTestResult(
+            results,
+            'Calendars - Hebrew Conversion',
+            hebrew.calendar === 'HEBREW' && hebrew.converted === '11 SEP 1999',
+            `Expected 11 SEP 1999, got: ${hebrew.converted}`
+        );
+
+        const french = this.parser.parseDate('@#DFRENCH R@ 18 BRUM 8');
+        this.addTestResult(
+            results,
+            'Calendars - French Republican Conversion',
+            french.calendar === 'FRENCH R' && french.converted === '9 NOV 1799',
+            `Expected 9 NOV 1799, got: ${french.converted}`
+        );
+
+        const gregorian = this.parser.parseDate('14 MAR 1701');
+        this.addTestResult(
+            results,
+            'Calendars - Shared Day Number',
+            julian.sortValue === gregorian.sortValue,
+            `Expected equal day numbers, got: ${julian.sortValue} and ${gregorian.sortValue}`
+        );
+
+        // Leap years follow each calendar: 1900 is a Julian leap year but not a Gregorian one
+        const impossible = ['31 FEB 1900', '29 FEB 1900', '31 APR 1850', '@#DHEBREW@ 30 TVT 5660', '@#DFRENCH R@ 6 COMP 2'];
+        const possible = ['29 FEB 1904', '@#DJULIAN@ 29 FEB 1900', '@#DHEBREW@ 30 KSL 5760', '@#DFRENCH R@ 6 COMP 3'];
+        const parsedImpossible = impossible.map(value => this.parser.parseDate(value));
+        this.addTestResult(
+            results,
+            'Calendars - Days Beyond The Month Rejected',
+            parsedImpossible.every(date => date.start === null && date.sortValue === null) &&
+                possible.every(value => this.parser.parseDate(value).sortValue !== null),
+            `Expected only ${possible.join(', ')} to parse, got sort values: ${parsedImpossible.map(date => date.sortValue).join(', ')}`
+        );
+
+        if (typeof GedcomValidator !== 'undefined') {
+            const validator = new GedcomValidator();
+            this.addTestResult(
+                results,
+                'Calendars - Impossible Days Reported As Malformed',
+                impossible.every(value => !validator.isValidDate(value)) && possible.every(value => validator.isValidDate(value)),
+                `Got: ${impossible.concat(possible).map(value => `${value} ${validator.isValidDate(value)}`).join(', ')}`
+            );
+        }
+    }
+
+    testCharacterDecoding(results) {
+        const decoder = new GedcomDecoder();
+        const header = '0 HEAD\n1 CHAR ANSEL\n0 @I1@ INDI\n1 NAME Fran';
+        const bytes = new Uint8Array([
+            ...Array.from(header, c => c.charCodeAt(0)),
+            0xF0, ...Array.from('cois /M', c => c.charCodeAt(0)),
+            0xE8, ...Array.from('uller/', c => c.charCodeAt(0))
+        ]);
+        const decoded = decoder.decode(bytes);
+
+        this.addTestResult(
+            results,
+            'Encoding - ANSEL Declared In Header',
+            decoded.encoding === 'ansel' && decoded.declaredCharset === 'ANSEL',
+            `Expected ANSEL, got: ${decoded.encoding}`
+        );
+
+        this.addTestResult(
+            results,
+            'Encoding - ANSEL Combining Diacritics',
+            decoded.text.endsWith('François /Müller/'),
+            `Expected 'François /Müller/', got: '${decoded.text.split('NAME ')[1]}'`
+        );
+
+        const gedcomSharpS = new Uint8Array([
+            ...Array.from('0 HEAD\n1 CHAR ANSEL\n0 @I1@ INDI\n1 NAME Hans /Gro', c => c.charCodeAt(0)),
+            0xCF, ...Array.from('e/', c => c.charCodeAt(0))
+        ]);
+        const sharpS = decoder.decode(gedcomSharpS).text;
+        this.addTestResult(
+            results,
+            'Encoding - ANSEL GEDCOM Sharp S',
+            sharpS.endsWith('Hans /Große/'),
+            `Expected 'Hans /Große/', got: '${sharpS.split('NAME ')[1]}'`
+        );
+
+        const utf16 = new Uint8Array([0xFF, 0xFE, ...Array.from('0 HEAD', c => [c.charCodeAt(0), 0]).flat()]);
+        this.addTestResult(
+            results,
+            'Encoding - UTF-16 Byte Order Mark',
+            decoder.decode(utf16).text === '0 HEAD',
+            `Expected '0 HEAD', got: '${decoder.decode(utf16).text}'`
+        );
+    }
+
+    testIndividualEvents(results) {
+        const gedcom = `0 HEAD
+0 @I1@ INDI
+1 NAME Thomas /Reed/
+1 CHR
+2 DATE 4 MAY 1820
+2 PLAC Bristol, England
+1 OCCU Blacksmith
+2 DATE 1851
+1 RESI
+2 ADDR 12 Mill Lane
+3 CITY Bristol
+1 EVEN
+2 TYPE Military Service
+2 DATE FROM 1840 TO 1845
+1 BURI
+2 DATE 2 FEB 1880
+2 AGE 59y
+2 SOUR @S1@
+3 DATA
+4 DATE 1 JAN 1900
+1 DEAT
+2 CAUS Consumption
+2 NOTE Died at home
+0 TRLR`;
+        const parseResult = this.parser.parse(gedcom);
+        const thomas = parseResult.individuals?.find(p => p.id === '@I1@');
+        const event = (tag) => thomas?.events.find(e => e.tag === tag);
+
+        this.addTestResult(
+            results,
+            'Events - All Events Parsed',
+            thomas && thomas.events.length === 6 && thomas.attributes.length === 0,
+            `Expected 6 events and no attributes, got: ${thomas?.events.length} events, ${thomas?.attributes.length} attributes`
+        );
+
+        this.addTestResult(
+            results,
+            'Events - Attribute Value And Address',
+            event('OCCU')?.value === 'Blacksmith' && event('RESI')?.address === '12 Mill Lane, Bristol',
+            `Expected Blacksmith at '12 Mill Lane, Bristol', got: ${event('OCCU')?.value} at '${event('RESI')?.address}'`
+        );
+
+        this.addTestResult(
+            results,
+            'Events - Custom EVEN Type',
+            event('EVEN')?.type === 'Military Service' && event('EVEN')?.date?.qualifier === 'FROM',
+            `Expected 'Military Service', got: '${event('EVEN')?.type}'`
+        );
+
+        this.addTestResult(
+            results,
+            'Events - Nested Dates Ignored',
+            event('BURI')?.date?.display === '2 FEB 1880' && event('BURI')?.age === '59y',
+            `Expected burial 2 FEB 1880, got: '${event('BURI')?.date?.display}'`
+        );
+
+        this.addTestResult(
+            results,
+            'Events - Cause And Notes',
+            event('DEAT')?.cause === 'Consumption' && event('DEAT')?.notes[0] === 'Died at home',
+            `Expected cause and note on death, got: '${event('DEAT')?.cause}'`
+        );
+
+        this.treeBuilder.initialize(parseResult.individuals, parseResult.families);
+        const lifeDates = this.treeBuilder.getLifeDates(thomas);
+        this.addTestResult(
+            results,
+            'Events - Christening And Burial Fallback',
+            lifeDates === '(chr. 1820 - bur. 1880)',
+            `Expected '(chr. 1820 - bur. 1880)', got: '${lifeDates}'`
+        );
+
+        const undated = this.parser.parse('0 HEAD\n0 @I1@ INDI\n1 NAME Ann /Reed/\n1 DEAT Y\n0 @I2@ INDI\n1 NAME Living /Reed/\n0 TRLR');
+        const [ann, living] = undated.individuals;
+        this.addTestResult(
+            results,
+            'Events - Undated Death Is Not Living',
+            TreeBuilder.isDeceased(ann) && !TreeBuilder.isDeceased(living) &&
+                this.treeBuilder.createTreeNode(ann, 0).isAlive === false,
+            'Expected "1 DEAT Y" without a date to mark the person as dead'
+        );
+    }
+
+    testFamilyEvents(results) {
+        const gedcom = `0 HEAD
+0 @F1@ FAM
+1 HUSB @I1@
+1 WIFE @I2@
+1 ENGA
+2 DATE 1 MAY 1844
+2 PLAC Bath
+1 MARR
+2 DATE 10 JUN 1845
+2 PLAC Bristol
+2 HUSB
+3 AGE 25
+2 WIFE
+3 AGE 22
+1 DIV
+2 DATE 1860
+1 NCHI 3
+0 TRLR`;
+        const parseResult = this.parser.parse(gedcom);
+        const family = parseResult.families?.find(f => f.id === '@F1@');
+        const marriage = family?.events.find(e => e.tag === 'MARR');
+
+        this.addTestResult(
+            results,
+            'Family Events - Engagement Parsed',
+            family && family.events.some(e => e.tag === 'ENGA' && e.place === 'Bath' && e.date?.year === 1844),
+            `Expected engagement in Bath, 1844, got: ${JSON.stringify(family?.events.find(e => e.tag === 'ENGA') || null)}`
+        );
+
+        this.addTestResult(
+            results,
+            'Family Events - Spouse Ages',
+            marriage && marriage.husbandAge === '25' && marriage.wifeAge === '22',
+            `Expected ages 25 and 22, got: ${marriage?.husbandAge} and ${marriage?.wifeAge}`
+        );
+
+        this.addTestResult(
+            results,
+            'Family Events - Marriage And Divorce Summaries',
+            family && family.marriage.place === 'Bristol' && family.divorce.date?.year === 1860,
+            `Expected marriage in Bristol and divorce in 1860, got: ${family?.marriage.place}, ${family?.divorce.date?.year}`
+        );
+
+        this.addTestResult(
+            results,
+            'Family Events - Number Of Children',
+            family && family.childCount === 3,
+            `Expected NCHI 3, got: ${family?.childCount}`
+        );
+    }
+
+    testSourcesAndCitations(results) {
+        const gedcom = `0 HEAD
+0 @I1@ INDI
+1 NAME John /Smith/
+2 SOUR @S1@
+3 PAGE Entry 12
+1 BIRT
+2 DATE 1 JAN 1850
+2 SOUR @S1@
+3 PAGE Folio 4, entry 27
+3 QUAY 3
+3 DATA
+4 DATE 3 JAN 1850
+4 TEXT John, son of William Smith
+1 SOUR Family Bible
+0 @S1@ SOUR
+1 TITL Parish Register of St Mary
+1 AUTH Church of England
+1 PUBL Manuscript
+1 REPO @R1@
+2 CALN PR/123
+3 MEDI Microfilm
+0 @R1@ REPO
+1 NAME County Record Office
+1 ADDR High Street
+2 CITY Taunton
+0 TRLR`;
+        const parseResult = this.parser.parse(gedcom);
+        const source = parseResult.sources?.find(s => s.id === '@S1@');
+        const repository = parseResult.repositories?.find(r => r.id === '@R1@');
+        const person = parseResult.individuals?.find(i => i.id === '@I1@');
+        const birthCitation = person?.sources.find(c => c.factTag === 'BIRT');
+
+        this.addTestResult(
+            results,
+            'Sources - Source Record Parsed',
+            source && source.title === 'Parish Register of St Mary' && source.author === 'Church of England' &&
+                source.repositories[0]?.id === '@R1@' && source.repositories[0].callNumbers[0]?.number === 'PR/123' &&
+                source.repositories[0].callNumbers[0].media === 'Microfilm',
+            `Expected title, author and call number PR/123, got: ${JSON.stringify(source || null)}`
+        );
+
+        this.addTestResult(
+            results,
+            'Sources - Repository Record Parsed',
+            repository && repository.name === 'County Record Office' && repository.address === 'High Street, Taunton',
+            `Expected County Record Office in Taunton, got: ${JSON.stringify(repository || null)}`
+        );
+
+        this.addTestResult(
+            results,
+            'Sources - Event Citation Details',
+            birthCitation && birthCitation.sourceId === '@S1@' && birthCitation.page === 'Folio 4, entry 27' &&
+                birthCitation.quality === 3 && birthCitation.fact === 'Birth' &&
+                birthCitation.date?.year === 1850 && birthCitation.text[0] === 'John, son of William Smith',
+            `Expected birth citation with page, quality and data, got: ${JSON.stringify(birthCitation || null)}`
+        );
+
+        this.addTestResult(
+            results,
+            'Sources - Name And Person Citations',
+            person && person.sources.some(c => c.fact === 'Name' && c.page === 'Entry 12') &&
+                person.sources.some(c => c.fact === null && c.sourceId === null && c.title === 'Family Bible'),
+            `Expected name citation and inline person-level source, got: ${JSON.stringify(person?.sources || null)}`
+        );
+    }
+
+    testNotes(results) {
+        const gedcom = `0 HEAD
+0 @I1@ INDI
+1 NAME John /Smith/
+1 NOTE @N12@
+1 NOTE Inline note
+2 CONT on two lines
+1 BIRT
+2 DATE 1850
+2 NOTE @N12@
+1 DEAT
+2 NOTE @N99@
+0 @N12@ NOTE Shared note
+1 CONT spanning lines
+0 TRLR`;
+        const parseResult = this.parser.parse(gedcom);
+        const person = parseResult.individuals?.find(i => i.id === '@I1@');
+        const birth = person?.events.find(e => e.tag === 'BIRT');
+        const death = person?.events.find(e => e.tag === 'DEAT');
+
+        this.addTestResult(
+            results,
+            'Notes - Shared Note Record Parsed',
+            parseResult.notes?.length === 1 && parseResult.notes[0].text === 'Shared note\nspanning lines',
+            `Expected one shared note, got: ${JSON.stringify(parseResult.notes || null)}`
+        );
+
+        this.addTestResult(
+            results,
+            'Notes - Person Notes Resolved',
+            person && person.notes.length === 2 && person.notes[0] === 'Shared note\nspanning lines' &&
+                person.notes[1] === 'Inline note\non two lines',
+            `Expected resolved shared note and inline note, got: ${JSON.stringify(person?.notes || null)}`
+        );
+
+        this.addTestResult(
+            results,
+            'Notes - Event Notes Resolved',
+            birth && birth.notes[0] === 'Shared note\nspanning lines' && person.birth.notes === 'Shared note\nspanning lines',
+            `Expected shared note on the birth event, got: ${JSON.stringify(birth?.notes || null)}`
+        );
+
+        this.addTestResult(
+            results,
+            'Notes - Dangling Reference Reported',
+            death && death.notes.length === 0 && parseResult.warnings.some(w => w.includes('@N99@')),
+            `Expected dangling @N99@ to be dropped with a warning, got: ${JSON.stringify(death?.notes || null)}`
+        );
+    }
+
+    testNames(results) {
+        const gedcom = `0 HEAD
+0 @I1@ INDI
+1 NAME Dr. Maria /van der Berg/ Jr.
+2 TYPE birth
+2 NPFX Dr.
+2 GIVN Maria
+2 NICK Mia
+2 SPFX van der
+2 SURN Berg
+2 NSFX Jr.
+1 NAME Maria /Smith/
+2 TYPE married
+1 NAME Mia /Berg/
+2 TYPE aka
+0 TRLR`;
+        const parseResult = this.parser.parse(gedcom);
+        const person = parseResult.individuals?.find(i => i.id === '@I1@');
+        const primary = person?.name;
+
+        this.addTestResult(
+            results,
+            'Names - All Names Kept',
+            person && person.names.length === 3 && person.names.map(n => n.type).join(',') === 'birth,married,aka',
+            `Expected birth, married and aka names, got: ${JSON.stringify(person?.names.map(n => n.type) || null)}`
+        );
+
+        this.addTestResult(
+            results,
+            'Names - Pieces Override Slashes',
+            primary && primary.prefix === 'Dr.' && primary.given === 'Maria' && primary.surnamePrefix === 'van der' &&
+                primary.surname === 'Berg' && primary.suffix === 'Jr.' && primary.nickname === 'Mia' &&
+                primary.full === 'Maria van der Berg',
+            `Expected pieces from the sub-tags, got: ${JSON.stringify(primary || null)}`
+        );
+
+        this.addTestResult(
+            results,
+            'Names - First Name Is Primary',
+            person && person.name === person.names[0] && person.names[1].full === 'Maria Smith',
+            `Expected the first NAME to be primary, got: ${primary?.full}`
+        );
+    }
+
+    testParentFamilies(results) {
+        const gedcom = `0 HEAD
+0 @I1@ INDI
+1 NAME Child /Brown/
+1 FAMC @F2@
+2 PEDI adopted
+1 FAMC @F1@
+2 PEDI birth
+2 STAT proven
+0 @I2@ INDI
+1 NAME Birth /Father/
+1 SEX M
+1 FAMS @F1@
+0 @I3@ INDI
+1 NAME Adoptive /Father/
+1 SEX M
+1 FAMS @F2@
+0 @F1@ FAM
+1 HUSB @I2@
+1 CHIL @I1@
+0 @F2@ FAM
+1 HUSB @I3@
+1 CHIL @I1@
+0 TRLR`;
+        const parseResult = this.parser.parse(gedcom);
+        const child = parseResult.individuals?.find(i => i.id === '@I1@');
+        const links = child?.families.childLinks || [];
+
+        this.addTestResult(
+            results,
+            'Parent Families - Pedigree And Status Parsed',
+            links.length === 2 && links[0].pedigree === 'adopted' && links[1].pedigree === 'birth' && links[1].status === 'proven',
+            `Expected adopted and proven birth links, got: ${JSON.stringify(links)}`
+        );
+
+        if (!parseResult.success) return;
+
+        const treeBuilder = this.treeBuilder;
+        treeBuilder.initialize(parseResult.individuals, parseResult.families);
+
+        const preferredTree = treeBuilder.buildTree('@I1@', { maxGenerations: 2 });
+        const fathers = (preferredTree.root.parents || []).map(p => p.id).join(',');
+        this.addTestResult(
+            results,
+            'Parent Families - Birth Family Preferred',
+            fathers === '@I2@' && preferredTree.root.parents[0].pedigree === 'birth',
+            `Expected the birth father regardless of file order, got: ${fathers}`
+        );
+
+        const chosenTree = treeBuilder.buildTree('@I1@', {
+            maxGenerations: 2,
+            preferredParentFamilies: { '@I1@': '@F2@' }
+        });
+        this.addTestResult(
+            results,
+            'Parent Families - Preferred Family Setting',
+            chosenTree.root.parents?.[0]?.id === '@I3@' && chosenTree.root.parents[0].pedigree === 'adopted',
+            `Expected the adoptive father, got: ${chosenTree.root.parents?.[0]?.id}`
+        );
+
+        const allTree = treeBuilder.buildTree('@I1@', { maxGenerations: 2, parentFamilies: 'all' });
+        this.addTestResult(
+            results,
+            'Parent Families - All Parent Sets',
+            (allTree.root.parents || []).length === 2,
+            `Expected both fathers, got: ${(allTree.root.parents || []).map(p => p.id).join(',')}`
+        );
+    }
+
+    testStreamingParse(results) {
+        const gedcom = this.getSampleGedcomData().replace(/\n/g, '\r\n') + `0 @I9@ INDI
+1 NAME Long /Note/
+1 NOTE First part of a note that is split
+2 CONC  across a CONC line
+2 CONT and a second line
+`;
+        const expected = JSON.stringify(new GedcomParser().parse(gedcom));
+
+        // Small chunks split lines, CR/LF pairs and CONC/CONT groups at every possible point
+        const streamingParser = new GedcomParser();
+        streamingParser.startStream();
+        for (let i = 0; i < gedcom.length; i += 5) {
+            streamingParser.parseChunk(gedcom.slice(i, i + 5));
+        }
+        const progress = streamingParser.getProgress();
+        const result = streamingParser.finishStream();
+
+        this.addTestResult(
+            results,
+            'Streaming - Same Result As parse()',
+            JSON.stringify(result) === expected,
+            'Expected chunked parsing to produce the same result as parse()'
+        );
+
+        this.addTestResult(
+            results,
+            'Streaming - Progress Reported',
+            progress.lines > 0 && progress.records > 0,
+            `Expected line and record counts, got: ${JSON.stringify(progress)}`
+        );
+    }
+
+    testNodeTree(results) {
+        const gedcom = `0 HEAD
+1 SOUR AncestryExport
+0 @I1@ INDI
+1 NAME Mary /Smith/
+2 _MARNM Jones
+1 _UID 0123456789ABCDEF
+1 BIRT
+2 DATE 1850
+2 _APID 1,7602::2771
+3 _CUSTOM level three
+0 @O1@ _PLAC_DEFN
+1 PLAC London
+0 TRLR`;
+        const parseResult = this.parser.parse(gedcom);
+        const records = parseResult.records || [];
+        const person = records.find(r => r.xref === '@I1@');
+        const birth = person?.children.find(c => c.tag === 'BIRT');
+        const apid = birth?.children.find(c => c.tag === '_APID');
+
+        this.addTestResult(
+            results,
+            'Node Tree - Every Record Kept',
+            records.map(r => r.tag).join(',') === 'HEAD,INDI,_PLAC_DEFN,TRLR',
+            `Expected HEAD, INDI, _PLAC_DEFN and TRLR, got: ${records.map(r => r.tag).join(',')}`
+        );
+
+        this.addTestResult(
+            results,
+            'Node Tree - Vendor Tags Preserved',
+            person && person.children.some(c => c.tag === '_UID' && c.value === '0123456789ABCDEF') &&
+                person.children[0].children[0]?.tag === '_MARNM' &&
+                apid && apid.value === '1,7602::2771' && apid.children[0]?.value === 'level three',
+            `Expected _UID, _MARNM and nested _APID data, got: ${JSON.stringify(person || null)}`
+        );
+
+        this.addTestResult(
+            results,
+            'Node Tree - Line Numbers',
+            person && person.lineNumber === 3 && apid && apid.lineNumber === 9,
+            `Expected line numbers 3 and 9, got: ${person?.lineNumber} and ${apid?.lineNumber}`
+        );
+    }
+
+    testGedcomWriter(results) {
+        const longNote = 'A note long enough to need CONC lines. '.repeat(12).trim();
+        const gedcom = this.getSampleGedcomData().replace('0 TRLR', `0 @I9@ INDI
+1 NAME José /Núñez/
+2 TYPE birth
+2 NICK Pepe
+1 BIRT
+2 DATE @#DJULIAN@ 12 FEB 1731/32
+2 SOUR @S1@
+3 PAGE Folio 2
+3 QUAY 2
+1 NOTE ${longNote}
+2 CONT Second paragraph
+1 _UID 1234
+0 @S1@ SOUR
+1 TITL Parish Register
+0 TRLR`);
+        const original = new GedcomParser().parse(gedcom);
+        const writer = new GedcomWriter();
+        const keys = ['individuals', 'families', 'sources', 'repositories', 'notes'];
+        const sameData = (a, b) => keys.every(key => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+
+        const modelText = writer.write(original, { useRecords: false });
+        const fromModel = new GedcomParser().parse(modelText);
+        this.addTestResult(
+            results,
+            'GEDCOM Writer - Round Trip From Parsed Model',
+            fromModel.success && sameData(original, fromModel),
+            'Expected parse → write → parse to return the same data'
+        );
+
+        const lines = modelText.split('\r\n');
+        this.addTestResult(
+            results,
+            'GEDCOM Writer - Header, Trailer And Line Length',
+            lines[0] === '0 HEAD' && lines.includes('2 VERS 5.5.1') && lines.includes('1 CHAR UTF-8') &&
+                lines[lines.length - 2] === '0 TRLR' && lines.every(line => line.length <= 255) &&
+                lines.some(line => line.startsWith('2 CONC ')) && lines.includes('2 CONT Second paragraph'),
+            'Expected HEAD/TRLR, CHAR UTF-8 and CONC/CONT lines of at most 255 characters'
+        );
+
+        const recordText = writer.write(original);
+        const fromRecords = new GedcomParser().parse(recordText);
+        this.addTestResult(
+            results,
+            'GEDCOM Writer - Vendor Tags Kept From Record Tree',
+            sameData(original, fromRecords) && recordText.includes('1 _UID 1234'),
+            'Expected the lossless record tree to be written back, including _UID'
+        );
+
+        const ansel = writer.encode(writer.write(original, { charset: 'ANSEL' }), 'ANSEL');
+        const decoded = new GedcomDecoder().decode(ansel);
+        const fromAnsel = new GedcomParser().parse(decoded.text);
+        this.addTestResult(
+            results,
+            'GEDCOM Writer - ANSEL Output',
+            decoded.encoding === 'ansel' && sameData(original, fromAnsel) &&
+                fromAnsel.individuals.some(i => i.name.full === 'José Núñez'),
+            `Expected ANSEL output to decode back to the same data, got encoding: ${decoded.encoding}`
+        );
+
+        const sharpS = Array.from(writer.encode('Große', 'ANSEL'));
+        this.addTestResult(
+            results,
+            'GEDCOM Writer - ANSEL Sharp S Uses GEDCOM Byte',
+            sharpS.length === 5 && sharpS[3] === 0xCF &&
+                new GedcomDecoder().decodeAnsel(new Uint8Array(sharpS)) === 'Große',
+            `Expected ß to be written as 0xCF, got: ${sharpS.map(byte => byte.toString(16)).join(' ')}`
+        );
+    }
+
+    testGedcom7(results) {
+        const gedcom = `0 HEAD
+1 GEDC
+2 VERS 7.0
+1 SCHMA
+2 TAG _SKYPEID http://xmlns.com/foaf/0.1/skypeID
+0 @I1@ INDI
+1 NAME John /Smith/
+1 SEX M
+1 BIRT
+2 DATE JULIAN 1 JAN 1700
+2 SDATE 12 JAN 1700
+1 DEAT
+2 DATE
+3 PHRASE Lost at sea
+1 EXID 123
+2 TYPE http://example.com/ids
+1 _SKYPEID john.smith
+1 NO MARR
+2 DATE FROM 1720 TO 1730
+1 SNOTE @N1@
+1 FAMC @VOID@
+0 @N1@ SNOTE Shared note text
+0 TRLR`;
+        const parseResult = this.parser.parse(gedcom);
+        const person = parseResult.individuals?.[0];
+        const birth = person?.events.find(e => e.tag === 'BIRT');
+
+        this.addTestResult(
+            results,
+            'GEDCOM 7 - Version And Extension Schema',
+            parseResult.header?.version === '7.0' &&
+                parseResult.header.schema._SKYPEID === 'http://xmlns.com/foaf/0.1/skypeID' &&
+                person?.attributes.some(a => a.tag === '_SKYPEID' && a.uri === 'http://xmlns.com/foaf/0.1/skypeID') &&
+                parseResult.records[1]?.children.some(c => c.tag === '_SKYPEID' && c.uri),
+            `Expected version 7.0 with _SKYPEID resolved, got: ${JSON.stringify(parseResult.header || null)}`
+        );
+
+        this.addTestResult(
+            results,
+            'GEDCOM 7 - Dates, SDATE And PHRASE',
+            birth?.date?.calendar === 'JULIAN' && birth.date.year === 1700 && birth.sortDate?.year === 1700 &&
+                person.death.date?.phrase === 'Lost at sea',
+            `Expected a Julian birth with sort date and a phrase-only death date, got: ${JSON.stringify(birth?.date || null)}`
+        );
+
+        this.addTestResult(
+            results,
+            'GEDCOM 7 - SNOTE, EXID, NO And VOID',
+            person?.notes[0] === 'Shared note text' &&
+                person.attributes.some(a => a.tag === 'EXID' && a.type === 'http://example.com/ids') &&
+                person.nonEvents[0]?.type === 'Marriage' && person.nonEvents[0].date?.qualifier === 'FROM' &&
+                person.families.child.length === 0,
+            `Expected shared note, typed EXID, NO MARR and no parent family, got: ${JSON.stringify(person || null)}`
+        );
+    }
+
+    testMediaObjects(results) {
+        const gedcom = this.getSampleGedcomData().replace('0 TRLR', `0 @I9@ INDI
+1 NAME Ann /Lee/
+1 OBJE @O1@
+1 OBJE
+2 FILE media/ann%20young.png
+3 FORM png
+2 TITL Ann as a girl
+2 _PRIM Y
+1 OBJE @O404@
+0 @O1@ OBJE
+1 FILE media/ann.jpg
+2 FORM jpg
+2 TITL Ann portrait
+0 TRLR`);
+        const parseResult = this.parser.parse(gedcom);
+        const ann = parseResult.individuals?.find(i => i.id === '@I9@');
+        const media = ann?.media || [];
+
+        this.addTestResult(
+            results,
+            'Media - OBJE Records And Links',
+            parseResult.media?.length === 1 && media.length === 2 &&
+                media[0].id === '@O1@' && media[0].file === 'media/ann.jpg' && media[0].title === 'Ann portrait' &&
+                media[1].id === null && media[1].form === 'png' && media[1].title === 'Ann as a girl' &&
+                media[0].primary === false && media[1].primary === true,
+            `Expected the record file and the inline file, got: ${JSON.stringify(media)}`
+        );
+
+        this.addTestResult(
+            results,
+            'Media - Dangling OBJE Pointer Reported',
+            parseResult.warnings.some(w => w.includes('@O404@')),
+            `Expected a warning for @O404@, got: ${JSON.stringify(parseResult.warnings)}`
+        );
+
+        // Written from the parsed model, as GEDCOM 7 files and older stored data are
+        const exported = new GedcomParser().parse(new GedcomWriter().write(parseResult, { useRecords: false }));
+        const exportedAnn = exported.individuals?.find(i => i.id === '@I9@');
+        this.addTestResult(
+            results,
+            'Media - OBJE Records Survive Export',
+            !exported.warnings.some(w => w.includes('OBJE')) &&
+                JSON.stringify(exported.media) === JSON.stringify(parseResult.media) &&
+                JSON.stringify(exportedAnn?.media) === JSON.stringify(media),
+            `Expected the same OBJE records and links after export, got: ${JSON.stringify(exported.media)}`
+        );
+
+        if (typeof MediaStore !== 'undefined') {
+            this.addTestResult(
+                results,
+                'Media - GEDZIP Paths Normalized',
+                MediaStore.normalizePath(media[1].file) === 'media/ann young.png' &&
+                    MediaStore.normalizePath('.\\media\\ann.jpg') === 'media/ann.jpg',
+                `Expected decoded, forward-slashed paths, got: ${MediaStore.normalizePath(media[1].file)}`
+            );
+        }
+    }
+
+    testValidator(results) {
+        const gedcom = this.getSampleGedcomData().replace('0 TRLR', `0 @I9@ INDI
+1 NAME Ann /Lee/
+1 BIRT
+3 DATE 1 JAN 1900
+1 DEAT
+2 DATE 31 FEB 1950
+1 FAMS @F1@
+1 FAMC @F404@
+1 ZZZ unknown
+this line is not GEDCOM
+0 @I9@ INDI
+0 TRLR`);
+        const parseResult = this.parser.parse(gedcom);
+        const report = new GedcomValidator().validate(parseResult);
+        const find = (code, line) => report.issues.find(issue => issue.code === code && issue.line === line);
+        const lines = gedcom.split('\n');
+        const lineOf = text => lines.lastIndexOf(text) + 1; // The added lines come last
+
+        this.addTestResult(
+            results,
+            'Validation - Issues With Line Numbers',
+            find('level-jump', lineOf('3 DATE 1 JAN 1900'))?.severity === 'error' &&
+                find('malformed-date', lineOf('2 DATE 31 FEB 1950')) &&
+                find('missing-link', lineOf('1 FAMS @F1@'))?.severity === 'warning' &&
+                find('dangling-pointer', lineOf('1 FAMC @F404@'))?.xref === '@I9@' &&
+                find('unknown-tag', lineOf('1 ZZZ unknown')) &&
+                find('syntax', lineOf('this line is not GEDCOM')) &&
+                find('duplicate-xref', lineOf('0 @I9@ INDI')),
+            `Expected each problem on its own line, got: ${JSON.stringify(report.issues)}`
+        );
+
+        this.addTestResult(
+            results,
+            'Validation - Clean Sample Has No Errors',
+            new GedcomValidator().validate(this.parser.parse(this.getSampleGedcomData())).counts.error === 0,
+            'Expected no errors in the sample file'
+        );
+
+        this.addTestResult(
+            results,
+            'Validation - Text Report',
+            GedcomValidator.formatText(report).includes(`line ${lineOf('1 FAMC @F404@')}`),
+            'Expected the text report to list line numbers'
+        );
+    }
+
+    testConsistencyChecker(results) {
+        const gedcom = this.getSampleGedcomData().replace('0 TRLR', `0 @I8@ INDI
+1 NAME Old /Father/
+1 BIRT
+2 DATE 1900
+1 DEAT
+2 DATE 1 JAN 1950
+1 FAMS @F8@
+1 FAMC @F9@
+0 @I9@ INDI
+1 NAME Late /Child/
+1 BIRT
+2 DATE ABT 1960
+1 CENS
+2 DATE 1970
+1 DEAT
+2 DATE 1965
+1 FAMC @F8@
+1 FAMS @F9@
+0 @F8@ FAM
+1 HUSB @I8@
+1 CHIL @I9@
+0 @F9@ FAM
+1 HUSB @I9@
+1 CHIL @I8@
+0 TRLR`);
+        const parseResult = this.parser.parse(gedcom);
+        const findings = new ConsistencyChecker().check(parseResult.individuals, parseResult.families);
+        const has = (rule, personId) => findings.some(f => f.rule === rule && f.personId === personId);
+
+        this.addTestResult(
+            results,
+            'Consistency - Impossible Dates And Loops',
+            has('childAfterFatherDeath', '@I9@') && has('eventAfterDeath', '@I9@') && has('ownAncestor', '@I8@') &&
+                !findings.some(f => ['@I1@', '@I2@', '@I3@'].includes(f.personId)),
+            `Expected findings for @I8@ and @I9@ only, got: ${JSON.stringify(findings)}`
+        );
+
+        const configured = new ConsistencyChecker({ childAfterFatherDeath: { limit: 240 }, ownAncestor: { enabled: false } })
+            .check(parseResult.individuals, parseResult.families);
+
+        this.addTestResult(
+            results,
+            'Consistency - Configurable Rules',
+            !configured.some(f => f.rule === 'childAfterFatherDeath' || f.rule === 'ownAncestor') &&
+                configured.some(f => f.rule === 'eventAfterDeath'),
+            `Expected the raised limit and disabled rule to silence their findings, got: ${JSON.stringify(configured)}`
+        );
+
+        // 1 JUL 1900 + 9 calendar months is 1 APR 1901, 274 days later
+        const posthumous = (deathDate, birthDate) => {
+            const people = this.parser.parse(`0 HEAD
+0 @I1@ INDI
+1 NAME Late /Father/
+1 DEAT
+2 DATE ${deathDate}
+1 FAMS @F1@
+0 @I2@ INDI
+1 NAME Posthumous /Child/
+1 BIRT
+2 DATE ${birthDate}
+1 FAMC @F1@
+0 @F1@ FAM
+1 HUSB @I1@
+1 CHIL @I2@
+0 TRLR`);
+            return new ConsistencyChecker().check(people.individuals, people.families)
+                .some(f => f.rule === 'childAfterFatherDeath');
+        };
+
+        this.addTestResult(
+            results,
+            'Consistency - Calendar Months After Father\'s Death',
+            !posthumous('1 JUL 1900', '1 APR 1901') && posthumous('1 JUL 1900', '2 APR 1901') &&
+                !posthumous('31 MAY 1900', '28 FEB 1901') && posthumous('31 MAY 1900', '1 MAR 1901'),
+            'Expected births up to exactly 9 calendar months after the death to pass'
+        );
+    }
+
+    testTreeLoops(results) {
+        // @I8@ and @I9@ are each other's parent
+        const gedcom = this.getSampleGedcomData().replace('0 TRLR', `0 @I8@ INDI
+1 NAME Loop /One/
+1 FAMC @F9@
+1 FAMS @F8@
+0 @I9@ INDI
+1 NAME Loop /Two/
+1 FAMC @F8@
+1 FAMS @F9@
+0 @F8@ FAM
+1 HUSB @I8@
+1 CHIL @I9@
+0 @F9@ FAM
+1 HUSB @I9@
+1 CHIL @I8@
+0 TRLR`);
+        const parseResult = this.parser.parse(gedcom);
+        this.treeBuilder.initialize(parseResult.individuals, parseResult.families);
+
+        const ancestors = this.treeBuilder.buildTree('@I8@', { treeType: 'ancestors', maxGenerations: 10 });
+        const loopNode = ancestors.root.parents?.[0]?.parents?.[0];
+
+        this.addTestResult(
+            results,
+            'Tree Loops - Loop Node Not Expanded',
+            ancestors.metadata.totalNodes === 3 && loopNode?.id === '@I8@' && loopNode.isLoop === true &&
+                !loopNode.children,
+            `Expected @I8@ -> @I9@ -> @I8@ (loop), got ${ancestors.metadata.totalNodes} nodes`
+        );
+
+        const descendants = this.treeBuilder.buildTree('@I9@', { treeType: 'descendants', maxGenerations: 10 });
+        const loops = descendants.metadata.loops;
+
+        this.addTestResult(
+            results,
+            'Tree Loops - Reported In Metadata',
+            loops.length === 1 && loops[0].personId === '@I9@' && loops[0].path.join() === '@I9@,@I8@' &&
+                loops[0].treeType === 'descendants',
+            `Expected one loop through @I9@ and @I8@, got: ${JSON.stringify(loops)}`
+        );
+
+        const sampleData = this.parser.parse(this.getSampleGedcomData());
+        this.treeBuilder.initialize(sampleData.individuals, sampleData.families);
+        const sample = this.treeBuilder.buildTree('@I3@', { treeType: 'ancestors', maxGenerations: 3 });
+
+        // @I3@, parents @I1@ and @I2@, grandparents @I5@ and @I6@
+        this.addTestResult(
+            results,
+            'Tree Loops - Shared Arrays Counted Once',
+            sample.metadata.totalNodes === 5 && sample.metadata.loops.length === 0,
+            `Expected each ancestor counted once, got ${sample.metadata.totalNodes}`
+        );
+    }
+
+    testPedigreeCollapse(results) {
+        // The parents of @I1@ are first cousins: @I6@ and @I7@ appear twice among the great-grandparents
+        const gedcom = `0 HEAD
+0 @I1@ INDI
+1 NAME Root /Kid/
+1 FAMC @F1@
+0 @I2@ INDI
+1 NAME Dad /Kid/
+1 FAMC @F2@
+1 FAMS @F1@
+0 @I3@ INDI
+1 NAME Mom /Cousin/
+1 FAMC @F3@
+1 FAMS @F1@
+0 @I4@ INDI
+1 NAME GpaA /Kid/
+1 FAMC @F4@
+1 FAMS @F2@
+0 @I5@ INDI
+1 NAME GpaB /Cousin/
+1 FAMC @F4@
+1 FAMS @F3@
+0 @I6@ INDI
+1 NAME Great /Shared/
+1 FAMS @F4@
+0 @I7@ INDI
+1 NAME Greatw /Shared/
+1 FAMS @F4@
+0 @F1@ FAM
+1 HUSB @I2@
+1 WIFE @I3@
+1 CHIL @I1@
+0 @F2@ FAM
+1 HUSB @I4@
+1 CHIL @I2@
+0 @F3@ FAM
+1 HUSB @I5@
+1 CHIL @I3@
+0 @F4@ FAM
+1 HUSB @I6@
+1 WIFE @I7@
+1 CHIL @I4@
+1 CHIL @I5@
+0 TRLR`;
+        const parseResult = this.parser.parse(gedcom);
+        this.treeBuilder.initialize(parseResult.individuals, parseResult.families);
+
+        const tree = this.treeBuilder.buildTree('@I1@', { treeType: 'ancestors', maxGenerations: 4 });
+        const [father, mother] = tree.root.parents;
+        const firstGreat = father.parents[0].parents;
+        const secondGreat = mother.parents[0].parents;
+
+        this.addTestResult(
+            results,
+            'Pedigree Collapse - First Occurrence Expanded',
+            firstGreat.length === 2 && firstGreat.every(node => !node.isReference),
+            `Expected the great-grandparents expanded under the father, got: ${JSON.stringify(firstGreat.map(node => node.id))}`
+        );
+
+        this.addTestResult(
+            results,
+            'Pedigree Collapse - Repeats Are References',
+            secondGreat.length === 2 && secondGreat.every(node => node.isReference === true && !node.parents) &&
+                tree.metadata.totalNodes === 9,
+            `Expected two reference nodes under the mother and 9 nodes, got ${tree.metadata.totalNodes}`
+        );
+
+        // 8 ancestor positions within three generations, 6 distinct people
+        this.addTestResult(
+            results,
+            'Pedigree Collapse - Percentage',
+            tree.metadata.pedigreeCollapse === 25,
+            `Expected 25% collapse, got: ${tree.metadata.pedigreeCollapse}`
+        );
+    }
+
+    testRelationshipCalculator(results) {
+        // @I1@ has children @I4@ and @I5@ with @I2@, and @I6@ with @I3@; @I7@ is a grandchild, @I9@ married @I7@
+        const gedcom = `0 HEAD
+0 @I1@ INDI
+1 NAME Grand /Father/
+1 SEX M
+1 FAMS @F1@
+1 FAMS @F2@
+0 @I2@ INDI
+1 NAME First /Wife/
+1 SEX F
+1 FAMS @F1@
+0 @I3@ INDI
+1 NAME Second /Wife/
+1 SEX F
+1 FAMS @F2@
+0 @I4@ INDI
+1 NAME Elder /Son/
+1 SEX M
+1 FAMC @F1@
+1 FAMS @F3@
+0 @I5@ INDI
+1 NAME Only /Daughter/
+1 SEX F
+1 FAMC @F1@
+1 FAMS @F4@
+0 @I6@ INDI
+1 NAME Half /Son/
+1 SEX M
+1 FAMC @F2@
+0 @I7@ INDI
+1 NAME Grand /Son/
+1 SEX M
+1 FAMC @F3@
+1 FAMS @F5@
+0 @I8@ INDI
+1 NAME Cousin /Daughter/
+1 SEX F
+1 FAMC @F4@
+0 @I9@ INDI
+1 NAME Grandson /Wife/
+1 SEX F
+1 FAMS @F5@
+0 @F1@ FAM
+1 HUSB @I1@
+1 WIFE @I2@
+1 CHIL @I4@
+1 CHIL @I5@
+0 @F2@ FAM
+1 HUSB @I1@
+1 WIFE @I3@
+1 CHIL @I6@
+0 @F3@ FAM
+1 HUSB @I4@
+1 CHIL @I7@
+0 @F4@ FAM
+1 WIFE @I5@
+1 CHIL @I8@
+0 @F5@ FAM
+1 HUSB @I7@
+1 WIFE @I9@
+0 TRLR`;
+        const parseResult = this.parser.parse(gedcom);
+        this.treeBuilder.initialize(parseResult.individuals, parseResult.families);
+        const calculator = new RelationshipCalculator(this.treeBuilder.individuals, this.treeBuilder.families);
+
+        const cousin = calculator.calculate('@I7@', '@I8@');
+        this.addTestResult(
+            results,
+            'Relationship - Cousins Through Common Ancestors',
+            cousin.label === 'first cousin' && cousin.commonAncestors.join() === '@I1@,@I2@' &&
+                cousin.path.map(step => step.personId).join() === '@I7@,@I4@,@I1@,@I5@,@I8@',
+            `Expected first cousins through @I1@ and @I2@, got: ${JSON.stringify(cousin)}`
+        );
+
+        const labels = [
+            calculator.calculate('@I4@', '@I6@').label,
+            calculator.calculate('@I7@', '@I3@').label,
+            calculator.calculate('@I9@', '@I4@').label,
+            calculator.calculate('@I8@', '@I9@').label
+        ];
+        this.addTestResult(
+            results,
+            'Relationship - Half, Step And In-Law',
+            labels.join() === 'half-brother,step-grandmother,father-in-law,first cousin by marriage',
+            `Got: ${labels.join(', ')}`
+        );
+
+        const names = [
+            RelationshipCalculator.getBloodLabel(3, 4, 'M'),
+            RelationshipCalculator.getBloodLabel(4, 1, 'F'),
+            RelationshipCalculator.getBloodLabel(0, 5, 'F'),
+            RelationshipCalculator.getBloodLabel(2, 1, 'U')
+        ];
+        this.addTestResult(
+            results,
+            'Relationship - Names From Generations',
+            names.join() === 'second cousin once removed,great-grandaunt,3rd great-granddaughter,aunt/uncle',
+            `Got: ${names.join(', ')}`
+        );
+    }
+
+    testRelationshipToRoot(results) {
+        const parseResult = this.parser.parse(this.getSampleGedcomData());
+        this.treeBuilder.initialize(parseResult.individuals, parseResult.families);
+        const calculator = new RelationshipCalculator(this.treeBuilder.individuals, this.treeBuilder.families);
+
+        // @I5@ and @I6@ are the parents of @I1@, the father of @I3@
+        const fromRoot = ['@I5@', '@I6@', '@I4@'].map(personId => calculator.calculate('@I3@', personId).label);
+        this.addTestResult(
+            results,
+            'Relationship To Root - Paternal Side',
+            fromRoot.join() === 'paternal grandfather,paternal grandmother,sister',
+            `Got: ${fromRoot.join(', ')}`
+        );
+
+        const fromGrandparent = calculator.calculate('@I6@', '@I3@').label;
+        this.addTestResult(
+            results,
+            'Relationship To Root - Descendants Have No Side',
+            fromGrandparent === 'grandson',
+            `Expected grandson, got: ${fromGrandparent}`
+        );
+    }
+
+    testSiblings(results) {
+        // John (@I1@) also has an older son, @I9@, with a second wife
+        const gedcom = this.getSampleGedcomData()
+            .replace('1 FAMS @F1@\n1 FAMC @F2@', '1 FAMS @F1@\n1 FAMS @F8@\n1 FAMC @F2@')
+            .replace('0 TRLR', `0 @I8@ INDI
+1 NAME Anne /Other/
+1 SEX F
+1 FAMS @F8@
+0 @I9@ INDI
+1 NAME Peter /Smith/
+1 SEX M
+1 BIRT
+2 DATE 1970
+1 FAMC @F8@
+0 @F8@ FAM
+1 HUSB @I1@
+1 WIFE @I8@
+1 CHIL @I9@
+0 TRLR`);
+        const parseResult = this.parser.parse(gedcom);
+        this.treeBuilder.initialize(parseResult.individuals, parseResult.families);
+
+        const withoutSiblings = this.treeBuilder.buildTree('@I4@', { treeType: 'ancestors', maxGenerations: 2 });
+        this.addTestResult(
+            results,
+            'Siblings - Off By Default',
+            !withoutSiblings.root.siblings,
+            'Expected no siblings unless includeSiblings is set'
+        );
+
+        const tree = this.treeBuilder.buildTree('@I4@', { treeType: 'ancestors', maxGenerations: 3, includeSiblings: 'root' });
+        const siblings = tree.root.siblings || [];
+        this.addTestResult(
+            results,
+            'Siblings - Birth Order With Half-Siblings Marked',
+            siblings.map(node => node.id).join() === '@I9@,@I3@' && tree.root.siblingPosition === 2 &&
+                siblings[0].isHalfSibling === true && siblings[1].isHalfSibling === false &&
+                !tree.root.parents[0].siblings,
+            `Expected @I9@ (half) and @I3@ before @I4@, got: ${siblings.map(node => node.id).join(', ')} at ${tree.root.siblingPosition}`
+        );
+
+        // @I1@ is an only child; @I2@ has no parents in the file
+        const ancestors = this.treeBuilder.buildTree('@I9@', { treeType: 'ancestors', maxGenerations: 3, includeSiblings: 'all' });
+        this.addTestResult(
+            results,
+            'Siblings - Root Siblings Are Half When Parents Differ',
+            ancestors.root.siblings.every(node => node.isHalfSibling) && ancestors.root.siblings.length === 2 &&
+                ancestors.metadata.totalNodes === 7,
+            `Expected two half-siblings and 7 nodes, got ${ancestors.metadata.totalNodes}`
+        );
+    }
+
+    testCouples(results) {
+        // John (@I1@) married Anne (@I8@) in 1969, before his 1974 marriage to Mary
+        const gedcom = this.getSampleGedcomData()
+            .replace('1 FAMS @F1@\n1 FAMC @F2@', '1 FAMS @F1@\n1 FAMS @F8@\n1 FAMC @F2@')
+            .replace('0 TRLR', `0 @I8@ INDI
+1 NAME Anne /Other/
+1 SEX F
+1 FAMS @F8@
+0 @I9@ INDI
+1 NAME Peter /Smith/
+1 SEX M
+1 FAMC @F8@
+0 @F8@ FAM
+1 HUSB @I1@
+1 WIFE @I8@
+1 CHIL @I9@
+1 MARR
+2 DATE 1969
+0 TRLR`);
+        const parseResult = this.parser.parse(gedcom);
+        this.treeBuilder.initialize(parseResult.individuals, parseResult.families);
+
+        const tree = this.treeBuilder.buildTree('@I1@', { treeType: 'descendants', maxGenerations: 2 });
+        const couples = tree.root.couples || [];
+        const summary = couples.map(couple =>
+            `${couple.spouse?.id}:${couple.marriageDate?.display}:${couple.children.map(child => child.id).join('+')}`);
+
+        this.addTestResult(
+            results,
+            'Couples - One Per Marriage In Date Order',
+            summary.join() === '@I8@:1969:@I9@,@I2@:14 JUN 1974:@I3@+@I4@' &&
+                tree.root.children.map(child => child.id).join() === '@I9@,@I3@,@I4@',
+            `Got: ${summary.join(', ')}`
+        );
+
+        this.addTestResult(
+            results,
+            'Couples - Spouse Nodes',
+            couples.every(couple => couple.spouse.isSpouse && couple.spouse.relationship === 'spouse' && !couple.spouse.children) &&
+                tree.metadata.totalNodes === 6,
+            `Expected two spouse nodes and 6 nodes, got ${tree.metadata.totalNodes}`
+        );
+
+        const withoutSpouses = this.treeBuilder.buildTree('@I1@', { treeType: 'descendants', maxGenerations: 2, includeSpouses: false });
+        this.addTestResult(
+            results,
+            'Couples - Off Without includeSpouses',
+            !withoutSpouses.root.couples && withoutSpouses.root.children.length === 3,
+            'Expected the children but no couples'
+        );
+    }
+
+    testHourglassTree(results) {
+        const parseResult = this.parser.parse(this.getSampleGedcomData());
+        this.treeBuilder.initialize(parseResult.individuals, parseResult.families);
+
+        const ids = nodes => (nodes || []).map(node => node.id).join();
+        const tree = this.treeBuilder.buildTree('@I1@', { treeType: 'both', ancestorGenerations: 2, descendantGenerations: 2 });
+
+        this.addTestResult(
+            results,
+            'Hourglass - Separate Branches',
+            ids(tree.root.parents) === '@I5@,@I6@' && ids(tree.root.children) === '@I3@,@I4@' &&
+                tree.metadata.totalNodes === 6,
+            `Got parents ${ids(tree.root.parents)}, children ${ids(tree.root.children)}, ${tree.metadata.totalNodes} nodes`
+        );
+
+        const upOnly = this.treeBuilder.buildTree('@I1@', { treeType: 'both', ancestorGenerations: 2, descendantGenerations: 1 });
+        const downOnly = this.treeBuilder.buildTree('@I1@', { treeType: 'both', ancestorGenerations: 1, descendantGenerations: 2 });
+
+        this.addTestResult(
+            results,
+            'Hourglass - Independent Depths',
+            ids(upOnly.root.parents) === '@I5@,@I6@' && !upOnly.root.children &&
+                !downOnly.root.parents && ids(downOnly.root.children) === '@I3@,@I4@',
+            'Expected generations up and down to limit each branch on its own'
+        );
+    }
+
+    testMediaMatching(results) {
+        if (typeof MediaStore === 'undefined') return;
+
+        // Files as the viewer keeps them: path relative to the archive or chosen folder -> blob (here the path itself)
+        const folder = [
+            { webkitRelativePath: 'Family Photos/portraits/John.JPG', name: 'John.JPG' },
+            { webkitRelativePath: 'Family Photos/a/grave.jpg', name: 'grave.jpg' },
+            { webkitRelativePath: 'Family Photos/b/grave.jpg', name: 'grave.jpg' },
+            { webkitRelativePath: 'Family Photos/ann young.png', name: 'ann young.png' },
+            { webkitRelativePath: '', name: 'loose.jpg' }
+        ];
+        const paths = folder.map(file => MediaStore.getFolderPath(file));
+        const index = MediaStore.createIndex(new Map(paths.map(path => [path, path])));
+        const find = path => MediaStore.findFile(index, path);
+
+        this.addTestResult(
+            results,
+            'Media Matching - Folder Name Dropped',
+            paths.join() === 'portraits/John.JPG,a/grave.jpg,b/grave.jpg,ann young.png,loose.jpg',
+            `Got: ${paths.join()}`
+        );
+
+        this.addTestResult(
+            results,
+            'Media Matching - Exact, Case And Encoding',
+            find('portraits/john.jpg') === 'portraits/John.JPG' &&
+                find('.\\portraits\\JOHN.jpg') === 'portraits/John.JPG' &&
+                find('ann%20young.png') === 'ann young.png',
+            `Got: ${find('portraits/john.jpg')}, ${find('ann%20young.png')}`
+        );
+
+        this.addTestResult(
+            results,
+            'Media Matching - Suffix Picks The Right Folder',
+            find('C:\\Users\\Ann\\Family Photos\\b\\grave.jpg') === 'b/grave.jpg' &&
+                find('C:\\Users\\Ann\\Family Photos\\a\\grave.jpg') === 'a/grave.jpg',
+            `Got: ${find('C:\\Users\\Ann\\Family Photos\\b\\grave.jpg')}`
+        );
+
+        this.addTestResult(
+            results,
+            'Media Matching - Name Only And Unmatched',
+            find('D:/old/scans/LOOSE.jpg') === 'loose.jpg' && find('media/missing.jpg') === null && find('') === null,
+            `Got: ${find('D:/old/scans/LOOSE.jpg')}, ${find('media/missing.jpg')}`
+        );
+
+        const individuals = [
+            { name: { full: 'Ann Lee' }, media: [{ file: 'media/missing.jpg' }, { file: 'portraits/john.jpg' }] },
+            { name: { full: 'John Lee' }, media: [{ file: 'media/missing.jpg' }, { file: 'C:\\scans\\gone.tif' }] },
+            { name: { full: 'Ann Lee' }, media: [{ file: 'media/missing.jpg' }] }
+        ];
+        const unmatched = MediaStore.findUnmatched(individuals, index);
+        this.addTestResult(
+            results,
+            'Media Matching - Unmatched Paths Listed',
+            JSON.stringify(unmatched) === JSON.stringify([
+                { path: 'media/missing.jpg', links: 3, people: ['Ann Lee', 'John Lee'] },
+                { path: 'C:\\scans\\gone.tif', links: 1, people: ['John Lee'] }
+            ]),
+            `Got: ${JSON.stringify(unmatched)}`
+        );
+    }
+
     addTestResult(results, testName, passed, message) {
         results.tests.push({
             name: testName,
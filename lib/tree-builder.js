@@ -5,6 +5,12 @@
  * Key Features:
  * - Build ancestor and descendant trees
  * - Handle multiple generations
+ * - Follow the preferred parent family, or every parent family (birth, adoptive, foster)
+ * - Stop at loops in corrupt files (someone who is their own ancestor) and report them
+ * - Expand a person repeated through pedigree collapse only once; later occurrences are reference nodes
+ * - Optionally add the siblings of the root (or of every ancestor) in birth order, half-siblings marked
+ * - Group descendants into couples: each marriage in turn, with the spouse and the children of that marriage
+ * - Combined (hourglass) trees keep ancestors and descendants as separate branches, each with its own depth
  * - Support both vertical and horizontal layouts
  * - Generate D3.js compatible data structures
  */
@@ -15,7 +21,17 @@ class TreeBuilder {
         this.families = new Map();
         this.rootPerson = null;
         this.maxGenerations = 5;
+        this.ancestorGenerations = 5;
+        this.descendantGenerations = 5;
         this.treeType = 'ancestors'; // 'ancestors', 'descendants', or 'both'
+        this.parentFamilyMode = 'preferred'; // 'preferred' or 'all'
+        this.includeSiblings = false; // false, 'root' or 'all' (the root and every ancestor)
+        this.includeSpouses = true; // Descendants are grouped into couples with their spouse
+        this.preferredParentFamilies = {}; // personId -> familyId chosen by the user
+        this.path = []; // IDs of the people from the root down to the node being built
+        this.loops = []; // { personId, path, treeType } for each loop found while building
+        this.firstGenerations = new Map(); // personId -> nearest generation they appear at in the tree being built
+        this.expanded = new Set(); // People whose branch has been built once already
     }
 
     /**
@@ -46,14 +62,25 @@ class TreeBuilder {
     buildTree(rootPersonId, options = {}) {
         const {
             maxGenerations = 5,
+            ancestorGenerations = maxGenerations,
+            descendantGenerations = maxGenerations,
             treeType = 'ancestors',
             includeSpouses = true,
-            includeSiblings = false
+            includeSiblings = false,
+            parentFamilies = 'preferred',
+            preferredParentFamilies = {}
         } = options;
 
         this.maxGenerations = maxGenerations;
+        this.ancestorGenerations = ancestorGenerations;
+        this.descendantGenerations = descendantGenerations;
         this.treeType = treeType;
+        this.parentFamilyMode = parentFamilies;
+        this.preferredParentFamilies = preferredParentFamilies;
+        this.includeSiblings = includeSiblings === true ? 'root' : includeSiblings;
+        this.includeSpouses = includeSpouses;
         this.rootPerson = this.individuals.get(rootPersonId);
+        this.loops = [];
 
         if (!this.rootPerson) {
             throw new Error(`Person with ID ${rootPersonId} not found`);
@@ -81,9 +108,14 @@ class TreeBuilder {
                 rootPersonId,
                 treeType,
                 maxGenerations,
+                ancestorGenerations,
+                descendantGenerations,
                 totalNodes: this.countNodes(treeData),
                 includeSpouses,
-                includeSiblings
+                includeSiblings,
+                parentFamilies,
+                loops: this.loops,
+                pedigreeCollapse: treeType === 'descendants' ? null : this.getPedigreeCollapse(rootPersonId)
             }
         };
     }
@@ -96,45 +128,63 @@ class TreeBuilder {
      */
     buildAncestorTree(personId, generation) {
         const person = this.individuals.get(personId);
-        if (!person || generation >= this.maxGenerations) {
+        if (!person || generation >= this.getGenerationLimit('ancestors')) {
             return null;
         }
 
+        if (generation === 0) {
+            this.startTree(personId, 'ancestors');
+        }
+
+        if (this.path.includes(personId)) {
+            return this.createLoopNode(person, generation, 'ancestors');
+        }
+        if (this.isRepeated(personId, generation)) {
+            return this.createReferenceNode(person, generation);
+        }
+
         const node = this.createTreeNode(person, generation);
+        this.path.push(personId);
+        this.expanded.add(personId);
 
-        // Find parents through family relationships
-        const childFamilies = person.families.child;
-        if (childFamilies.length > 0) {
-            const parentFamily = this.families.get(childFamilies[0]); // Use first family
+        if (generation === 0 ? this.includeSiblings : this.includeSiblings === 'all') {
+            this.addSiblings(node, person, generation);
+        }
 
-            if (parentFamily) {
-                const parents = [];
+        const parentLinks = this.getParentLinksToFollow(person);
+        const parents = [];
 
-                // Add father
-                if (parentFamily.husband) {
-                    const father = this.buildAncestorTree(parentFamily.husband, generation + 1);
-                    if (father) {
-                        father.relationship = 'father';
-                        parents.push(father);
-                    }
-                }
+        parentLinks.forEach(link => {
+            const parentFamily = this.families.get(link.familyId);
+            if (!parentFamily) return;
 
-                // Add mother
-                if (parentFamily.wife) {
-                    const mother = this.buildAncestorTree(parentFamily.wife, generation + 1);
-                    if (mother) {
-                        mother.relationship = 'mother';
-                        parents.push(mother);
-                    }
+            // Add father
+            if (parentFamily.husband) {
+                const father = this.buildAncestorTree(parentFamily.husband, generation + 1);
+                if (father) {
+                    father.relationship = 'father';
+                    this.setParentLink(father, link);
+                    parents.push(father);
                 }
+            }
 
-                if (parents.length > 0) {
-                    node.parents = parents;
-                    node.children = parents; // For D3 compatibility
+            // Add mother
+            if (parentFamily.wife) {
+                const mother = this.buildAncestorTree(parentFamily.wife, generation + 1);
+                if (mother) {
+                    mother.relationship = 'mother';
+                    this.setParentLink(mother, link);
+                    parents.push(mother);
                 }
             }
+        });
+
+        if (parents.length > 0) {
+            node.parents = parents;
+            node.children = parents; // For D3 compatibility
         }
 
+        this.path.pop();
         return node;
     }
 
@@ -146,57 +196,102 @@ class TreeBuilder {
      */
     buildDescendantTree(personId, generation) {
         const person = this.individuals.get(personId);
-        if (!person || generation >= this.maxGenerations) {
+        if (!person || generation >= this.getGenerationLimit('descendants')) {
             return null;
         }
 
+        if (generation === 0) {
+            this.startTree(personId, 'descendants');
+        }
+
+        if (this.path.includes(personId)) {
+            return this.createLoopNode(person, generation, 'descendants');
+        }
+        if (this.isRepeated(personId, generation)) {
+            return this.createReferenceNode(person, generation);
+        }
+
         const node = this.createTreeNode(person, generation);
+        this.path.push(personId);
+        this.expanded.add(personId);
         const children = [];
+        const couples = [];
 
-        // Find children through spouse families
-        person.families.spouse.forEach(familyId => {
-            const family = this.families.get(familyId);
-            if (family && family.children) {
-                family.children.forEach(childId => {
-                    const child = this.buildDescendantTree(childId, generation + 1);
-                    if (child) {
-                        child.relationship = 'child';
-                        children.push(child);
-                    }
-                });
+        if (generation === 0 && this.includeSiblings) {
+            this.addSiblings(node, person, generation);
+        }
+
+        // Find children through spouse families, one marriage at a time
+        this.getSpouseFamilies(person).forEach(family => {
+            const familyChildren = [];
+
+            (family.children || []).forEach(childId => {
+                const child = this.buildDescendantTree(childId, generation + 1);
+                if (child) {
+                    child.relationship = 'child';
+                    const link = TreeBuilder.getParentFamilyLinks(child._person)
+                        .find(l => l.familyId === family.id);
+                    this.setParentLink(child, link || { familyId: family.id, pedigree: null, status: null });
+                    familyChildren.push(child);
+                }
+            });
+
+            children.push(...familyChildren);
+            if (this.includeSpouses) {
+                couples.push(this.createCouple(person, family, familyChildren, generation));
             }
         });
 
         if (children.length > 0) {
             node.children = children;
         }
+        if (couples.some(couple => couple.spouse)) {
+            node.couples = couples;
+        }
 
+        this.path.pop();
         return node;
     }
 
     /**
-     * Build combined ancestor and descendant tree
+     * Build combined ancestor and descendant (hourglass) tree
+     * The root keeps the two branches apart: parents leads up to the ancestors, children leads down
+     * to the descendants. Above the root, ancestor nodes still share parents and children as before.
      * @param {string} rootPersonId - Root person ID
      * @returns {Object} Combined tree structure
      */
     buildCombinedTree(rootPersonId) {
-        const ancestorGenerations = Math.floor(this.maxGenerations / 2);
-        const descendantGenerations = this.maxGenerations - ancestorGenerations;
-
         // Build ancestor part
         const ancestorTree = this.buildAncestorTree(rootPersonId, 0);
 
         // Build descendant part
         const descendantTree = this.buildDescendantTree(rootPersonId, 0);
 
-        // Merge trees
-        if (ancestorTree && descendantTree && descendantTree.children) {
-            ancestorTree.children = (ancestorTree.children || []).concat(descendantTree.children);
+        if (!ancestorTree || !descendantTree) {
+            return ancestorTree || descendantTree;
+        }
+
+        // Join the branches at the root
+        delete ancestorTree.children;
+        if (descendantTree.children) {
+            ancestorTree.children = descendantTree.children;
+        }
+        if (descendantTree.couples) {
+            ancestorTree.couples = descendantTree.couples;
         }
 
         return ancestorTree;
     }
 
+    /**
+     * Get how many generations to build in one direction, counting the root
+     * @param {string} direction - 'ancestors' or 'descendants'
+     * @returns {number} Generation limit
+     */
+    getGenerationLimit(direction) {
+        return direction === 'ancestors' ? this.ancestorGenerations : this.descendantGenerations;
+    }
+
     /**
      * Create tree node from person data
      * @param {Object} person - Individual record
@@ -204,6 +299,9 @@ class TreeBuilder {
      * @returns {Object} Tree node
      */
     createTreeNode(person, generation) {
+        const birth = TreeBuilder.getVitalEvent(person, 'birth');
+        const death = TreeBuilder.getVitalEvent(person, 'death');
+
         return {
             id: person.id,
             generation: generation,
@@ -213,9 +311,9 @@ class TreeBuilder {
                 surname: person.name.surname
             },
             sex: person.sex,
-            birth: person.birth,
-            death: person.death,
-            isAlive: !person.death.date,
+            birth: birth || person.birth,
+            death: death || person.death,
+            isAlive: !TreeBuilder.isDeceased(person),
             dates: this.getLifeDates(person),
             displayName: this.getDisplayName(person),
 
@@ -234,6 +332,254 @@ class TreeBuilder {
         };
     }
 
+    /**
+     * Get the parent families to follow from a person: the preferred family, or all of them
+     * @param {Object} person - Individual record
+     * @returns {Array} Links of the form { familyId, pedigree, status }
+     */
+    getParentLinksToFollow(person) {
+        return this.parentFamilyMode === 'all'
+            ? TreeBuilder.getParentFamilyLinks(person)
+            : [TreeBuilder.getPreferredParentFamily(person, this.preferredParentFamilies)].filter(Boolean);
+    }
+
+    /**
+     * Get the people one generation further from the root
+     * @param {string} personId - Person ID
+     * @param {string} direction - 'ancestors' (parents) or 'descendants' (children)
+     * @returns {Array} Person IDs
+     */
+    getNextGenerationIds(personId, direction) {
+        const person = this.individuals.get(personId);
+        if (!person) return [];
+
+        if (direction === 'ancestors') {
+            return this.getParentLinksToFollow(person)
+                .map(link => this.families.get(link.familyId))
+                .filter(Boolean)
+                .flatMap(family => [family.husband, family.wife].filter(Boolean));
+        }
+
+        return person.families.spouse
+            .map(familyId => this.families.get(familyId))
+            .filter(Boolean)
+            .flatMap(family => family.children || []);
+    }
+
+    /**
+     * Find the nearest generation each person appears at, breadth first
+     * @param {string} rootPersonId - Root person ID
+     * @param {string} direction - 'ancestors' or 'descendants'
+     * @returns {Map} personId -> generation, for everyone within the generation limit
+     */
+    findFirstGenerations(rootPersonId, direction) {
+        const generations = new Map([[rootPersonId, 0]]);
+        const queue = [rootPersonId];
+
+        for (let i = 0; i < queue.length; i++) {
+            const generation = generations.get(queue[i]) + 1;
+            if (generation >= this.getGenerationLimit(direction)) continue;
+
+            this.getNextGenerationIds(queue[i], direction).forEach(id => {
+                if (!generations.has(id) && this.individuals.has(id)) {
+                    generations.set(id, generation);
+                    queue.push(id);
+                }
+            });
+        }
+
+        return generations;
+    }
+
+    /**
+     * Reset repeat tracking before building one direction of a tree from its root
+     * @param {string} rootPersonId - Root person ID
+     * @param {string} direction - 'ancestors' or 'descendants'
+     */
+    startTree(rootPersonId, direction) {
+        this.path = [];
+        this.firstGenerations = this.findFirstGenerations(rootPersonId, direction);
+        this.expanded = new Set();
+    }
+
+    /**
+     * Check whether a person's branch is (or will be) built elsewhere in the tree
+     * The occurrence nearest the root is expanded, so a repeated ancestor shows as many generations as possible
+     * @param {string} personId - Person ID
+     * @param {number} generation - Generation being built
+     * @returns {boolean} True if this occurrence should be a reference node
+     */
+    isRepeated(personId, generation) {
+        return this.expanded.has(personId) || this.firstGenerations.get(personId) < generation;
+    }
+
+    /**
+     * Attach a person's siblings to their node; siblings are shown beside the person, not expanded
+     * @param {Object} node - Tree node of the person
+     * @param {Object} person - Individual record
+     * @param {number} generation - Generation level
+     */
+    addSiblings(node, person, generation) {
+        const { siblings, position } = this.getSiblings(person);
+        if (siblings.length === 0) return;
+
+        node.siblings = siblings.map(({ person: sibling, half }) => ({
+            ...this.createTreeNode(sibling, generation),
+            relationship: half ? 'half-sibling' : 'sibling',
+            isSibling: true,
+            isHalfSibling: half
+        }));
+        node.siblingPosition = position;
+    }
+
+    /**
+     * Get the families a person is a spouse in, in marriage order
+     * @param {Object} person - Individual record
+     * @returns {Array} Family records
+     */
+    getSpouseFamilies(person) {
+        const families = person.families.spouse
+            .map(familyId => this.families.get(familyId))
+            .filter(Boolean);
+
+        return TreeBuilder.sortByDate(families, family => family.marriage?.date?.sortValue);
+    }
+
+    /**
+     * Describe one marriage of a person in a descendant tree
+     * @param {Object} person - Individual record
+     * @param {Object} family - Family record
+     * @param {Array} children - Tree nodes of the children of this family
+     * @param {number} generation - Generation level of the person
+     * @returns {Object} { familyId, spouse, marriageDate, marriagePlace, children }; spouse is a tree node or null
+     */
+    createCouple(person, family, children, generation) {
+        const spouseId = family.husband === person.id ? family.wife : family.husband;
+        const spouse = this.individuals.get(spouseId);
+
+        return {
+            familyId: family.id,
+            spouse: spouse
+                ? { ...this.createTreeNode(spouse, generation), relationship: 'spouse', isSpouse: true, coupleFamilyId: family.id }
+                : null,
+            marriageDate: family.marriage?.date || null,
+            marriagePlace: family.marriage?.place || null,
+            children
+        };
+    }
+
+    /**
+     * Get a person's brothers and sisters in birth order
+     * Children of the followed parent families are full siblings; children of a parent's other families are half-siblings
+     * @param {Object} person - Individual record
+     * @returns {Object} { siblings: [{ person, half }], position } where position is the person's own place among them
+     */
+    getSiblings(person) {
+        const parentFamilies = this.getParentLinksToFollow(person)
+            .map(link => this.families.get(link.familyId))
+            .filter(Boolean);
+        const parentIds = parentFamilies.flatMap(family => [family.husband, family.wife]).filter(Boolean);
+
+        const otherFamilies = parentIds
+            .flatMap(parentId => this.individuals.get(parentId)?.families.spouse || [])
+            .map(familyId => this.families.get(familyId))
+            .filter(family => family && !parentFamilies.includes(family));
+
+        // Families listed in file order; the same child may be listed in more than one
+        const entries = [];
+        const seen = new Set();
+        [...parentFamilies, ...otherFamilies].forEach(family => {
+            const half = !parentFamilies.includes(family) &&
+                !(parentIds.includes(family.husband) && parentIds.includes(family.wife));
+
+            (family.children || []).forEach(childId => {
+                const child = this.individuals.get(childId);
+                if (child && !seen.has(childId)) {
+                    seen.add(childId);
+                    entries.push({ person: child, half });
+                }
+            });
+        });
+
+        const sorted = TreeBuilder.sortByDate(entries, entry => TreeBuilder.getVitalEvent(entry.person, 'birth')?.date?.sortValue);
+        const position = sorted.findIndex(entry => entry.person.id === person.id);
+
+        return {
+            siblings: sorted.filter(entry => entry.person.id !== person.id),
+            position: Math.max(position, 0)
+        };
+    }
+
+    /**
+     * Create a compact node for a person whose branch is shown elsewhere in the tree
+     * @param {Object} person - Individual record
+     * @param {number} generation - Generation level
+     * @returns {Object} Tree node marked with isReference
+     */
+    createReferenceNode(person, generation) {
+        const node = this.createTreeNode(person, generation);
+        node.isReference = true;
+        return node;
+    }
+
+    /**
+     * Measure pedigree collapse: how many ancestor positions are filled by people already counted
+     * @param {string} rootPersonId - Root person ID
+     * @returns {number} Percentage (0-100, one decimal) of ancestor positions that repeat someone
+     */
+    getPedigreeCollapse(rootPersonId) {
+        const memo = new Map();
+        const countPositions = (personId, generation) => {
+            if (generation >= this.ancestorGenerations || !this.individuals.has(personId)) return 0;
+
+            const key = `${personId}:${generation}`;
+            if (!memo.has(key)) {
+                memo.set(key, 1 + this.getNextGenerationIds(personId, 'ancestors')
+                    .reduce((sum, id) => sum + countPositions(id, generation + 1), 0));
+            }
+            return memo.get(key);
+        };
+
+        // The root is not an ancestor of themselves
+        const positions = countPositions(rootPersonId, 0) - 1;
+        const uniqueAncestors = this.findFirstGenerations(rootPersonId, 'ancestors').size - 1;
+
+        return positions > 0 ? Math.round((1 - uniqueAncestors / positions) * 1000) / 10 : 0;
+    }
+
+    /**
+     * Create the node where a loop closes: the person is already on the path above, so they are
+     * shown again but not expanded, and the loop is recorded for the viewer
+     * @param {Object} person - Individual record met again
+     * @param {number} generation - Generation level
+     * @param {string} treeType - 'ancestors' or 'descendants', the direction the loop was followed in
+     * @returns {Object} Tree node marked with isLoop
+     */
+    createLoopNode(person, generation, treeType) {
+        const node = this.createTreeNode(person, generation);
+        node.isLoop = true;
+
+        // The same loop is met again from every person on it, and from both sides in a combined tree
+        const path = this.path.slice(this.path.indexOf(person.id));
+        const key = path.slice().sort().join(',');
+        if (!this.loops.some(loop => loop.key === key)) {
+            this.loops.push({ key, personId: person.id, path, treeType });
+        }
+
+        return node;
+    }
+
+    /**
+     * Record how a node is linked to its parent family, for drawing the connecting line
+     * @param {Object} node - Tree node on the child or parent side of the link
+     * @param {Object} link - Child-to-family link with pedigree and status
+     */
+    setParentLink(node, link) {
+        node.parentFamilyId = link.familyId;
+        node.pedigree = link.pedigree || 'birth';
+        node.pedigreeStatus = link.status;
+    }
+
     /**
      * Get display name for person
      * @param {Object} person - Individual record
@@ -253,8 +599,10 @@ class TreeBuilder {
      * @returns {string} Formatted date range
      */
     getLifeDates(person) {
-        const birth = person.birth.date?.display || '?';
-        const death = person.death.date?.display || (person.death.date ? '?' : '');
+        const birthEvent = TreeBuilder.getVitalEvent(person, 'birth');
+        const deathEvent = TreeBuilder.getVitalEvent(person, 'death');
+        const birth = TreeBuilder.formatVitalYear(birthEvent) || '?';
+        const death = TreeBuilder.formatVitalYear(deathEvent) || (deathEvent ? '?' : '');
 
         if (death) {
             return `(${birth} - ${death})`;
@@ -264,6 +612,112 @@ class TreeBuilder {
         return '';
     }
 
+    /**
+     * Get the event standing in for birth or death
+     * Falls back to christening/baptism for birth and burial/cremation for death
+     * @param {Object} person - Individual record
+     * @param {string} kind - 'birth' or 'death'
+     * @returns {Object|null} Event with tag, date and place, or null if nothing is recorded
+     */
+    static getVitalEvent(person, kind) {
+        const summary = person[kind];
+        if (summary && (summary.date || summary.place)) {
+            return { tag: kind === 'birth' ? 'BIRT' : 'DEAT', ...summary };
+        }
+
+        for (const tag of TreeBuilder.VITAL_EVENT_FALLBACKS[kind]) {
+            const event = (person.events || []).find(e => e.tag === tag && (e.date || e.place));
+            if (event) {
+                return event;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether a person is recorded as dead
+     * "1 DEAT Y" (or a burial) with no date or place still says the person died
+     * @param {Object} person - Individual record
+     * @returns {boolean} True if a death, burial or cremation is recorded
+     */
+    static isDeceased(person) {
+        return Boolean(TreeBuilder.getVitalEvent(person, 'death')) ||
+            (person.events || []).some(event => event.tag === 'DEAT' || TreeBuilder.VITAL_EVENT_FALLBACKS.death.includes(event.tag));
+    }
+
+    /**
+     * Format the year of a vital event, marking fallbacks ("chr. 1850", "bur. 1920")
+     * @param {Object|null} event - Event from getVitalEvent
+     * @returns {string} Year label, empty if the event has no usable date
+     */
+    static formatVitalYear(event) {
+        if (!event) return '';
+
+        const year = GedcomParser.formatDateYear(event.date);
+        const abbreviation = TreeBuilder.VITAL_EVENT_ABBREVIATIONS[event.tag];
+
+        return year && abbreviation ? `${abbreviation} ${year}` : year;
+    }
+
+    /**
+     * Get every family the person is a child of, with pedigree type and status
+     * @param {Object} person - Individual record
+     * @returns {Array} Links of the form { familyId, pedigree, status }
+     */
+    static getParentFamilyLinks(person) {
+        // Data stored before pedigree types were parsed only has family IDs
+        const links = person.families.childLinks || [];
+        return person.families.child.map(familyId =>
+            links.find(link => link.familyId === familyId) || { familyId, pedigree: null, status: null });
+    }
+
+    /**
+     * Pick the parent family to follow when only one set of parents is shown
+     * The user's choice wins, then the first birth family that is not disproven, then the first family
+     * @param {Object} person - Individual record
+     * @param {Object} preferredParentFamilies - personId -> familyId chosen by the user
+     * @returns {Object|null} Preferred link, or null if the person has no parent family
+     */
+    static getPreferredParentFamily(person, preferredParentFamilies = {}) {
+        const links = TreeBuilder.getParentFamilyLinks(person);
+        const chosen = preferredParentFamilies[person.id];
+
+        return links.find(link => link.familyId === chosen) ||
+            links.find(link => TreeBuilder.isBirthPedigree(link.pedigree) && link.status !== 'disproven') ||
+            links[0] ||
+            null;
+    }
+
+    /**
+     * Sort records by date; undated records keep their place after the record listed before them
+     * @param {Array} items - Records in file order
+     * @param {Function} getSortValue - Returns an item's date sortValue, or null if undated
+     * @returns {Array} New sorted array
+     */
+    static sortByDate(items, getSortValue) {
+        let lastKey = -Infinity;
+        const keyed = items.map((item, index) => {
+            const sortValue = getSortValue(item);
+            lastKey = sortValue != null ? sortValue : lastKey;
+            return { item, index, key: lastKey };
+        });
+
+        return keyed
+            .sort((a, b) => (a.key - b.key) || (a.index - b.index))
+            .map(entry => entry.item);
+    }
+
+    /**
+     * Check whether a pedigree type is a birth (biological) link
+     * A missing PEDI means birth
+     * @param {string|null} pedigree - PEDI value
+     * @returns {boolean} True for birth links
+     */
+    static isBirthPedigree(pedigree) {
+        return !pedigree || pedigree === 'birth';
+    }
+
     /**
      * Get spouse information
      * @param {Object} person - Individual record
@@ -337,8 +791,8 @@ class TreeBuilder {
                     score += 10;
 
                     // Prefer earliest birth dates if specified
-                    if (preferEarliest && person.birth.date.parsed) {
-                        const year = person.birth.date.parsed.getFullYear();
+                    if (preferEarliest && person.birth.date.year !== null) {
+                        const year = person.birth.date.year;
                         score += Math.max(0, 2100 - year) / 10;
                     }
                 }
@@ -375,17 +829,26 @@ class TreeBuilder {
     /**
      * Count total nodes in tree
      * @param {Object} node - Root node
+     * @param {Set} counted - Nodes already counted (used while recursing)
      * @returns {number} Total node count
      */
-    countNodes(node) {
-        if (!node) return 0;
+    countNodes(node, counted = new Set()) {
+        // Ancestor nodes share one array as parents and children; each node is counted once
+        if (!node || counted.has(node)) return 0;
+        counted.add(node);
 
         let count = 1;
         if (node.children) {
-            count += node.children.reduce((sum, child) => sum + this.countNodes(child), 0);
+            count += node.children.reduce((sum, child) => sum + this.countNodes(child, counted), 0);
         }
         if (node.parents) {
-            count += node.parents.reduce((sum, parent) => sum + this.countNodes(parent), 0);
+            count += node.parents.reduce((sum, parent) => sum + this.countNodes(parent, counted), 0);
+        }
+        if (node.siblings) {
+            count += node.siblings.length;
+        }
+        if (node.couples) {
+            count += node.couples.filter(couple => couple.spouse).length;
         }
 
         return count;
@@ -411,8 +874,12 @@ class TreeBuilder {
      */
     getGenerationMembers(rootNode, targetGeneration) {
         const members = [];
+        const visited = new Set();
 
         function traverse(node) {
+            if (visited.has(node)) return;
+            visited.add(node);
+
             if (node.generation === targetGeneration) {
                 members.push(node);
             }
@@ -430,6 +897,19 @@ class TreeBuilder {
     }
 }
 
+// Events used in place of birth and death when those are missing, in order of preference
+TreeBuilder.VITAL_EVENT_FALLBACKS = {
+    birth: ['CHR', 'BAPM'],
+    death: ['BURI', 'CREM']
+};
+
+TreeBuilder.VITAL_EVENT_ABBREVIATIONS = {
+    CHR: 'chr.',
+    BAPM: 'bap.',
+    BURI: 'bur.',
+    CREM: 'crem.'
+};
+
 // Export for use in Chrome extension
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = TreeBuilder;
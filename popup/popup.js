@@ -9,19 +9,22 @@ document.addEventListener('DOMContentLoaded', function() {
     const generationsValue = document.getElementById('generationsValue');
     const generateBtn = document.getElementById('generateTree');
     const status = document.getElementById('status');
+    const parseProgress = document.getElementById('parseProgress');
+    const parseProgressBar = document.getElementById('parseProgressBar');
+    const parseWarning = document.getElementById('parseWarning');
+    const cancelParseBtn = document.getElementById('cancelParse');
 
     let selectedFile = null;
-    let parser = null;
     let treeBuilder = null;
     let parsedData = null;
+    let parseWorker = null;
 
-    // Initialize GEDCOM parser
+    // Initialize tree builder (parsing itself runs in lib/gedcom-worker.js)
     try {
-        parser = new GedcomParser();
         treeBuilder = new TreeBuilder();
-        console.log('GEDCOM parser initialized successfully');
+        console.log('Tree builder initialized successfully');
     } catch (error) {
-        console.error('Failed to initialize GEDCOM parser:', error);
+        console.error('Failed to initialize tree builder:', error);
         showStatus('Error initializing parser. Please reload the extension.', 'error');
     }
 
@@ -33,6 +36,7 @@ document.addEventListener('DOMContentLoaded', function() {
     clearFile.addEventListener('click', clearSelectedFile);
     generationsSlider.addEventListener('input', updateGenerationsValue);
     generateBtn.addEventListener('click', generateFamilyTree);
+    cancelParseBtn.addEventListener('click', cancelParsing);
 
     function handleFileSelect(event) {
         const file = event.target.files[0];
@@ -40,7 +44,7 @@ document.addEventListener('DOMContentLoaded', function() {
         if (!file) return;
 
         if (!isValidGedcomFile(file)) {
-            showStatus('Please select a valid GEDCOM file (.ged or .gedcom)', 'error');
+            showStatus('Please select a valid GEDCOM file (.ged, .gedcom) or GEDZIP archive (.gdz, .zip)', 'error');
             return;
         }
 
@@ -51,36 +55,90 @@ document.addEventListener('DOMContentLoaded', function() {
 
         showStatus(`Parsing GEDCOM file "${file.name}"...`, 'info');
 
-        // Parse the GEDCOM file
-        const reader = new FileReader();
-        reader.onload = function(e) {
-            try {
-                const gedcomContent = e.target.result;
-                parsedData = parser.parse(gedcomContent);
+        // Parse the GEDCOM file in a worker so large files don't freeze the popup
+        parseInWorker(file);
+    }
 
-                if (parsedData.success) {
-                    controls.style.display = 'block';
-                    showStatus(`File parsed successfully: ${parsedData.individuals.length} individuals, ${parsedData.families.length} families`, 'success');
-                } else {
-                    showStatus(`Error parsing GEDCOM: ${parsedData.error}`, 'error');
-                    controls.style.display = 'none';
-                }
-            } catch (error) {
-                console.error('Error parsing GEDCOM:', error);
-                showStatus('Error parsing GEDCOM file. Please check the file format.', 'error');
-                controls.style.display = 'none';
+    function parseInWorker(file) {
+        stopWorker();
+        parsedData = null;
+        controls.style.display = 'none';
+        parseProgressBar.value = 0;
+        parseProgress.style.display = 'flex';
+        // The worker belongs to the popup: Chrome closes the popup (and ends the parse) when it loses focus
+        parseWarning.style.display = 'block';
+
+        parseWorker = new Worker('../lib/gedcom-worker.js');
+
+        parseWorker.onmessage = function(e) {
+            const message = e.data;
+
+            switch (message.type) {
+                case 'MEDIA':
+                    // GEDZIP archive: media files are stored for the viewer to show
+                    console.log(`Unpacked ${message.gedcomPath} and ${message.count} media files`);
+                    break;
+
+                case 'ENCODING':
+                    // Decoded using the BOM or the character set declared in HEAD.CHAR
+                    console.log(`Decoding GEDCOM as ${message.encoding} (declared: ${message.declaredCharset || 'none'})`);
+                    break;
+
+                case 'PROGRESS':
+                    parseProgressBar.value = Math.round((message.bytesRead / message.totalBytes) * 100);
+                    showStatus(`Parsing "${file.name}": ${message.lines.toLocaleString()} lines, ${message.records.toLocaleString()} records`, 'info');
+                    break;
+
+                case 'COMPLETE':
+                    stopWorker();
+                    handleParseResult(message.result);
+                    break;
             }
         };
 
-        reader.onerror = function() {
-            showStatus('Error reading file', 'error');
-            controls.style.display = 'none';
+        parseWorker.onerror = function(error) {
+            console.error('Error parsing GEDCOM:', error);
+            stopWorker();
+            showStatus('Error parsing GEDCOM file. Please check the file format.', 'error');
         };
 
-        reader.readAsText(file);
+        parseWorker.postMessage({ type: 'PARSE_GEDCOM', file: file });
+    }
+
+    function handleParseResult(result) {
+        parsedData = result;
+
+        if (parsedData.success) {
+            controls.style.display = 'block';
+
+            // The full list is in the tree viewer's validation panel
+            const counts = parsedData.validation?.counts;
+            const issueSummary = counts && (counts.error || counts.warning)
+                ? ` (${counts.error} errors, ${counts.warning} warnings found)`
+                : '';
+            showStatus(`File parsed successfully: ${parsedData.individuals.length} individuals, ${parsedData.families.length} families${issueSummary}`, 'success');
+        } else {
+            showStatus(`Error parsing GEDCOM: ${parsedData.error}`, 'error');
+            controls.style.display = 'none';
+        }
+    }
+
+    function cancelParsing() {
+        clearSelectedFile();
+        showStatus('Parsing cancelled', 'info');
+    }
+
+    function stopWorker() {
+        if (parseWorker) {
+            parseWorker.terminate();
+            parseWorker = null;
+        }
+        parseProgress.style.display = 'none';
+        parseWarning.style.display = 'none';
     }
 
     function clearSelectedFile() {
+        stopWorker();
         selectedFile = null;
         parsedData = null;
         fileInput.value = '';
@@ -91,7 +149,7 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 
     function isValidGedcomFile(file) {
-        const validExtensions = ['.ged', '.gedcom'];
+        const validExtensions = ['.ged', '.gedcom', '.gdz', '.zip'];
         const extension = file.name.toLowerCase().substring(file.name.lastIndexOf('.'));
         return validExtensions.includes(extension);
     }
@@ -134,6 +192,7 @@ document.addEventListener('DOMContentLoaded', function() {
             const rootPerson = parsedData.individuals.find(p => p.id === rootPersonId);
 
             processTreeData({
+                fileName: selectedFile.name,
                 treeData: treeData,
                 rootPerson: rootPerson,
                 parsedData: parsedData,
@@ -151,11 +210,19 @@ document.addEventListener('DOMContentLoaded', function() {
         showStatus('Preparing family tree visualization...', 'info');
 
         const data = {
+            fileName: treeInfo.fileName,
             treeData: treeInfo.treeData,
             rootPerson: treeInfo.rootPerson,
             individuals: treeInfo.parsedData.individuals,
             families: treeInfo.parsedData.families,
+            sources: treeInfo.parsedData.sources,
+            repositories: treeInfo.parsedData.repositories,
+            notes: treeInfo.parsedData.notes,
+            media: treeInfo.parsedData.media,
+            records: treeInfo.parsedData.records,
+            header: treeInfo.parsedData.header,
             stats: treeInfo.parsedData.stats,
+            validation: treeInfo.parsedData.validation,
             generations: treeInfo.generations,
             orientation: treeInfo.orientation,
             timestamp: Date.now()
@@ -164,7 +231,7 @@ document.addEventListener('DOMContentLoaded', function() {
         chrome.storage.local.set({ familyTreeData: data }, function() {
             if (chrome.runtime.lastError) {
                 console.error('Storage error:', chrome.runtime.lastError);
-                showStatus('Error saving tree data', 'error');
+                showStatus(`Error saving tree data: ${chrome.runtime.lastError.message}`, 'error');
                 return;
             }
 
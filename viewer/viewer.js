@@ -7,16 +7,42 @@ class FamilyTreeViewer {
         this.treeData = null;
         this.individuals = null;
         this.families = null;
+        this.sources = [];
+        this.repositories = [];
+        this.notes = [];
+        this.media = []; // OBJE records, written back on export
+        this.records = [];
+        this.rawRecords = new Map(); // xref -> lossless record node from the parser
+        this.header = null; // GEDCOM version and extension tag schema
+        this.mediaFiles = new Map(); // Normalized path -> Blob, from an opened GEDZIP or a chosen image folder
+        this.mediaIndex = null; // Path and file name lookups over mediaFiles, rebuilt when files are added
+        this.mediaUrls = new Map(); // Blob -> object URL, created when first shown
+        this.validation = null; // GedcomValidator report for the loaded file
+        this.dataProblems = null; // ConsistencyChecker findings, recomputed when the rules change
+        this.relationshipCalculator = null; // RelationshipCalculator over the loaded people, created when first needed
+        this.relationshipMode = false; // Search results pick two people to compare instead of a new root
+        this.relationshipPicks = []; // Person IDs picked so far in relationship mode
+        this.shownRelationship = null; // { fromId, toId, result } in the relationship modal
+        this.rootRelationships = new Map(); // personId -> relationship to rootRelationshipsFor, filled as nodes are drawn
+        this.rootRelationshipsFor = null; // Root person ID the cached relationships were worked out for
         this.rootPerson = null;
         this.originalProband = null;
+        this.preferencesKey = null; // Storage key of the choices kept for the loaded file, by file name
         this.settings = {
-            generations: 3,
+            generations: 3, // Generations up: ancestors, counting the root
+            descendantGenerations: 3, // Generations down: descendants, counting the root
             layout: 'vertical',
             treeType: 'ancestors',
             nodeWidth: 200,
             nodeHeight: 60,
             horizontalSpacing: 240,
-            verticalSpacing: 100
+            verticalSpacing: 100,
+            parentFamilies: 'preferred', // 'preferred' or 'all' parent sets
+            includeSpouses: true, // Descendants drawn as couples with their spouses and marriage dates
+            siblings: 'none', // 'none', 'root' or 'all' (root and ancestors) siblings shown beside them
+            preferredParentFamilies: {}, // personId -> familyId chosen in the details modal
+            consistencyRules: {}, // ruleId -> { enabled, limit } changed in the Data Problems panel
+            showRelationships: false // Extra line in each node box naming the person's relationship to the root
         };
 
         this.init();
@@ -42,6 +68,49 @@ class FamilyTreeViewer {
         if (exportTreeBtn) exportTreeBtn.addEventListener('click', () => this.exportSVG());
         if (settingsBtn) settingsBtn.addEventListener('click', () => this.toggleSettings());
 
+        // GEDCOM export panel
+        const exportGedcomBtn = document.getElementById('exportGedcomBtn');
+        const downloadGedcomBtn = document.getElementById('downloadGedcom');
+        const closeGedcomExportBtn = document.getElementById('closeGedcomExport');
+
+        if (exportGedcomBtn) exportGedcomBtn.addEventListener('click', () => this.toggleGedcomExport());
+        if (downloadGedcomBtn) downloadGedcomBtn.addEventListener('click', () => this.exportGedcom());
+        if (closeGedcomExportBtn) closeGedcomExportBtn.addEventListener('click', () => this.toggleGedcomExport());
+
+        // Media panel
+        const mediaBtn = document.getElementById('mediaBtn');
+        const chooseMediaFolderBtn = document.getElementById('chooseMediaFolder');
+        const mediaFolderInput = document.getElementById('mediaFolderInput');
+        const closeMediaPanelBtn = document.getElementById('closeMediaPanel');
+
+        if (mediaBtn) mediaBtn.addEventListener('click', () => this.toggleMediaPanel());
+        if (chooseMediaFolderBtn && mediaFolderInput) {
+            chooseMediaFolderBtn.addEventListener('click', () => mediaFolderInput.click());
+            mediaFolderInput.addEventListener('change', (e) => this.loadMediaFolder(e.target.files));
+        }
+        if (closeMediaPanelBtn) closeMediaPanelBtn.addEventListener('click', () => this.toggleMediaPanel());
+
+        // Validation panel
+        const validationBtn = document.getElementById('validationBtn');
+        const exportValidationTextBtn = document.getElementById('exportValidationText');
+        const exportValidationJsonBtn = document.getElementById('exportValidationJson');
+        const closeValidationPanelBtn = document.getElementById('closeValidationPanel');
+
+        if (validationBtn) validationBtn.addEventListener('click', () => this.toggleValidationPanel());
+        if (exportValidationTextBtn) exportValidationTextBtn.addEventListener('click', () => this.exportValidationReport('text'));
+        if (exportValidationJsonBtn) exportValidationJsonBtn.addEventListener('click', () => this.exportValidationReport('json'));
+        if (closeValidationPanelBtn) closeValidationPanelBtn.addEventListener('click', () => this.toggleValidationPanel());
+        document.querySelectorAll('input[name="validationSeverity"]').forEach(radio => {
+            radio.addEventListener('change', () => this.updateValidationPanel());
+        });
+
+        // Data problems panel
+        const problemsBtn = document.getElementById('problemsBtn');
+        const closeProblemsPanelBtn = document.getElementById('closeProblemsPanel');
+
+        if (problemsBtn) problemsBtn.addEventListener('click', () => this.toggleProblemsPanel());
+        if (closeProblemsPanelBtn) closeProblemsPanelBtn.addEventListener('click', () => this.toggleProblemsPanel());
+
         // Settings panel
         const applySettingsBtn = document.getElementById('applySettings');
         const closeSettingsBtn = document.getElementById('closeSettings');
@@ -59,6 +128,15 @@ class FamilyTreeViewer {
             });
         }
 
+        const descendantGenerationsSlider = document.getElementById('descendantGenerationsSlider');
+        const descendantGenerationsValue = document.getElementById('descendantGenerationsValue');
+
+        if (descendantGenerationsSlider && descendantGenerationsValue) {
+            descendantGenerationsSlider.addEventListener('input', (e) => {
+                descendantGenerationsValue.textContent = e.target.value;
+            });
+        }
+
         // Error retry
         const retryLoadBtn = document.getElementById('retryLoad');
         if (retryLoadBtn) retryLoadBtn.addEventListener('click', () => this.loadTreeData());
@@ -100,11 +178,52 @@ class FamilyTreeViewer {
             modalSearchInput.addEventListener('input', (e) => this.handleSearchInput(e.target.value));
         }
 
+        // Search result clicks - one delegated listener for every result list
+        const searchResults = document.getElementById('searchResults');
+        if (searchResults) {
+            searchResults.addEventListener('click', (e) => {
+                const resultItem = e.target.closest('.search-result-item');
+                if (resultItem && resultItem.dataset.personId) {
+                    this.handleSearchResultClick(resultItem.dataset.personId);
+                }
+            });
+        }
+
+        // Relationship calculator - pick two people in the search modal
+        const relationshipModeBtn = document.getElementById('relationshipModeBtn');
+        if (relationshipModeBtn) {
+            relationshipModeBtn.addEventListener('click', () => this.setRelationshipMode(!this.relationshipMode));
+        }
+
+        const closeRelationshipBtn = document.getElementById('closeRelationshipBtn');
+        if (closeRelationshipBtn) {
+            closeRelationshipBtn.addEventListener('click', () => this.closeRelationship());
+        }
+
+        const swapRelationshipBtn = document.getElementById('swapRelationshipBtn');
+        if (swapRelationshipBtn) {
+            swapRelationshipBtn.addEventListener('click', () => {
+                if (this.shownRelationship) {
+                    this.showRelationship(this.shownRelationship.toId, this.shownRelationship.fromId);
+                }
+            });
+        }
+
+        const pickRelationshipAgainBtn = document.getElementById('pickRelationshipAgainBtn');
+        if (pickRelationshipAgainBtn) {
+            pickRelationshipAgainBtn.addEventListener('click', () => {
+                this.closeRelationship();
+                this.openPersonSearch();
+                this.setRelationshipMode(true);
+            });
+        }
+
         // Close modal on Escape key
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 this.closePersonDetails();
                 this.closePersonSearch();
+                this.closeRelationship();
             }
         });
     }
@@ -167,8 +286,24 @@ class FamilyTreeViewer {
                 this.treeData = data.treeData;
                 this.individuals = data.individuals;
                 this.families = data.families;
+                this.relationshipCalculator = null;
+                this.sources = data.sources || [];
+                this.repositories = data.repositories || [];
+                this.notes = data.notes || [];
+                this.media = data.media || [];
+                this.records = data.records || [];
+                this.header = data.header || null;
+                this.rawRecords = new Map(this.records
+                    .filter(record => record.xref)
+                    .map(record => [record.xref, record]));
                 this.rootPerson = data.rootPerson;
 
+                // Data stored before validation ran in the parser worker is validated here
+                this.validation = data.validation ||
+                    (typeof GedcomValidator !== 'undefined' && this.records.length > 0
+                        ? new GedcomValidator().validate({ records: this.records, header: this.header })
+                        : null);
+
                 // Store the original proband for reset functionality
                 if (!this.originalProband) {
                     this.originalProband = data.rootPerson;
@@ -182,9 +317,19 @@ class FamilyTreeViewer {
                 if (data.generations) this.settings.generations = data.generations;
                 if (data.orientation) this.settings.layout = data.orientation;
 
+                await this.loadFilePreferences(data.fileName);
+                await this.loadBundledMedia();
+
                 // Update UI
                 this.updateHeader();
-                this.renderTree();
+                this.updateValidationButton();
+                this.updateProblemsButton();
+                if (Object.keys(this.settings.preferredParentFamilies).length > 0) {
+                    // The popup built the tree without the parent families chosen last time
+                    this.rebuildTreeWithNewSettings();
+                } else {
+                    this.renderTree();
+                }
                 this.hideLoading();
             } else {
                 throw new Error('No family tree data found in Chrome storage or localStorage');
@@ -196,6 +341,305 @@ class FamilyTreeViewer {
         }
     }
 
+    async loadFilePreferences(fileName) {
+        this.preferencesKey = fileName ? `viewerPreferences:${fileName}` : null;
+
+        let preferences = null;
+        try {
+            preferences = this.preferencesKey ? await this.readStoredValue(this.preferencesKey) : null;
+        } catch (error) {
+            console.warn('Could not load saved preferences:', error);
+        }
+
+        this.settings.preferredParentFamilies = preferences?.preferredParentFamilies || {};
+        this.settings.consistencyRules = preferences?.consistencyRules || {};
+        this.dataProblems = null;
+    }
+
+    saveFilePreferences() {
+        if (!this.preferencesKey) return;
+
+        const preferences = {
+            preferredParentFamilies: this.settings.preferredParentFamilies,
+            consistencyRules: this.settings.consistencyRules
+        };
+
+        if (typeof chrome !== 'undefined' && chrome.storage) {
+            chrome.storage.local.set({ [this.preferencesKey]: preferences }, () => {
+                if (chrome.runtime.lastError) {
+                    console.warn('Could not save preferences:', chrome.runtime.lastError.message);
+                }
+            });
+        } else if (typeof localStorage !== 'undefined') {
+            localStorage.setItem(this.preferencesKey, JSON.stringify(preferences));
+        }
+    }
+
+    async readStoredValue(key) {
+        // Chrome storage in the extension, localStorage for web use
+        if (typeof chrome !== 'undefined' && chrome.storage) {
+            const result = await new Promise((resolve) => {
+                chrome.storage.local.get([key], resolve);
+            });
+            return result[key] || null;
+        }
+        if (typeof localStorage !== 'undefined') {
+            const stored = localStorage.getItem(key);
+            return stored ? JSON.parse(stored) : null;
+        }
+        return null;
+    }
+
+    async loadBundledMedia() {
+        if (typeof MediaStore === 'undefined') return;
+
+        try {
+            const files = await new MediaStore().getAll();
+            this.addMediaFiles(files);
+            console.log(`Loaded ${files.length} media files from the GEDZIP archive`);
+        } catch (error) {
+            console.warn('Could not load media files:', error);
+        }
+    }
+
+    loadMediaFolder(fileList) {
+        const files = Array.from(fileList || []);
+        if (files.length === 0) return;
+
+        this.addMediaFiles(files.map(file => ({ path: MediaStore.getFolderPath(file), blob: file })));
+        console.log(`Added ${files.length} files from the chosen media folder`);
+
+        this.updateMediaPanel();
+        if (this.treeData) {
+            this.renderTree();
+        }
+    }
+
+    addMediaFiles(files) {
+        files.forEach(file => this.mediaFiles.set(file.path, file.blob));
+        this.mediaIndex = null;
+    }
+
+    getMediaIndex() {
+        if (!this.mediaIndex) {
+            this.mediaIndex = MediaStore.createIndex(this.mediaFiles);
+        }
+        return this.mediaIndex;
+    }
+
+    findMediaFile(path) {
+        if (this.mediaFiles.size === 0) return null;
+        return MediaStore.findFile(this.getMediaIndex(), path);
+    }
+
+    getMediaUrl(blob) {
+        if (!this.mediaUrls.has(blob)) {
+            this.mediaUrls.set(blob, URL.createObjectURL(blob));
+        }
+        return this.mediaUrls.get(blob);
+    }
+
+    getPersonPhotos(person) {
+        return (person?.media || [])
+            .map(item => ({ item, blob: this.findMediaFile(item.file) }))
+            .filter(photo => photo.blob && photo.blob.type.startsWith('image/'));
+    }
+
+    getPortraitUrl(nodeData) {
+        if (this.mediaFiles.size === 0) return null;
+
+        const person = nodeData._person || this.individuals?.find(ind => ind.id === nodeData.id);
+        const photos = this.getPersonPhotos(person);
+        const portrait = photos.find(photo => photo.item.primary) || photos[0];
+        return portrait ? this.getMediaUrl(portrait.blob) : null;
+    }
+
+    toggleMediaPanel() {
+        const panel = document.getElementById('mediaPanel');
+        panel.classList.toggle('hidden');
+        if (!panel.classList.contains('hidden')) {
+            this.updateMediaPanel();
+        }
+    }
+
+    updateMediaPanel() {
+        const summary = document.getElementById('mediaSummary');
+        const unmatchedList = document.getElementById('unmatchedMedia');
+        if (!summary || !unmatchedList || !this.individuals) return;
+
+        // Every linked path that no GEDZIP or folder file matches, with the people who link it
+        const unmatched = MediaStore.findUnmatched(this.individuals, this.getMediaIndex());
+        const linkCount = this.individuals.reduce((sum, person) => sum + (person.media || []).length, 0);
+        const unmatchedCount = unmatched.reduce((sum, entry) => sum + entry.links, 0);
+
+        summary.textContent = linkCount === 0
+            ? 'This file links no media'
+            : `${linkCount - unmatchedCount} of ${linkCount} media links matched ` +
+                `(${this.mediaFiles.size} files available)`;
+
+        unmatchedList.innerHTML = unmatched.map(entry => `
+            <li>
+                <code>${this.escapeHtml(entry.path)}</code>
+                <div class="member-dates">${this.escapeHtml(entry.people.join(', '))}</div>
+            </li>
+        `).join('');
+    }
+
+    updateValidationButton() {
+        const validationBtn = document.getElementById('validationBtn');
+        if (!validationBtn || !this.validation) return;
+
+        const { error, warning, info } = this.validation.counts;
+        validationBtn.title = `Validation Report: ${error} errors, ${warning} warnings, ${info} notices`;
+        validationBtn.classList.toggle('has-errors', error > 0);
+    }
+
+    toggleValidationPanel() {
+        const panel = document.getElementById('validationPanel');
+        panel.classList.toggle('hidden');
+        if (!panel.classList.contains('hidden')) {
+            this.updateValidationPanel();
+        }
+    }
+
+    updateValidationPanel() {
+        const summary = document.getElementById('validationSummary');
+        const issueList = document.getElementById('validationIssues');
+        if (!summary || !issueList || !this.validation) return;
+
+        const { counts, issues, truncated } = this.validation;
+        summary.textContent = `${counts.error} errors, ${counts.warning} warnings, ${counts.info} notices` +
+            (truncated > 0 ? ` (${truncated} more not stored)` : '');
+
+        const severity = document.querySelector('input[name="validationSeverity"]:checked')?.value || 'all';
+        const shown = issues.filter(issue => severity === 'all' || issue.severity === severity);
+
+        // Very broken files can have thousands of issues; the downloads have them all
+        issueList.innerHTML = shown.slice(0, FamilyTreeViewer.MAX_LISTED_ISSUES).map(issue => `
+            <li class="validation-issue ${issue.severity}" data-xref="${this.escapeHtml(issue.xref || '')}">
+                <span class="issue-severity">${issue.severity}</span>
+                ${issue.line !== null ? `<span class="member-dates">Line ${issue.line}</span>` : ''}
+                <div>${this.escapeHtml(issue.message)}</div>
+            </li>
+        `).join('') + (shown.length > FamilyTreeViewer.MAX_LISTED_ISSUES
+            ? `<li class="member-dates">${shown.length - FamilyTreeViewer.MAX_LISTED_ISSUES} more - download the report to see them all</li>`
+            : '');
+
+        // Issues on a person open their details
+        issueList.querySelectorAll('.validation-issue').forEach(item => {
+            const xref = item.dataset.xref;
+            if (xref && this.individuals.some(ind => ind.id === xref)) {
+                item.classList.add('clickable');
+                item.addEventListener('click', () => this.showPersonDetails({ data: { id: xref } }));
+            }
+        });
+    }
+
+    exportValidationReport(format) {
+        if (!this.validation) {
+            console.error('No validation report to export');
+            return;
+        }
+
+        const content = format === 'json'
+            ? JSON.stringify(this.validation, null, 2)
+            : GedcomValidator.formatText(this.validation);
+        const blob = new Blob([content], { type: format === 'json' ? 'application/json' : 'text/plain' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `gedcom-validation-${Date.now()}.${format === 'json' ? 'json' : 'txt'}`;
+        a.click();
+
+        URL.revokeObjectURL(url);
+    }
+
+    getDataProblems() {
+        if (!this.dataProblems && typeof ConsistencyChecker !== 'undefined' && this.individuals) {
+            this.dataProblems = new ConsistencyChecker(this.settings.consistencyRules)
+                .check(this.individuals, this.families || []);
+        }
+        return this.dataProblems || [];
+    }
+
+    updateProblemsButton() {
+        const problemsBtn = document.getElementById('problemsBtn');
+        if (!problemsBtn) return;
+
+        const problems = this.getDataProblems();
+        problemsBtn.title = `Data Problems: ${problems.length} found`;
+        problemsBtn.classList.toggle('has-errors', problems.some(problem => problem.severity === 'error'));
+    }
+
+    toggleProblemsPanel() {
+        const panel = document.getElementById('problemsPanel');
+        panel.classList.toggle('hidden');
+        if (!panel.classList.contains('hidden')) {
+            this.renderProblemRules();
+            this.updateProblemsPanel();
+        }
+    }
+
+    renderProblemRules() {
+        const container = document.getElementById('problemRules');
+        if (!container || container.childElementCount > 0 || typeof ConsistencyChecker === 'undefined') return;
+
+        const checker = new ConsistencyChecker(this.settings.consistencyRules);
+        container.innerHTML = Object.entries(ConsistencyChecker.RULES).map(([id, rule]) => `
+            <div class="problem-rule">
+                <label>
+                    <input type="checkbox" data-rule="${id}" ${checker.rules[id].enabled ? 'checked' : ''}>
+                    ${this.escapeHtml(rule.label)}
+                </label>
+                ${rule.limit !== undefined ? `
+                    <input type="number" min="1" data-rule-limit="${id}" value="${checker.rules[id].limit}"> ${rule.unit}
+                ` : ''}
+            </div>
+        `).join('');
+
+        container.querySelectorAll('input').forEach(input => {
+            input.addEventListener('change', () => {
+                const id = input.dataset.rule || input.dataset.ruleLimit;
+                const limitInput = container.querySelector(`[data-rule-limit="${id}"]`);
+                this.settings.consistencyRules[id] = {
+                    enabled: container.querySelector(`[data-rule="${id}"]`).checked,
+                    limit: limitInput ? parseFloat(limitInput.value) || ConsistencyChecker.RULES[id].limit : undefined
+                };
+                this.saveFilePreferences();
+
+                this.dataProblems = null;
+                this.updateProblemsPanel();
+                this.updateProblemsButton();
+            });
+        });
+    }
+
+    updateProblemsPanel() {
+        const summary = document.getElementById('problemsSummary');
+        const problemList = document.getElementById('problemsList');
+        if (!summary || !problemList) return;
+
+        const problems = this.getDataProblems();
+        const errorCount = problems.filter(problem => problem.severity === 'error').length;
+        summary.textContent = problems.length === 0
+            ? 'No problems found'
+            : `${errorCount} impossible, ${problems.length - errorCount} unlikely - click one to show that person's tree`;
+
+        problemList.innerHTML = problems.slice(0, FamilyTreeViewer.MAX_LISTED_ISSUES).map(problem => `
+            <li class="validation-issue clickable ${problem.severity}" data-person-id="${this.escapeHtml(problem.personId)}">
+                <span class="issue-severity">${this.escapeHtml(ConsistencyChecker.RULES[problem.rule].label)}</span>
+                <div>${this.escapeHtml(problem.message)}</div>
+            </li>
+        `).join('') + (problems.length > FamilyTreeViewer.MAX_LISTED_ISSUES
+            ? `<li class="member-dates">${problems.length - FamilyTreeViewer.MAX_LISTED_ISSUES} more not shown</li>`
+            : '');
+
+        problemList.querySelectorAll('.validation-issue').forEach(item => {
+            item.addEventListener('click', () => this.selectNewRootPerson(item.dataset.personId));
+        });
+    }
+
     updateHeader() {
         if (this.rootPerson) {
             const rootPersonNameElement = document.getElementById('rootPersonName');
@@ -210,12 +654,16 @@ class FamilyTreeViewer {
             }
         }
 
-        if (this.individuals) {
-            const treeStatsElement = document.getElementById('treeStats');
-            if (treeStatsElement) {
-                treeStatsElement.textContent = `${this.individuals.length} individuals`;
-            }
-        }
+        this.updateTreeStats();
+    }
+
+    updateTreeStats() {
+        const treeStatsElement = document.getElementById('treeStats');
+        if (!treeStatsElement || !this.individuals) return;
+
+        const collapse = this.treeData?.metadata?.pedigreeCollapse;
+        treeStatsElement.textContent = `${this.individuals.length} individuals` +
+            (collapse > 0 ? ` • ${collapse}% pedigree collapse` : '');
     }
 
     renderTree() {
@@ -234,52 +682,95 @@ class FamilyTreeViewer {
             ? d3.tree().size([400, 600])
             : d3.tree().size([600, 400]);
 
-        const root = d3.hierarchy(this.treeData.root, d => d.children);
-        console.log('D3 hierarchy root:', root);
-        tree(root);
+        let root;
 
-        // Adjust positions based on layout
-        const nodes = root.descendants();
-        const links = root.links();
+        if (this.treeData.metadata?.treeType === 'both') {
+            // Hourglass: ancestors and descendants are laid out as separate branches, root in the middle
+            root = this.layoutHourglass(this.treeData.root, tree);
+        } else {
+            root = d3.hierarchy(this.treeData.root, d => d.children);
+            tree(root);
 
-        if (this.settings.layout === 'horizontal') {
-            // Handle horizontal layout based on tree type
-            if (this.settings.treeType === 'both') {
-                // For horizontal 'both' tree type, we need special positioning
-                this.layoutBothTreeHorizontal(nodes);
-            } else {
+            if (this.settings.layout === 'horizontal') {
                 // For ancestors or descendants only, swap x and y
-                nodes.forEach(d => {
+                root.each(d => {
                     const temp = d.x;
                     d.x = d.y;
                     d.y = temp;
                 });
-            }
-        } else {
-            // Handle vertical layout based on tree type
-            if (this.settings.treeType === 'both') {
-                // For 'both' tree type, we need special positioning
-                this.layoutBothTree(nodes);
             } else {
                 // For ancestors or descendants only, flip y-axis so older generations are at top
-                const maxY = Math.max(...nodes.map(d => d.y));
-                nodes.forEach(d => {
+                const maxY = Math.max(...root.descendants().map(d => d.y));
+                root.each(d => {
                     d.y = maxY - d.y;
                 });
             }
         }
+        console.log('D3 hierarchy root:', root);
+
+        const nodes = root.descendants();
+        const links = root.links();
+
+        // Siblings and spouses are not part of the hierarchy; they are placed beside the person they belong to
+        const besideNodes = this.createBesideNodes(nodes);
+        const allNodes = nodes.concat(besideNodes);
 
         // Fix overlapping nodes within generations first
-        this.adjustNodeSpacing(nodes);
+        this.adjustNodeSpacing(allNodes);
 
         // Draw links after node positions are adjusted (so they appear behind nodes)
+        this.drawCoupleLinks(nodes);
         this.drawLinks(links);
+        this.drawSiblingLinks(nodes);
+        this.drawReferenceLinks(nodes);
 
         // Draw nodes
-        this.drawNodes(nodes);
+        this.drawNodes(allNodes);
 
         // Center the tree
-        this.centerTree(nodes);
+        this.centerTree(allNodes);
+
+        this.updateLoopNotice();
+        this.updateTreeStats();
+    }
+
+    updateLoopNotice() {
+        const notice = document.getElementById('loopNotice');
+        if (!notice) return;
+
+        const loops = this.treeData.metadata?.loops || [];
+        if (loops.length === 0) {
+            notice.classList.add('hidden');
+            return;
+        }
+
+        const nameOf = id => this.individuals.find(ind => ind.id === id)?.name.full || id;
+
+        // Ancestor paths run child -> parent, descendant paths parent -> child; the last step closes the loop
+        notice.innerHTML = `
+            <strong>⚠️ Loop in the family links</strong>
+            <button class="loop-notice-close" title="Hide">✖</button>
+            <ul>${loops.map(loop => {
+                const closingId = loop.path[loop.path.length - 1];
+                const chain = [...loop.path, loop.personId].map(nameOf).join(' → ');
+                const [child, parent] = loop.treeType === 'ancestors'
+                    ? [closingId, loop.personId]
+                    : [loop.personId, closingId];
+                return `
+                    <li data-person-id="${this.escapeHtml(closingId)}">
+                        ${this.escapeHtml(chain)}
+                        <div class="member-dates">${this.escapeHtml(nameOf(child))} is recorded as a child of
+                            ${this.escapeHtml(nameOf(parent))}; one of the links on this loop is wrong</div>
+                    </li>
+                `;
+            }).join('')}</ul>
+        `;
+
+        notice.querySelector('.loop-notice-close').addEventListener('click', () => notice.classList.add('hidden'));
+        notice.querySelectorAll('li').forEach(item => {
+            item.addEventListener('click', () => this.showPersonDetails({ data: { id: item.dataset.personId } }));
+        });
+        notice.classList.remove('hidden');
     }
 
     drawLinks(links) {
@@ -287,9 +778,16 @@ class FamilyTreeViewer {
             ? d3.linkHorizontal().x(d => d.x).y(d => d.y)
             : d3.linkVertical().x(d => d.x).y(d => d.y);
 
+        // Children of a couple hang from the couple's connector rather than from the person
+        const drawnLinks = links.map(link => {
+            const join = link.target.data.relationship === 'child' &&
+                link.source.coupleJoins?.get(link.target.data.parentFamilyId);
+            return join ? { source: join, target: link.target } : link;
+        });
+
         // Use the full update pattern to handle existing and new links
         const linkSelection = this.g.selectAll('.tree-link')
-            .data(links);
+            .data(drawnLinks);
 
         // Remove old links
         linkSelection.exit().remove();
@@ -297,60 +795,185 @@ class FamilyTreeViewer {
         // Add new links
         linkSelection.enter()
             .append('path')
-            .attr('class', 'tree-link')
             .merge(linkSelection) // Merge with existing links
+            .attr('class', d => this.getLinkClass(d))
             .attr('d', linkGenerator); // Update path for both new and existing links
     }
 
+    getLinkClass(link) {
+        // Adopted, foster and sealing links are drawn differently from birth links
+        const { pedigree, pedigreeStatus } = link.target.data;
+        const classes = ['tree-link'];
+
+        if (pedigree && !TreeBuilder.isBirthPedigree(pedigree)) {
+            classes.push('pedigree-link', `pedigree-${pedigree}`);
+        }
+        if (pedigreeStatus === 'challenged' || pedigreeStatus === 'disproven') {
+            classes.push(`pedigree-${pedigreeStatus}`);
+        }
+
+        return classes.join(' ');
+    }
+
     drawNodes(nodes) {
         const nodeGroup = this.g.selectAll('.person-node')
             .data(nodes)
             .enter()
             .append('g')
-            .attr('class', d => `person-node person-gender-${this.getPersonGender(d.data)}`)
+            .attr('class', d => this.getNodeClass(d))
             .attr('transform', d => `translate(${d.x},${d.y})`)
             .style('cursor', 'pointer')
             .style('transform-origin', 'center center')  // Ensure transforms happen from center
             .on('mouseover', (event, d) => {
                 console.log('Mouse over person:', d.data?.id);
+                this.highlightOccurrences(d.data.id);
                 this.showTooltip(event, d);
             })
-            .on('mouseout', () => this.hideTooltip())
+            .on('mouseout', () => {
+                this.highlightOccurrences(null);
+                this.hideTooltip();
+            })
             .on('click', (event, d) => {
                 console.log('Click event fired for person:', d.data?.id);
                 event.stopPropagation();  // Prevent event bubbling
                 this.selectPerson(d);
             });
 
-        // Add rectangles for person boxes
+        // Add rectangles for person boxes; reference nodes for people shown elsewhere are compact
+        const boxHeight = d => d.data.isReference ? this.settings.nodeHeight * 0.75 : this.settings.nodeHeight;
         nodeGroup.append('rect')
             .attr('class', 'person-rect')
             .attr('x', -this.settings.nodeWidth / 2)
-            .attr('y', -this.settings.nodeHeight / 2)
+            .attr('y', d => -boxHeight(d) / 2)
             .attr('width', this.settings.nodeWidth)
-            .attr('height', this.settings.nodeHeight)
+            .attr('height', boxHeight)
             .attr('rx', 8);
 
+        // Add portrait thumbnails; the text moves right to make room for them
+        const photoSize = this.settings.nodeHeight - 12;
+        nodes.forEach(d => {
+            d.portraitUrl = d.data.isReference ? null : this.getPortraitUrl(d.data);
+        });
+        const textX = d => d.portraitUrl ? (photoSize + 6) / 2 : 0;
+        const textWidth = d => this.settings.nodeWidth - 20 - (d.portraitUrl ? photoSize + 6 : 0);
+
+        nodeGroup.filter(d => d.portraitUrl)
+            .append('image')
+            .attr('class', 'person-thumbnail')
+            .attr('href', d => d.portraitUrl)
+            .attr('x', -this.settings.nodeWidth / 2 + 6)
+            .attr('y', -photoSize / 2)
+            .attr('width', photoSize)
+            .attr('height', photoSize)
+            .attr('preserveAspectRatio', 'xMidYMid slice')
+            .attr('clip-path', 'url(#nodePhotoClip)');
+
+        // Make room for the relationship line when it is shown
+        const showRelationship = d => this.settings.showRelationships && !d.data.isReference && this.getRelationshipToRoot(d.data.id);
+        const lineShift = d => showRelationship(d) ? -5 : 0;
+
         // Add person names
         nodeGroup.append('text')
             .attr('class', 'person-name')
-            .attr('y', -8)
+            .attr('x', textX)
+            .attr('y', d => -8 + lineShift(d))
             .attr('clip-path', 'url(#nodeTextClip)')
-            .text(d => this.getSmartPersonName(d.data, this.settings.nodeWidth - 20))
-            .call(this.wrapText, this.settings.nodeWidth - 20, 2);
+            .text(d => this.getSmartPersonName(d.data, textWidth(d)))
+            .call(this.wrapText, textWidth, 2);
 
         // Add birth/death dates
         nodeGroup.append('text')
             .attr('class', 'person-dates')
-            .attr('y', 12)
+            .attr('x', textX)
+            .attr('y', d => 12 + lineShift(d))
+            .attr('clip-path', 'url(#nodeTextClip)')
+            .text(d => d.data.isReference ? '↑ see above' : this.getPersonDates(d.data))
+            .call(this.wrapText, textWidth, 1);
+
+        // Mark half-siblings in the corner of the box
+        nodeGroup.filter(d => d.data.isHalfSibling)
+            .append('text')
+            .attr('class', 'half-sibling-badge')
+            .attr('x', this.settings.nodeWidth / 2 - 8)
+            .attr('y', -this.settings.nodeHeight / 2 + 11)
+            .text('half');
+
+        // Add relationship to the root person
+        nodeGroup.filter(showRelationship)
+            .append('text')
+            .attr('class', 'person-relationship')
+            .attr('x', textX)
+            .attr('y', 20)
             .attr('clip-path', 'url(#nodeTextClip)')
-            .text(d => this.getPersonDates(d.data))
-            .call(this.wrapText, this.settings.nodeWidth - 20, 1);
+            .text(d => this.getRelationshipToRoot(d.data.id))
+            .call(this.wrapText, textWidth, 1);
+    }
+
+    getRelationshipToRoot(personId) {
+        const rootId = this.rootPerson?.id;
+        const calculator = this.getRelationshipCalculator();
+        if (!rootId || !calculator) return '';
+
+        // Worked out again for a new root
+        if (this.rootRelationshipsFor !== rootId) {
+            this.rootRelationships.clear();
+            this.rootRelationshipsFor = rootId;
+        }
+
+        if (!this.rootRelationships.has(personId)) {
+            const result = calculator.calculate(rootId, personId);
+            const named = result && result.type !== 'self' && result.type !== 'none';
+            this.rootRelationships.set(personId, named ? result.label : '');
+        }
+        return this.rootRelationships.get(personId);
     }
 
-    wrapText(text, width, maxLines = 2) {
-        text.each(function() {
+    getNodeClass(d) {
+        const classes = ['person-node', `person-gender-${this.getPersonGender(d.data)}`];
+        if (d.data.isLoop) classes.push('loop-node');
+        if (d.data.isReference) classes.push('reference-node');
+        if (d.data.isSibling) classes.push('sibling-node');
+        if (d.data.isHalfSibling) classes.push('half-sibling-node');
+        if (d.data.isSpouse) classes.push('spouse-node');
+        return classes.join(' ');
+    }
+
+    drawReferenceLinks(nodes) {
+        // Dashed connector from each "see above" reference to the node where that person's branch is shown
+        const originals = new Map(nodes
+            .filter(d => !d.data.isReference && !d.data.isLoop)
+            .map(d => [d.data.id, d]));
+        const referenceLinks = nodes
+            .filter(d => d.data.isReference && originals.has(d.data.id))
+            .map(d => ({ source: originals.get(d.data.id), target: d }));
+
+        const linkGenerator = this.settings.layout === 'horizontal'
+            ? d3.linkHorizontal().x(d => d.x).y(d => d.y)
+            : d3.linkVertical().x(d => d.x).y(d => d.y);
+
+        this.g.selectAll('.reference-link')
+            .data(referenceLinks)
+            .enter()
+            .append('path')
+            .attr('class', 'reference-link')
+            .attr('data-person-id', d => d.target.data.id)
+            .attr('d', linkGenerator);
+    }
+
+    highlightOccurrences(personId) {
+        // Pedigree collapse: show every box and connector for the person under the mouse
+        const repeated = personId && this.g.selectAll('.reference-node').filter(d => d.data.id === personId).size() > 0;
+
+        this.g.selectAll('.person-node').classed('same-person', d => repeated && d.data.id === personId);
+        this.g.selectAll('.reference-link').classed('same-person', d => repeated && d.target.data.id === personId);
+    }
+
+    wrapText(text, widthOrAccessor, maxLines = 2) {
+        text.each(function(d) {
             const text = d3.select(this);
+            // Width may vary per node (e.g. narrower next to a portrait); lines start at the text's own x
+            const width = typeof widthOrAccessor === 'function' ? widthOrAccessor(d) : widthOrAccessor;
+            const x = text.attr('x') || 0;
             const originalText = text.text();
             const words = originalText.split(/\s+/).reverse();
             let word;
@@ -359,7 +982,7 @@ class FamilyTreeViewer {
             const lineHeight = 1.1;
             const y = text.attr('y');
             const dy = parseFloat(text.attr('dy') || 0);
-            let tspan = text.text(null).append('tspan').attr('x', 0).attr('y', y).attr('dy', dy + 'em');
+            let tspan = text.text(null).append('tspan').attr('x', x).attr('y', y).attr('dy', dy + 'em');
             let isNameText = text.classed('person-name');
 
             while (word = words.pop()) {
@@ -396,7 +1019,7 @@ class FamilyTreeViewer {
 
                     line = [word];
                     tspan = text.append('tspan')
-                        .attr('x', 0)
+                        .attr('x', x)
                         .attr('y', y)
                         .attr('dy', ++lineNumber * lineHeight + dy + 'em')
                         .text(word);
@@ -417,89 +1040,183 @@ class FamilyTreeViewer {
         });
     }
 
-    layoutBothTree(nodes) {
-        // Find the root node (generation 0)
-        const rootNode = nodes.find(d => d.data.generation === 0);
-        if (!rootNode) return;
-
-        console.log('Laying out both tree with', nodes.length, 'nodes');
+    layoutHourglass(rootData, tree) {
+        // Each branch gets its own d3 layout: up through the root's parents, down through its children
+        const up = d3.hierarchy(rootData, d => d === rootData ? d.parents : d.children);
+        const down = d3.hierarchy(rootData, d => d.children);
+        tree(up);
+        tree(down);
+
+        const horizontal = this.settings.layout === 'horizontal';
+        const spreadAxis = horizontal ? 'y' : 'x';
+        const generationAxis = horizontal ? 'x' : 'y';
+        // Ancestors go up (vertical) or right (horizontal); descendants the other way
+        const ancestorSign = horizontal ? 1 : -1;
+        const spacing = horizontal ? this.settings.horizontalSpacing : this.settings.verticalSpacing;
+
+        // d3 spreads nodes along x; line the descendant branch up under the root before moving them
+        const shift = up.x - down.x;
+        const upNodes = up.descendants();
+        const downNodes = down.descendants().slice(1);
+
+        upNodes.forEach(node => {
+            const spread = node.x;
+            node[generationAxis] = ancestorSign * node.depth * spacing;
+            node[spreadAxis] = spread;
+        });
+        downNodes.forEach(node => {
+            const spread = node.x + shift;
+            node[generationAxis] = -ancestorSign * node.depth * spacing;
+            node[spreadAxis] = spread;
+            node.branch = 'descendants';
+        });
 
-        // Separate nodes by relationship type
-        const ancestorNodes = [];
-        const descendantNodes = [];
-        const rootNodes = [rootNode];
+        // Graft the descendants onto the ancestor root so the rest of the drawing sees one hierarchy
+        const rootChildren = down.children || [];
+        rootChildren.forEach(child => {
+            child.parent = up;
+        });
+        if (rootChildren.length > 0) {
+            up.children = (up.children || []).concat(rootChildren);
+        }
 
-        nodes.forEach(node => {
-            if (node === rootNode) {
-                return; // Skip root
-            }
+        console.log('Hourglass layout - Ancestors:', upNodes.length - 1, 'Descendants:', downNodes.length);
+        return up;
+    }
 
-            // Check if this node is an ancestor or descendant based on relationship
-            const relationship = node.data.relationship;
+    createBesideNodes(nodes) {
+        // Left to right (top to bottom in horizontal layout): older siblings, the person,
+        // their spouses in marriage order, younger siblings; offset counts the slots from the person
+        return nodes.flatMap(anchor => {
+            const siblings = anchor.data.siblings || [];
+            const position = anchor.data.siblingPosition || 0;
+            const spouses = (anchor.data.couples || []).map(couple => couple.spouse).filter(Boolean);
+            const slot = (data, offset) => ({ data, depth: anchor.depth, x: anchor.x, y: anchor.y, anchor, offset });
+
+            anchor.besideNodes = [
+                ...siblings.slice(0, position).map((sibling, index) => slot(sibling, index - position)),
+                ...spouses.map((spouse, index) => slot(spouse, index + 1)),
+                ...siblings.slice(position).map((sibling, index) => slot(sibling, spouses.length + index + 1))
+            ];
+            return anchor.besideNodes;
+        });
+    }
 
-            if (relationship === 'father' || relationship === 'mother' || this.isAncestor(node, rootNode)) {
-                ancestorNodes.push(node);
-            } else if (relationship === 'child' || this.isDescendant(node, rootNode)) {
-                descendantNodes.push(node);
-            } else {
-                // Fallback: use generation number
-                if (node.data.generation < rootNode.data.generation) {
-                    ancestorNodes.push(node);
-                } else {
-                    descendantNodes.push(node);
-                }
-            }
+    drawCoupleLinks(nodes) {
+        const vertical = this.settings.layout !== 'horizontal';
+        const spreadAxis = vertical ? 'x' : 'y';
+        const generationAxis = vertical ? 'y' : 'x';
+        const spreadHalf = (vertical ? this.settings.nodeWidth : this.settings.nodeHeight) / 2;
+        const generationHalf = (vertical ? this.settings.nodeHeight : this.settings.nodeWidth) / 2;
+        const point = (spread, generation) => vertical ? { x: spread, y: generation } : { x: generation, y: spread };
+
+        const couples = [];
+        nodes.filter(anchor => anchor.data.couples).forEach(anchor => {
+            const side = this.getCoupleSide(anchor, generationAxis);
+            anchor.coupleJoins = new Map(); // familyId -> point the children's links start from
+
+            anchor.data.couples.forEach(couple => {
+                const spouseNode = anchor.besideNodes.find(node => node.data === couple.spouse);
+                if (!spouseNode) return;
+
+                // The first spouse sits next to the person and is joined straight across; later spouses
+                // are further along, so their connector runs just outside the boxes on the children's side
+                const turn = spouseNode.offset;
+                const from = anchor[spreadAxis];
+                const to = spouseNode[spreadAxis];
+                const center = anchor[generationAxis];
+                const level = turn === 1 ? center : center + side * (generationHalf + 8 * (turn - 1));
+                const points = turn === 1
+                    ? [point(from + spreadHalf, center), point(to - spreadHalf, center)]
+                    : [point(from + spreadHalf - 12 * turn, center + side * generationHalf), point(from + spreadHalf - 12 * turn, level),
+                        point(to, level), point(to, center + side * generationHalf)];
+                const join = point((from + (turn === 1 ? to : to + spreadHalf - 12 * turn)) / 2, level);
+
+                anchor.coupleJoins.set(couple.familyId, join);
+                couples.push({
+                    couple,
+                    path: points.map((p, index) => `${index === 0 ? 'M' : 'L'}${p.x},${p.y}`).join(''),
+                    label: point(join[spreadAxis] + 4, (turn === 1 ? center + side * generationHalf : level) + side * 10)
+                });
+            });
         });
 
-        console.log('Ancestors:', ancestorNodes.length, 'Descendants:', descendantNodes.length);
+        this.g.selectAll('.couple-link')
+            .data(couples)
+            .enter()
+            .append('path')
+            .attr('class', 'couple-link')
+            .attr('d', d => d.path);
 
-        // Position root at center (y = 0)
-        rootNode.y = 0;
+        const labels = this.g.selectAll('.marriage-label')
+            .data(couples.filter(d => d.couple.marriageDate))
+            .enter()
+            .append('text')
+            .attr('class', 'marriage-label')
+            .attr('x', d => d.label.x)
+            .attr('y', d => d.label.y)
+            .text(d => `m. ${GedcomParser.formatDateYear(d.couple.marriageDate) || d.couple.marriageDate.display}`);
+
+        labels.append('title')
+            .text(d => [this.formatDetailDate(d.couple.marriageDate), d.couple.marriagePlace].filter(Boolean).join(', '));
+    }
 
-        // Position ancestors above (negative y values)
-        const ancestorSpacing = this.settings.verticalSpacing;
-        ancestorNodes.forEach(node => {
-            const generationLevel = node.depth; // Use D3's depth property
-            node.y = -generationLevel * ancestorSpacing;
-        });
+    getCoupleSide(anchor, axis) {
+        // The side the couple's children are drawn on; away from the person's own parents when childless
+        const child = (anchor.children || []).find(node => node.data.relationship === 'child');
+        if (child) return Math.sign(child[axis] - anchor[axis]) || 1;
+        if (anchor.parent && anchor.data.relationship === 'child') return Math.sign(anchor[axis] - anchor.parent[axis]) || 1;
+        return 1;
+    }
 
-        // Position descendants below (positive y values)
-        const descendantSpacing = this.settings.verticalSpacing;
-        descendantNodes.forEach(node => {
-            const generationLevel = node.depth; // Use D3's depth property
-            node.y = generationLevel * descendantSpacing;
+    drawSiblingLinks(nodes) {
+        const vertical = this.settings.layout !== 'horizontal';
+        const axis = vertical ? 'y' : 'x';
+        const halfSize = vertical ? this.settings.nodeHeight / 2 : this.settings.nodeWidth / 2;
+
+        // A bar on the parents' side of each sibling group, with a short line down to every member
+        const paths = nodes.filter(anchor => anchor.data.siblings?.length).map(anchor => {
+            const side = this.getSiblingBarSide(anchor, axis);
+            const bar = anchor[axis] + side * (halfSize + 12);
+            const members = [anchor, ...anchor.besideNodes.filter(node => node.data.isSibling)];
+
+            if (vertical) {
+                const xs = members.map(member => member.x);
+                return members.map(member => `M${member.x},${member.y + side * halfSize}V${bar}`).join('') +
+                    `M${Math.min(...xs)},${bar}H${Math.max(...xs)}`;
+            }
+            const ys = members.map(member => member.y);
+            return members.map(member => `M${member.x + side * halfSize},${member.y}H${bar}`).join('') +
+                `M${bar},${Math.min(...ys)}V${Math.max(...ys)}`;
         });
-    }
 
-    isAncestor(node, rootNode) {
-        // Check if node is an ancestor of root by traversing up the tree
-        let current = rootNode.parent;
-        while (current) {
-            if (current === node) return true;
-            current = current.parent;
-        }
-        return false;
+        this.g.selectAll('.sibling-link')
+            .data(paths)
+            .enter()
+            .append('path')
+            .attr('class', 'sibling-link')
+            .attr('d', d => d);
     }
 
-    isDescendant(node, rootNode) {
-        // Check if node is a descendant of root by traversing down the tree
-        function checkChildren(parent) {
-            if (!parent.children) return false;
-            for (let child of parent.children) {
-                if (child === node) return true;
-                if (checkChildren(child)) return true;
-            }
-            return false;
-        }
-        return checkChildren(rootNode);
+    getSiblingBarSide(anchor, axis) {
+        // Toward the person's parents if they are drawn, otherwise away from their child or children
+        const parent = (anchor.children || []).find(node => node.data.relationship === 'father' || node.data.relationship === 'mother');
+        if (parent) return Math.sign(parent[axis] - anchor[axis]) || -1;
+
+        const isAncestor = anchor.data.relationship === 'father' || anchor.data.relationship === 'mother';
+        if (isAncestor && anchor.parent) return Math.sign(anchor[axis] - anchor.parent[axis]) || -1;
+
+        const child = (anchor.children || [])[0];
+        return child ? -Math.sign(child[axis] - anchor[axis]) || -1 : -1;
     }
 
     adjustNodeSpacing(nodes) {
-        // Group nodes by their depth level (generation)
+        // Group nodes by their depth level (generation); siblings move with the person they are shown beside
+        // Descendants in an hourglass count as negative depths so they never share a row with ancestors
         const nodesByDepth = new Map();
 
-        nodes.forEach(node => {
-            const depth = node.depth;
+        nodes.filter(node => !node.anchor).forEach(node => {
+            const depth = node.branch === 'descendants' ? -node.depth : node.depth;
             if (!nodesByDepth.has(depth)) {
                 nodesByDepth.set(depth, []);
             }
@@ -526,12 +1243,17 @@ class FamilyTreeViewer {
         // Process each depth level
         const sortedDepths = Array.from(nodesByDepth.keys()).sort((a, b) => a - b);
 
+        // Room taken by the siblings and spouses shown before and after a person
+        const before = node => (node.besideNodes || []).filter(beside => beside.offset < 0).length * minSpacing;
+        const after = node => (node.besideNodes || []).filter(beside => beside.offset > 0).length * minSpacing;
+
         sortedDepths.forEach(depth => {
             const depthNodes = nodesByDepth.get(depth);
 
             // Skip if only one node or if this is the root generation
             if (depthNodes.length <= 1 || depth === 0) {
                 console.log(`Skipping depth ${depth} (${depthNodes.length} nodes)`);
+                this.placeBesideNodes(depthNodes, spreadAxis, minSpacing);
                 return;
             }
 
@@ -546,7 +1268,7 @@ class FamilyTreeViewer {
                 const prevNode = depthNodes[i - 1];
                 const currentNode = depthNodes[i];
 
-                const minPosition = prevNode[spreadAxis] + minSpacing;
+                const minPosition = prevNode[spreadAxis] + after(prevNode) + minSpacing + before(currentNode);
                 if (currentNode[spreadAxis] < minPosition) {
                     console.log(`Fixed overlap: moving node from ${currentNode[spreadAxis].toFixed(0)} to ${minPosition.toFixed(0)}`);
                     currentNode[spreadAxis] = minPosition;
@@ -556,8 +1278,8 @@ class FamilyTreeViewer {
             // Now center the entire generation relative to the root person
             if (depthNodes.length > 1) {
                 // Calculate the current span of the generation
-                const leftMost = depthNodes[0][spreadAxis];
-                const rightMost = depthNodes[depthNodes.length - 1][spreadAxis];
+                const leftMost = depthNodes[0][spreadAxis] - before(depthNodes[0]);
+                const rightMost = depthNodes[depthNodes.length - 1][spreadAxis] + after(depthNodes[depthNodes.length - 1]);
                 const currentCenter = (leftMost + rightMost) / 2;
 
                 // Center relative to the root person's position
@@ -575,66 +1297,19 @@ class FamilyTreeViewer {
                     });
                 }
             }
-        });
-    }
-
-    layoutBothTreeHorizontal(nodes) {
-        // Find the root node (generation 0)
-        const rootNode = nodes.find(d => d.data.generation === 0);
-        if (!rootNode) return;
-
-        console.log('Laying out horizontal both tree with', nodes.length, 'nodes');
-
-        // Separate nodes by relationship type
-        const ancestorNodes = [];
-        const descendantNodes = [];
-
-        nodes.forEach(node => {
-            if (node === rootNode) {
-                return; // Skip root
-            }
-
-            // Check if this node is an ancestor or descendant based on relationship
-            const relationship = node.data.relationship;
-
-            if (relationship === 'father' || relationship === 'mother' || this.isAncestor(node, rootNode)) {
-                ancestorNodes.push(node);
-            } else if (relationship === 'child' || this.isDescendant(node, rootNode)) {
-                descendantNodes.push(node);
-            } else {
-                // Fallback: use generation number
-                if (node.data.generation < rootNode.data.generation) {
-                    ancestorNodes.push(node);
-                } else {
-                    descendantNodes.push(node);
-                }
-            }
-        });
 
-        console.log('Horizontal layout - Ancestors:', ancestorNodes.length, 'Descendants:', descendantNodes.length);
-
-        // First swap x and y coordinates for all nodes
-        nodes.forEach(d => {
-            const temp = d.x;
-            d.x = d.y;
-            d.y = temp;
+            this.placeBesideNodes(depthNodes, spreadAxis, minSpacing);
         });
+    }
 
-        // Position root at center (x = 0)
-        rootNode.x = 0;
-
-        // Position ancestors to the right (positive x values)
-        const ancestorSpacing = this.settings.horizontalSpacing;
-        ancestorNodes.forEach(node => {
-            const generationLevel = node.depth; // Use D3's depth property
-            node.x = generationLevel * ancestorSpacing;
-        });
+    placeBesideNodes(depthNodes, spreadAxis, minSpacing) {
+        const otherAxis = spreadAxis === 'x' ? 'y' : 'x';
 
-        // Position descendants to the left (negative x values)
-        const descendantSpacing = this.settings.horizontalSpacing;
-        descendantNodes.forEach(node => {
-            const generationLevel = node.depth; // Use D3's depth property
-            node.x = -generationLevel * descendantSpacing;
+        depthNodes.forEach(node => {
+            (node.besideNodes || []).forEach(beside => {
+                beside[spreadAxis] = node[spreadAxis] + beside.offset * minSpacing;
+                beside[otherAxis] = node[otherAxis];
+            });
         });
     }
 
@@ -697,36 +1372,9 @@ class FamilyTreeViewer {
         // Check if it's a tree node with _person property
         const actualPerson = person._person || person;
 
-        // Extract years only from birth and death dates
-        const birthDate = actualPerson.birth?.date;
-        const deathDate = actualPerson.death?.date;
-
-        // Extract year from different date formats
-        const getYear = (dateObj) => {
-            if (!dateObj) return null;
-
-            // Try parsed date first
-            if (dateObj.parsed && dateObj.parsed instanceof Date) {
-                return dateObj.parsed.getFullYear();
-            }
-
-            // Try display string
-            if (dateObj.display) {
-                const yearMatch = dateObj.display.match(/\b(1[0-9]{3}|20[0-9]{2})\b/);
-                if (yearMatch) return parseInt(yearMatch[1]);
-            }
-
-            // Try raw string
-            if (dateObj.raw) {
-                const yearMatch = dateObj.raw.match(/\b(1[0-9]{3}|20[0-9]{2})\b/);
-                if (yearMatch) return parseInt(yearMatch[1]);
-            }
-
-            return null;
-        };
-
-        const birthYear = getYear(birthDate);
-        const deathYear = getYear(deathDate);
+        // Compact year labels from the parsed date model ("1850", "c. 1850", "bur. 1920")
+        const birthYear = TreeBuilder.formatVitalYear(TreeBuilder.getVitalEvent(actualPerson, 'birth'));
+        const deathYear = TreeBuilder.formatVitalYear(TreeBuilder.getVitalEvent(actualPerson, 'death'));
 
         // Format as "YYYY - YYYY" or "YYYY" or "- YYYY"
         if (birthYear && deathYear) {
@@ -805,36 +1453,44 @@ class FamilyTreeViewer {
         if (tooltipName) tooltipName.textContent = individual.name.full || 'Unknown';
         if (tooltipDates) tooltipDates.textContent = this.getPersonFullDates(d.data);
 
-        // Birth info
-        const birthDetail = document.getElementById('tooltipBirth');
-        const birthEvent = individual.events?.birth;
-        if (birthDetail) {
-            if (birthEvent && (birthEvent.date || birthEvent.place)) {
-                const detailValue = birthDetail.querySelector('.detail-value');
-                if (detailValue) {
-                    detailValue.textContent = `${birthEvent.date || ''} ${birthEvent.place || ''}`.trim();
-                }
-                birthDetail.classList.remove('hidden');
-            } else {
-                birthDetail.classList.add('hidden');
-            }
+        const tooltipRelationship = document.getElementById('tooltipRelationship');
+        if (tooltipRelationship) {
+            const relationship = this.getRelationshipToRoot(individual.id);
+            const rootName = this.rootPerson?.name?.full || 'the root person';
+            tooltipRelationship.textContent = relationship ? `${relationship} of ${rootName}` : '';
+            tooltipRelationship.classList.toggle('hidden', !relationship);
         }
 
-        // Death info
-        const deathDetail = document.getElementById('tooltipDeath');
-        const deathEvent = individual.events?.death;
-        if (deathDetail) {
-            if (deathEvent && (deathEvent.date || deathEvent.place)) {
-                const detailValue = deathDetail.querySelector('.detail-value');
+        // Birth and death info, falling back to christening and burial
+        const birthEvent = TreeBuilder.getVitalEvent(individual, 'birth');
+        const deathEvent = TreeBuilder.getVitalEvent(individual, 'death');
+        this.setTooltipVitalEvent('tooltipBirth', birthEvent);
+        this.setTooltipVitalEvent('tooltipDeath', deathEvent);
+
+        // Other life events in date order
+        const eventsDetail = document.getElementById('tooltipEvents');
+        if (eventsDetail) {
+            const otherEvents = this.getChronologicalEvents(individual)
+                .filter(e => e.tag !== 'BIRT' && e.tag !== 'DEAT' && e !== birthEvent && e !== deathEvent)
+                .slice(0, 6);
+
+            if (otherEvents.length > 0) {
+                const detailValue = eventsDetail.querySelector('.detail-value');
                 if (detailValue) {
-                    detailValue.textContent = `${deathEvent.date || ''} ${deathEvent.place || ''}`.trim();
+                    detailValue.innerHTML = otherEvents.map(e => {
+                        const year = GedcomParser.formatDateYear(e.date);
+                        return `<div>${this.escapeHtml(this.getEventTitle(e))}${year ? ` (${year})` : ''}</div>`;
+                    }).join('');
                 }
-                deathDetail.classList.remove('hidden');
+                eventsDetail.classList.remove('hidden');
             } else {
-                deathDetail.classList.add('hidden');
+                eventsDetail.classList.add('hidden');
             }
         }
 
+        const loopDetail = document.getElementById('tooltipLoop');
+        if (loopDetail) loopDetail.classList.toggle('hidden', !d.data.isLoop);
+
         // Show tooltip
         console.log('Showing tooltip at:', event.pageX + 10, event.pageY - 10);
         this.tooltip.classed('hidden', false)
@@ -842,6 +1498,24 @@ class FamilyTreeViewer {
             .style('top', (event.pageY - 10) + 'px');
     }
 
+    setTooltipVitalEvent(elementId, vitalEvent) {
+        const detail = document.getElementById(elementId);
+        if (!detail) return;
+
+        if (vitalEvent && (vitalEvent.date || vitalEvent.place)) {
+            const detailValue = detail.querySelector('.detail-value');
+            if (detailValue) {
+                // Name the fallback event so a christening is not mistaken for a birth
+                const prefix = vitalEvent.tag === 'BIRT' || vitalEvent.tag === 'DEAT' ? '' : `${vitalEvent.type}: `;
+                const parts = [this.formatDetailDate(vitalEvent.date), vitalEvent.place].filter(Boolean);
+                detailValue.textContent = `${prefix}${parts.join(', ')}`;
+            }
+            detail.classList.remove('hidden');
+        } else {
+            detail.classList.add('hidden');
+        }
+    }
+
     hideTooltip() {
         this.tooltip.classed('hidden', true);
     }
@@ -964,6 +1638,43 @@ class FamilyTreeViewer {
         URL.revokeObjectURL(url);
     }
 
+    toggleGedcomExport() {
+        document.getElementById('gedcomExportPanel').classList.toggle('hidden');
+    }
+
+    exportGedcom() {
+        if (!this.individuals || !this.families) {
+            console.error('No family data to export');
+            return;
+        }
+
+        const charset = document.querySelector('input[name="gedcomCharset"]:checked')?.value || 'UTF-8';
+        const writer = new GedcomWriter();
+
+        // The lossless record tree keeps vendor tags; older stored data falls back to the parsed model
+        const gedcom = writer.write({
+            individuals: this.individuals,
+            families: this.families,
+            sources: this.sources,
+            repositories: this.repositories,
+            notes: this.notes,
+            media: this.media,
+            records: this.records,
+            header: this.header
+        }, { charset });
+
+        const blob = new Blob([writer.encode(gedcom, charset)], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `family-tree-${Date.now()}.ged`;
+        a.click();
+
+        URL.revokeObjectURL(url);
+        this.toggleGedcomExport();
+    }
+
     toggleSettings() {
         const panel = document.getElementById('settingsPanel');
 
@@ -988,6 +1699,14 @@ class FamilyTreeViewer {
             generationsValue.textContent = this.settings.generations;
         }
 
+        const descendantGenerationsSlider = document.getElementById('descendantGenerationsSlider');
+        const descendantGenerationsValue = document.getElementById('descendantGenerationsValue');
+
+        if (descendantGenerationsSlider && descendantGenerationsValue) {
+            descendantGenerationsSlider.value = this.settings.descendantGenerations;
+            descendantGenerationsValue.textContent = this.settings.descendantGenerations;
+        }
+
         // Update layout radio buttons
         const layoutRadios = document.querySelectorAll('input[name="layout"]');
         layoutRadios.forEach(radio => {
@@ -999,6 +1718,27 @@ class FamilyTreeViewer {
         treeTypeRadios.forEach(radio => {
             radio.checked = radio.value === this.settings.treeType;
         });
+
+        // Update parent family radio buttons
+        const parentFamilyRadios = document.querySelectorAll('input[name="parentFamilies"]');
+        parentFamilyRadios.forEach(radio => {
+            radio.checked = radio.value === this.settings.parentFamilies;
+        });
+
+        const siblingRadios = document.querySelectorAll('input[name="siblings"]');
+        siblingRadios.forEach(radio => {
+            radio.checked = radio.value === this.settings.siblings;
+        });
+
+        const includeSpousesCheckbox = document.getElementById('includeSpouses');
+        if (includeSpousesCheckbox) {
+            includeSpousesCheckbox.checked = this.settings.includeSpouses;
+        }
+
+        const showRelationshipsCheckbox = document.getElementById('showRelationships');
+        if (showRelationshipsCheckbox) {
+            showRelationshipsCheckbox.checked = this.settings.showRelationships;
+        }
     }
 
     closeSettings() {
@@ -1008,15 +1748,25 @@ class FamilyTreeViewer {
     applySettings() {
         // Get settings from UI
         const generations = parseInt(document.getElementById('generationsSlider').value);
+        const descendantGenerations = parseInt(document.getElementById('descendantGenerationsSlider')?.value) || this.settings.descendantGenerations;
         const layout = document.querySelector('input[name="layout"]:checked').value;
         const treeType = document.querySelector('input[name="treeType"]:checked').value;
+        const parentFamilies = document.querySelector('input[name="parentFamilies"]:checked')?.value || 'preferred';
+        const siblings = document.querySelector('input[name="siblings"]:checked')?.value || 'none';
+        const includeSpouses = document.getElementById('includeSpouses')?.checked ?? true;
+        const showRelationships = document.getElementById('showRelationships')?.checked || false;
 
-        console.log('Applying new settings:', { generations, layout, treeType });
+        console.log('Applying new settings:', { generations, descendantGenerations, layout, treeType, parentFamilies, siblings, includeSpouses, showRelationships });
 
         // Update settings
         this.settings.generations = generations;
+        this.settings.descendantGenerations = descendantGenerations;
         this.settings.layout = layout;
         this.settings.treeType = treeType;
+        this.settings.parentFamilies = parentFamilies;
+        this.settings.siblings = siblings;
+        this.settings.includeSpouses = includeSpouses;
+        this.settings.showRelationships = showRelationships;
 
         // Rebuild tree data with new settings if we have the necessary data
         if (this.individuals && this.families && this.rootPerson) {
@@ -1031,7 +1781,7 @@ class FamilyTreeViewer {
     }
 
     rebuildTreeWithNewSettings() {
-        console.log(`Rebuilding tree with ${this.settings.generations} generations`);
+        console.log(`Rebuilding tree with ${this.settings.generations} generations up and ${this.settings.descendantGenerations} down`);
 
         try {
             // Create a new TreeBuilder instance
@@ -1039,10 +1789,7 @@ class FamilyTreeViewer {
             treeBuilder.initialize(this.individuals, this.families);
 
             // Build new tree with updated settings
-            const newTreeData = treeBuilder.buildTree(this.rootPerson.id, {
-                treeType: this.settings.treeType,
-                maxGenerations: this.settings.generations
-            });
+            const newTreeData = treeBuilder.buildTree(this.rootPerson.id, this.getTreeBuildOptions());
 
             // Update the tree data
             this.treeData = newTreeData;
@@ -1059,6 +1806,19 @@ class FamilyTreeViewer {
         }
     }
 
+    getTreeBuildOptions() {
+        return {
+            treeType: this.settings.treeType,
+            maxGenerations: this.settings.treeType === 'descendants' ? this.settings.descendantGenerations : this.settings.generations,
+            ancestorGenerations: this.settings.generations,
+            descendantGenerations: this.settings.descendantGenerations,
+            parentFamilies: this.settings.parentFamilies,
+            preferredParentFamilies: this.settings.preferredParentFamilies,
+            includeSiblings: this.settings.siblings === 'none' ? false : this.settings.siblings,
+            includeSpouses: this.settings.includeSpouses
+        };
+    }
+
     handleResize() {
         const container = document.getElementById('treeContainer');
         const containerRect = container.getBoundingClientRect();
@@ -1150,9 +1910,11 @@ class FamilyTreeViewer {
         // Basic information
         safeSetText('detailsName', individual.name.full || 'Unknown');
 
-        // Lifespan
-        const birthYear = individual.birth?.date?.display || '?';
-        const deathYear = individual.death?.date?.display || (individual.death?.date ? '?' : 'Living');
+        // Lifespan, using christening and burial when birth and death are missing
+        const birthEvent = TreeBuilder.getVitalEvent(individual, 'birth');
+        const deathEvent = TreeBuilder.getVitalEvent(individual, 'death');
+        const birthYear = this.formatVitalDate(birthEvent) || '?';
+        const deathYear = this.formatVitalDate(deathEvent) || (TreeBuilder.isDeceased(individual) ? '?' : 'Living');
         safeSetText('detailsLifespan', `${birthYear} - ${deathYear}`);
 
         // Gender
@@ -1160,14 +1922,14 @@ class FamilyTreeViewer {
         safeSetText('detailsGender', genderText);
 
         // Birth information
-        safeSetText('birthDate', individual.birth?.date?.display || 'Unknown');
+        safeSetText('birthDate', this.formatDetailDate(individual.birth?.date) || 'Unknown');
         safeSetText('birthPlace', individual.birth?.place || 'Unknown');
 
         // Death information
         const deathSection = document.getElementById('deathSection');
         if (deathSection) {
             if (individual.death?.date || individual.death?.place) {
-                safeSetText('deathDate', individual.death?.date?.display || 'Unknown');
+                safeSetText('deathDate', this.formatDetailDate(individual.death?.date) || 'Unknown');
                 safeSetText('deathPlace', individual.death?.place || 'Unknown');
                 deathSection.classList.remove('hidden');
             } else {
@@ -1175,6 +1937,15 @@ class FamilyTreeViewer {
             }
         }
 
+        // Photos
+        this.populatePhotos(individual);
+
+        // Names
+        this.populateNames(individual);
+
+        // Life events
+        this.populateEvents(individual);
+
         // Spouses
         this.populateSpouses(individual);
 
@@ -1183,6 +1954,215 @@ class FamilyTreeViewer {
 
         // Parents
         this.populateParents(individual);
+
+        // Notes
+        this.populateNotes(individual);
+
+        // Sources
+        this.populateSources(individual);
+
+        // Raw GEDCOM
+        this.populateRawRecord(individual);
+    }
+
+    getChronologicalEvents(record) {
+        const events = record.events || [];
+
+        // Undated events keep their file order; undated births go first, undated deaths last
+        const sortKey = (event) => {
+            if (event.date?.sortValue != null) return event.date.sortValue;
+            if (event.tag === 'BIRT') return -Infinity;
+            if (event.tag === 'DEAT' || event.tag === 'BURI' || event.tag === 'CREM') return Infinity;
+            return null;
+        };
+
+        const dated = events.map((event, index) => ({ event, index, key: sortKey(event) }));
+        let lastKey = -Infinity;
+        dated.forEach(item => {
+            // Undated events sort right after the dated event they follow in the file
+            if (item.key === null) {
+                item.key = lastKey;
+            } else {
+                lastKey = item.key;
+            }
+        });
+
+        return dated
+            .sort((a, b) => (a.key - b.key) || (a.index - b.index))
+            .map(item => item.event);
+    }
+
+    formatVitalDate(vitalEvent) {
+        if (!vitalEvent?.date) return '';
+
+        const abbreviation = TreeBuilder.VITAL_EVENT_ABBREVIATIONS[vitalEvent.tag];
+        const display = vitalEvent.date.display || vitalEvent.date.raw;
+        return abbreviation ? `${abbreviation} ${display}` : display;
+    }
+
+    getEventTitle(event) {
+        return event.value ? `${event.type}: ${event.value}` : event.type;
+    }
+
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    getPersonNames(person) {
+        // Data stored before alternate names were parsed only has the primary name
+        return person.names?.length ? person.names : [person.name];
+    }
+
+    populatePhotos(individual) {
+        const photosSection = document.getElementById('photosSection');
+        const photosContainer = document.getElementById('detailsPhotos');
+        if (!photosSection || !photosContainer) return;
+
+        const items = individual.media || [];
+        if (items.length === 0) {
+            photosSection.classList.add('hidden');
+            return;
+        }
+
+        const files = items.map(item => ({
+            item,
+            blob: this.findMediaFile(item.file),
+            title: item.title || item.file.split(/[\\/]/).pop()
+        }));
+        const photos = files
+            .filter(file => file.blob && file.blob.type.startsWith('image/'))
+            .sort((a, b) => b.item.primary - a.item.primary);
+        const others = files.filter(file => !photos.includes(file));
+
+        // Main image with a strip of thumbnails below; documents and unmatched paths are listed after
+        let html = '';
+        if (photos.length > 0) {
+            const main = photos[0];
+            const mainUrl = this.getMediaUrl(main.blob);
+            html += `
+                <figure class="person-photo gallery-main">
+                    <a href="${mainUrl}" target="_blank"><img src="${mainUrl}" alt="${this.escapeHtml(main.title)}"></a>
+                    <figcaption>${this.escapeHtml(main.title)}</figcaption>
+                </figure>
+            `;
+        }
+
+        if (photos.length > 1) {
+            html += `<div class="gallery-strip">${photos.map((photo, index) => `
+                <img class="gallery-thumb${index === 0 ? ' selected' : ''}" src="${this.getMediaUrl(photo.blob)}"
+                     alt="${this.escapeHtml(photo.title)}" title="${this.escapeHtml(photo.title)}">
+            `).join('')}</div>`;
+        }
+
+        if (others.length > 0) {
+            html += `<ul class="media-files">${others.map(({ item, blob, title }) => blob
+                ? `<li><a href="${this.getMediaUrl(blob)}" target="_blank">${this.escapeHtml(title)}</a></li>`
+                : `<li class="missing-media"><code>${this.escapeHtml(item.file)}</code> <span class="member-dates">Not found</span></li>`
+            ).join('')}</ul>`;
+        }
+
+        photosContainer.innerHTML = html;
+
+        photosContainer.querySelectorAll('.gallery-thumb').forEach(thumb => {
+            thumb.addEventListener('click', () => {
+                const mainImage = photosContainer.querySelector('.gallery-main img');
+                mainImage.src = thumb.src;
+                mainImage.alt = thumb.alt;
+                mainImage.parentElement.href = thumb.src;
+                photosContainer.querySelector('.gallery-main figcaption').textContent = thumb.alt;
+                photosContainer.querySelectorAll('.gallery-thumb').forEach(other => other.classList.toggle('selected', other === thumb));
+            });
+        });
+        photosSection.classList.remove('hidden');
+    }
+
+    populateNames(individual) {
+        const namesSection = document.getElementById('namesSection');
+        const namesContainer = document.getElementById('detailsNames');
+        if (!namesSection || !namesContainer) return;
+
+        const names = this.getPersonNames(individual);
+        const hasDetail = names.some(name => name.type || name.nickname || name.prefix || name.suffix);
+        if (names.length < 2 && !hasDetail) {
+            namesSection.classList.add('hidden');
+            return;
+        }
+
+        const typeLabels = {
+            birth: 'Birth name',
+            maiden: 'Maiden name',
+            married: 'Married name',
+            aka: 'Also known as',
+            immigrant: 'Immigrant name',
+            professional: 'Professional name',
+            religious: 'Religious name'
+        };
+
+        namesContainer.innerHTML = names.map((name, index) => {
+            const fullName = [name.prefix, name.full, name.suffix].filter(Boolean).join(' ');
+            const details = [
+                name.type ? (typeLabels[name.type] || name.type) : (index === 0 ? 'Primary name' : ''),
+                name.nickname ? `Nickname: ${name.nickname}` : ''
+            ].filter(Boolean);
+
+            return `
+                <div class="family-member">
+                    <div>
+                        <div class="member-name">${this.escapeHtml(fullName || 'Unknown')}</div>
+                        ${details.map(detail => `<div class="member-dates">${this.escapeHtml(detail)}</div>`).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+        namesSection.classList.remove('hidden');
+    }
+
+    populateEvents(individual) {
+        const eventsContainer = document.getElementById('detailsEvents');
+        if (!eventsContainer) return;
+
+        const events = this.getChronologicalEvents(individual);
+        if (events.length === 0) {
+            eventsContainer.innerHTML = '<div class="empty-section">No events recorded</div>';
+            return;
+        }
+
+        let eventsHtml = '';
+        events.forEach(event => {
+            const details = [
+                event.date ? this.formatDetailDate(event.date) : '',
+                event.place ? `Place: ${event.place}` : '',
+                event.age ? `Age: ${event.age}` : '',
+                event.cause ? `Cause: ${event.cause}` : '',
+                event.address ? `Address: ${event.address}` : ''
+            ].filter(Boolean);
+
+            eventsHtml += `
+                <div class="family-member life-event">
+                    <div>
+                        <div class="member-name">${this.escapeHtml(this.getEventTitle(event))}</div>
+                        ${details.map(detail => `<div class="member-dates">${this.escapeHtml(detail)}</div>`).join('')}
+                        ${event.notes.map(note => `<div class="event-note">${this.escapeHtml(note)}</div>`).join('')}
+                    </div>
+                </div>
+            `;
+        });
+
+        eventsContainer.innerHTML = eventsHtml;
+    }
+
+    formatDetailDate(date) {
+        if (!date) return '';
+
+        // Non-Gregorian dates show the original calendar followed by the converted date
+        if (date.converted) {
+            return `${date.display} = ${date.converted} (Gregorian)`;
+        }
+        return date.display || date.raw || '';
     }
 
     populateSpouses(individual) {
@@ -1202,17 +2182,18 @@ class FamilyTreeViewer {
                 const spouse = this.individuals.find(ind => ind.id === spouseId);
 
                 if (spouse) {
-                    const marriageDate = family.marriage?.date?.display || '';
-                    const marriagePlace = family.marriage?.place || '';
                     const spouseLifespan = this.getPersonDates({ _person: spouse });
+                    const partnershipLines = this.getPartnershipEvents(family).map(event => {
+                        const details = [this.formatDetailDate(event.date), event.place].filter(Boolean).join(', ');
+                        return `<div class="member-dates">${event.label}${details ? `: ${this.escapeHtml(details)}` : ''}</div>`;
+                    });
 
                     spousesHtml += `
                         <div class="family-member">
                             <div>
-                                <div class="member-name">${spouse.name.full || 'Unknown'}</div>
-                                <div class="member-dates">${spouseLifespan}</div>
-                                ${marriageDate ? `<div class="member-dates">Married: ${marriageDate}</div>` : ''}
-                                ${marriagePlace ? `<div class="member-dates">Place: ${marriagePlace}</div>` : ''}
+                                <div class="member-name">${this.escapeHtml(spouse.name.full || 'Unknown')}</div>
+                                <div class="member-dates">${this.escapeHtml(spouseLifespan)}</div>
+                                ${partnershipLines.join('')}
                             </div>
                         </div>
                     `;
@@ -1223,6 +2204,32 @@ class FamilyTreeViewer {
         spousesContainer.innerHTML = spousesHtml || '<div class="empty-section">No spouse information available</div>';
     }
 
+    getPartnershipEvents(family) {
+        // Engagement, marriage and divorce milestones shown in the spouse list
+        const labels = {
+            ENGA: 'Engaged',
+            MARB: 'Banns',
+            MARC: 'Marriage contract',
+            MARL: 'Marriage license',
+            MARS: 'Marriage settlement',
+            MARR: 'Married',
+            DIVF: 'Divorce filed',
+            DIV: 'Divorced',
+            ANUL: 'Annulled'
+        };
+
+        if (!family.events?.some(event => event.type)) {
+            // Data stored before family events were parsed only has the marriage summary
+            return family.marriage?.date || family.marriage?.place
+                ? [{ label: labels.MARR, date: family.marriage.date, place: family.marriage.place }]
+                : [];
+        }
+
+        return this.getChronologicalEvents(family)
+            .filter(event => labels[event.tag])
+            .map(event => ({ label: labels[event.tag], date: event.date, place: event.place }));
+    }
+
     populateChildren(individual) {
         const childrenContainer = document.getElementById('detailsChildren');
         if (!childrenContainer) return;
@@ -1251,8 +2258,8 @@ class FamilyTreeViewer {
             childrenHtml += `
                 <div class="family-member">
                     <div>
-                        <div class="member-name">${child.name.full || 'Unknown'}</div>
-                        <div class="member-dates">${childLifespan}</div>
+                        <div class="member-name">${this.escapeHtml(child.name.full || 'Unknown')}</div>
+                        <div class="member-dates">${this.escapeHtml(childLifespan)}</div>
                     </div>
                 </div>
             `;
@@ -1270,10 +2277,38 @@ class FamilyTreeViewer {
             return;
         }
 
+        const pedigreeLabels = {
+            birth: 'Birth parents',
+            adopted: 'Adoptive parents',
+            foster: 'Foster parents',
+            sealing: 'Sealing parents'
+        };
+        const links = TreeBuilder.getParentFamilyLinks(individual);
+        const preferred = TreeBuilder.getPreferredParentFamily(individual, this.settings.preferredParentFamilies);
+
         let parentsHtml = '';
-        individual.families.child.forEach(familyId => {
-            const family = this.families.find(f => f.id === familyId);
+        links.forEach(link => {
+            const family = this.families.find(f => f.id === link.familyId);
             if (family) {
+                // Label each parent set when there is more than one, or when it is not a birth family
+                if (links.length > 1 || !TreeBuilder.isBirthPedigree(link.pedigree)) {
+                    const label = pedigreeLabels[link.pedigree || 'birth'] || `${link.pedigree} parents`;
+                    const status = link.status ? ` (${link.status})` : '';
+                    const isPreferred = preferred && preferred.familyId === link.familyId;
+                    // With all parent sets drawn, the choice only decides which set is preferred
+                    const showingAll = this.settings.parentFamilies === 'all';
+                    const action = links.length < 2 ? '' : isPreferred
+                        ? `<span class="result-badge current">${showingAll ? 'Preferred' : 'Shown in tree'}</span>`
+                        : `<button class="parent-family-btn" data-family-id="${link.familyId}">${showingAll ? 'Prefer' : 'Show in tree'}</button>`;
+
+                    parentsHtml += `
+                        <div class="parent-family-header">
+                            <span>${this.escapeHtml(label + status)}</span>
+                            ${action}
+                        </div>
+                    `;
+                }
+
                 // Father
                 if (family.husband) {
                     const father = this.individuals.find(ind => ind.id === family.husband);
@@ -1282,8 +2317,8 @@ class FamilyTreeViewer {
                         parentsHtml += `
                             <div class="family-member">
                                 <div>
-                                    <div class="member-name">${father.name.full || 'Unknown'} (Father)</div>
-                                    <div class="member-dates">${fatherLifespan}</div>
+                                    <div class="member-name">${this.escapeHtml(father.name.full || 'Unknown')} (Father)</div>
+                                    <div class="member-dates">${this.escapeHtml(fatherLifespan)}</div>
                                 </div>
                             </div>
                         `;
@@ -1298,8 +2333,8 @@ class FamilyTreeViewer {
                         parentsHtml += `
                             <div class="family-member">
                                 <div>
-                                    <div class="member-name">${mother.name.full || 'Unknown'} (Mother)</div>
-                                    <div class="member-dates">${motherLifespan}</div>
+                                    <div class="member-name">${this.escapeHtml(mother.name.full || 'Unknown')} (Mother)</div>
+                                    <div class="member-dates">${this.escapeHtml(motherLifespan)}</div>
                                 </div>
                             </div>
                         `;
@@ -1309,6 +2344,158 @@ class FamilyTreeViewer {
         });
 
         parentsContainer.innerHTML = parentsHtml || '<div class="empty-section">No parent information available</div>';
+
+        parentsContainer.querySelectorAll('.parent-family-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.selectPreferredParentFamily(individual, button.dataset.familyId);
+            });
+        });
+    }
+
+    selectPreferredParentFamily(individual, familyId) {
+        console.log(`Preferring parent family ${familyId} for ${individual.id}`);
+
+        this.settings.preferredParentFamilies[individual.id] = familyId;
+        this.saveFilePreferences();
+        this.populateParents(individual);
+
+        if (this.individuals && this.families && this.rootPerson) {
+            this.rebuildTreeWithNewSettings();
+        }
+    }
+
+    populateNotes(individual) {
+        const notesContainer = document.getElementById('detailsNotes');
+        if (!notesContainer) return;
+
+        // Event notes stay with their event in the Life Events section
+        const notes = individual.notes || [];
+        if (notes.length === 0) {
+            notesContainer.innerHTML = '<div class="empty-section">No notes recorded</div>';
+            return;
+        }
+
+        notesContainer.innerHTML = notes
+            .map(note => `<div class="person-note">${this.escapeHtml(note)}</div>`)
+            .join('');
+    }
+
+    getPersonCitations(individual) {
+        const citations = (individual.sources || []).map(citation => ({
+            citation,
+            fact: citation.fact || 'General'
+        }));
+
+        // Citations on the person's marriages back facts about the person too
+        individual.families.spouse.forEach(familyId => {
+            const family = this.families.find(f => f.id === familyId);
+            if (!family?.sources) return;
+
+            const spouseId = family.husband === individual.id ? family.wife : family.husband;
+            const spouse = this.individuals.find(ind => ind.id === spouseId);
+            family.sources.forEach(citation => {
+                const fact = citation.fact || 'Family';
+                citations.push({
+                    citation,
+                    fact: spouse ? `${fact} with ${spouse.name.full || 'Unknown'}` : fact
+                });
+            });
+        });
+
+        return citations;
+    }
+
+    populateSources(individual) {
+        const sourcesContainer = document.getElementById('detailsSources');
+        if (!sourcesContainer) return;
+
+        const citations = this.getPersonCitations(individual);
+        if (citations.length === 0) {
+            sourcesContainer.innerHTML = '<div class="empty-section">No sources cited</div>';
+            return;
+        }
+
+        // Group citations by the source they point to, keeping first-cited order
+        const groups = new Map();
+        citations.forEach(entry => {
+            const key = entry.citation.sourceId || `inline:${entry.citation.title}`;
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(entry);
+        });
+
+        let sourcesHtml = '';
+        groups.forEach(entries => {
+            const first = entries[0].citation;
+            const source = first.sourceId ? this.sources.find(s => s.id === first.sourceId) : null;
+            const title = source?.title || source?.abbreviation || first.title || first.sourceId || 'Untitled source';
+
+            const sourceDetails = [];
+            if (source?.author) sourceDetails.push(`Author: ${source.author}`);
+            if (source?.publication) sourceDetails.push(`Publication: ${source.publication}`);
+            (source?.repositories || []).forEach(link => {
+                const repository = link.id ? this.repositories.find(r => r.id === link.id) : null;
+                const name = repository?.name || link.name || link.id;
+                const callNumbers = link.callNumbers.map(call => call.number).filter(Boolean);
+                sourceDetails.push(`Repository: ${name}${callNumbers.length ? ` (${callNumbers.join(', ')})` : ''}`);
+            });
+
+            const factLines = entries.map(({ citation, fact }) => {
+                const details = [
+                    citation.page,
+                    citation.quality !== null ? GedcomParser.CITATION_QUALITY[citation.quality] : ''
+                ].filter(Boolean).join(' · ');
+                const text = citation.text.concat(citation.notes)
+                    .map(line => `<div class="event-note">${this.escapeHtml(line)}</div>`)
+                    .join('');
+                return `<div class="member-dates">${this.escapeHtml(fact)}${details ? `: ${this.escapeHtml(details)}` : ''}</div>${text}`;
+            });
+
+            sourcesHtml += `
+                <div class="family-member source-entry">
+                    <div>
+                        <div class="member-name">${this.escapeHtml(title)}</div>
+                        ${sourceDetails.map(detail => `<div class="member-dates">${this.escapeHtml(detail)}</div>`).join('')}
+                        ${factLines.join('')}
+                    </div>
+                </div>
+            `;
+        });
+
+        sourcesContainer.innerHTML = sourcesHtml;
+    }
+
+    populateRawRecord(individual) {
+        const rawContainer = document.getElementById('detailsRaw');
+        if (!rawContainer) return;
+
+        // The person's own record followed by the families they head
+        const records = [individual.id, ...individual.families.spouse]
+            .map(xref => this.rawRecords.get(xref))
+            .filter(Boolean);
+
+        if (records.length === 0) {
+            rawContainer.textContent = 'Raw record not available';
+            return;
+        }
+
+        rawContainer.textContent = records.map(record => this.formatRawRecord(record)).join('\n\n');
+    }
+
+    formatRawRecord(node) {
+        // Indent by level; multi-line values are shown as CONT lines, as in the file
+        const indent = '  '.repeat(node.level);
+        const valueLines = (node.value || '').split('\n');
+        const head = [node.level, node.xref, node.tag, valueLines[0]].filter(part => part !== null && part !== '').join(' ');
+        const lines = [indent + head];
+
+        valueLines.slice(1).forEach(text => {
+            lines.push(`${indent}  ${node.level + 1} CONT${text ? ` ${text}` : ''}`);
+        });
+        node.children.forEach(child => lines.push(this.formatRawRecord(child)));
+
+        return lines.join('\n');
     }
 
     // Person Search Methods
@@ -1362,13 +2549,18 @@ class FamilyTreeViewer {
         if (searchTerm && searchTerm.length > 0) {
             const searchLower = searchTerm.toLowerCase();
             filteredPeople = this.individuals.filter(person => {
-                const fullName = (person.name.full || '').toLowerCase();
-                const givenName = (person.name.given || '').toLowerCase();
-                const surname = (person.name.surname || '').toLowerCase();
-
-                return fullName.includes(searchLower) ||
-                       givenName.includes(searchLower) ||
-                       surname.includes(searchLower);
+                // Match any of the person's names: birth, married, aliases and nicknames
+                return this.getPersonNames(person).some(name => {
+                    const fullName = (name.full || '').toLowerCase();
+                    const givenName = (name.given || '').toLowerCase();
+                    const surname = (name.surname || '').toLowerCase();
+                    const nickname = (name.nickname || '').toLowerCase();
+
+                    return fullName.includes(searchLower) ||
+                           givenName.includes(searchLower) ||
+                           surname.includes(searchLower) ||
+                           nickname.includes(searchLower);
+                });
             });
         }
 
@@ -1403,32 +2595,212 @@ class FamilyTreeViewer {
         displayedPeople.forEach(person => {
             const isCurrentRoot = person.id === this.rootPerson?.id;
             const dates = this.getPersonDates({ _person: person });
+            const otherNames = this.getPersonNames(person)
+                .slice(1)
+                .map(name => name.full)
+                .filter(fullName => fullName && fullName !== person.name.full);
 
             html += `
                 <div class="search-result-item ${isCurrentRoot ? 'current-root' : ''}"
-                     data-person-id="${person.id}">
+                     data-person-id="${this.escapeHtml(person.id)}">
                     <div>
-                        <div class="result-name">${person.name.full || 'Unknown'}</div>
+                        <div class="result-name">${this.escapeHtml(person.name.full || 'Unknown')}</div>
+                        ${otherNames.length ? `<div class="result-details">Also: ${this.escapeHtml(otherNames.join(', '))}</div>` : ''}
                         <div class="result-details">
-                            ID: ${person.id} • ${person.sex || '?'} • ${dates || 'No dates'}
+                            ID: ${this.escapeHtml(person.id)} • ${this.escapeHtml(person.sex || '?')} • ${this.escapeHtml(dates || 'No dates')}
                         </div>
                     </div>
                     <div>
-                        ${isCurrentRoot ? '<span class="result-badge current">Current</span>' : '<span class="result-badge">Select</span>'}
+                        ${this.getSearchResultBadge(person.id, isCurrentRoot)}
                     </div>
                 </div>
             `;
         });
 
         resultsContainer.innerHTML = html;
+    }
 
-        // Add event delegation for search result clicks
-        resultsContainer.addEventListener('click', (e) => {
-            const resultItem = e.target.closest('.search-result-item');
-            if (resultItem && resultItem.dataset.personId) {
-                this.selectNewRootPerson(resultItem.dataset.personId);
-            }
+    getSearchResultBadge(personId, isCurrentRoot) {
+        if (this.relationshipMode) {
+            return this.relationshipPicks.includes(personId)
+                ? '<span class="result-badge current">Picked</span>'
+                : '<span class="result-badge">Pick</span>';
+        }
+        return isCurrentRoot ? '<span class="result-badge current">Current</span>' : '<span class="result-badge">Select</span>';
+    }
+
+    handleSearchResultClick(personId) {
+        if (this.relationshipMode) {
+            this.pickRelationshipPerson(personId);
+        } else {
+            this.selectNewRootPerson(personId);
+        }
+    }
+
+    // Relationship Calculator Methods
+    getRelationshipCalculator() {
+        if (!this.relationshipCalculator && typeof RelationshipCalculator !== 'undefined' && this.individuals) {
+            const treeBuilder = new TreeBuilder();
+            treeBuilder.initialize(this.individuals, this.families || []);
+            this.relationshipCalculator = new RelationshipCalculator(treeBuilder.individuals, treeBuilder.families);
+        }
+        return this.relationshipCalculator;
+    }
+
+    setRelationshipMode(enabled) {
+        this.relationshipMode = enabled;
+        this.relationshipPicks = [];
+
+        const modeBtn = document.getElementById('relationshipModeBtn');
+        if (modeBtn) {
+            modeBtn.classList.toggle('active', enabled);
+        }
+
+        this.updateRelationshipPicks();
+        this.displaySearchResults(document.getElementById('personSearchInput')?.value || '');
+    }
+
+    pickRelationshipPerson(personId) {
+        if (this.relationshipPicks.includes(personId)) return;
+
+        this.relationshipPicks.push(personId);
+
+        if (this.relationshipPicks.length < 2) {
+            this.updateRelationshipPicks();
+            this.displaySearchResults(document.getElementById('personSearchInput')?.value || '');
+            return;
+        }
+
+        const [fromId, toId] = this.relationshipPicks;
+        this.closePersonSearch();
+        this.showRelationship(fromId, toId);
+    }
+
+    updateRelationshipPicks() {
+        const picks = document.getElementById('relationshipPicks');
+        if (!picks) return;
+
+        picks.classList.toggle('hidden', !this.relationshipMode);
+
+        const first = this.individuals?.find(person => person.id === this.relationshipPicks[0]);
+        picks.textContent = first
+            ? `First person: ${first.name.full || 'Unknown'}. Now pick the second person.`
+            : 'Pick the first person.';
+    }
+
+    showRelationship(fromId, toId) {
+        const modal = document.getElementById('relationshipModal');
+        const calculator = this.getRelationshipCalculator();
+        if (!modal || !calculator) return;
+
+        const result = calculator.calculate(fromId, toId);
+        if (!result) return;
+
+        const nameOf = personId => calculator.individuals.get(personId)?.name.full || 'Unknown';
+        this.shownRelationship = { fromId, toId, result };
+
+        const summary = document.getElementById('relationshipSummary');
+        if (summary) {
+            summary.innerHTML = result.type === 'none'
+                ? `No relationship found between <strong>${this.escapeHtml(nameOf(fromId))}</strong> and <strong>${this.escapeHtml(nameOf(toId))}</strong>.`
+                : `<strong>${this.escapeHtml(nameOf(toId))}</strong> is ${this.escapeHtml(nameOf(fromId))}'s <strong>${this.escapeHtml(result.label)}</strong>.`;
+        }
+
+        // Direct ancestors are their own common ancestor; only name the ancestors of collateral relatives
+        const ancestors = document.getElementById('relationshipAncestors');
+        if (ancestors) {
+            const shared = result.commonAncestors.filter(personId => personId !== fromId && personId !== toId);
+            ancestors.textContent = shared.length
+                ? `Common ancestor${shared.length > 1 ? 's' : ''}: ${shared.map(nameOf).join(' and ')}`
+                : '';
+        }
+
+        this.drawRelationshipChart(result.path, calculator.individuals);
+        this.setRelationshipMode(false);
+        modal.classList.remove('hidden');
+    }
+
+    closeRelationship() {
+        const modal = document.getElementById('relationshipModal');
+        if (modal) {
+            modal.classList.add('hidden');
+        }
+    }
+
+    drawRelationshipChart(path, individuals) {
+        const svg = d3.select('#relationshipChart');
+        svg.selectAll('*').remove();
+        if (path.length === 0) return;
+
+        const boxWidth = 150;
+        const boxHeight = 44;
+        const columnWidth = boxWidth + 30;
+        const rowHeight = boxHeight + 40;
+
+        // Each step up to a parent rises a row, each step down to a child falls a row, spouses sit side by side
+        let row = 0;
+        const steps = path.map((step, index) => {
+            if (step.link === 'parent') row--;
+            if (step.link === 'child') row++;
+            return { ...step, column: index, row };
         });
+        const topRow = Math.min(...steps.map(step => step.row));
+        steps.forEach(step => {
+            step.x = step.column * columnWidth + boxWidth / 2 + 10;
+            step.y = (step.row - topRow) * rowHeight + boxHeight / 2 + 10;
+        });
+
+        const width = (path.length - 1) * columnWidth + boxWidth + 20;
+        const height = (Math.max(...steps.map(step => step.row)) - topRow) * rowHeight + boxHeight + 20;
+        svg.attr('viewBox', `0 0 ${width} ${height}`)
+            .attr('height', Math.min(height, 360));
+
+        svg.selectAll('.relationship-link')
+            .data(steps.slice(1).map((step, index) => ({ source: steps[index], target: step })))
+            .enter()
+            .append('path')
+            .attr('class', d => `relationship-link${d.target.link === 'spouse' ? ' spouse-link' : ''}`)
+            .attr('d', d => {
+                const midY = (d.source.y + d.target.y) / 2;
+                return d.target.link === 'spouse'
+                    ? `M${d.source.x},${d.source.y}H${d.target.x}`
+                    : `M${d.source.x},${d.source.y}V${midY}H${d.target.x}V${d.target.y}`;
+            });
+
+        const boxes = svg.selectAll('.relationship-person')
+            .data(steps)
+            .enter()
+            .append('g')
+            .attr('class', d => `relationship-person person-gender-${this.getPersonGender({ id: d.personId })}`)
+            .attr('transform', d => `translate(${d.x},${d.y})`)
+            .style('cursor', 'pointer')
+            .on('click', (event, d) => {
+                this.closeRelationship();
+                this.selectNewRootPerson(d.personId);
+            });
+
+        boxes.append('title').text('Show this person\'s tree');
+
+        boxes.append('rect')
+            .attr('class', 'person-rect')
+            .attr('x', -boxWidth / 2)
+            .attr('y', -boxHeight / 2)
+            .attr('width', boxWidth)
+            .attr('height', boxHeight)
+            .attr('rx', 8);
+
+        boxes.append('text')
+            .attr('class', 'person-name')
+            .attr('text-anchor', 'middle')
+            .attr('y', -4)
+            .text(d => individuals.get(d.personId)?.name.full || 'Unknown')
+            .call(this.wrapText, boxWidth - 12, 1);
+
+        boxes.append('text')
+            .attr('class', 'person-dates')
+            .attr('text-anchor', 'middle')
+            .attr('y', 13)
+            .text(d => this.getPersonDates(individuals.get(d.personId)));
     }
 
     selectNewRootPerson(personId) {
@@ -1462,10 +2834,7 @@ class FamilyTreeViewer {
             treeBuilder.initialize(this.individuals, this.families);
 
             // Build new tree with the new root person
-            const newTreeData = treeBuilder.buildTree(this.rootPerson.id, {
-                treeType: this.settings.treeType,
-                maxGenerations: this.settings.generations
-            });
+            const newTreeData = treeBuilder.buildTree(this.rootPerson.id, this.getTreeBuildOptions());
 
             // Update the tree data
             this.treeData = newTreeData;
@@ -1482,6 +2851,9 @@ class FamilyTreeViewer {
     }
 }
 
+// Issues shown at once in the validation and data problems panels
+FamilyTreeViewer.MAX_LISTED_ISSUES = 500;
+
 // Initialize the viewer when the page loads
 document.addEventListener('DOMContentLoaded', function() {
     window.familyTreeViewer = new FamilyTreeViewer();